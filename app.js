@@ -0,0 +1,126 @@
+const express = require('express');
+const cors = require('cors');
+const { config } = require('./lib/config');
+const { createAuth } = require('./lib/auth');
+const { createEscalationEngine } = require('./lib/escalation');
+const { createTelephonyProvider } = require('./lib/telephony');
+const { createOutbox } = require('./lib/outbox');
+const { createEventBus } = require('./lib/events');
+const { createGeofenceEngine } = require('./lib/geofence');
+const { createDeviceMonitor } = require('./lib/deviceStatus');
+const { createAccountDeletionWorker } = require('./lib/accountDeletion');
+const { createAuditLog, createAuditChainJob } = require('./lib/audit');
+const { createJobScheduler } = require('./lib/scheduler');
+const { createHealthChecks } = require('./lib/health');
+const { createRetentionJobs } = require('./lib/retention');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createPairingLinks } = require('./lib/pairingLinks');
+const { errorHandler, notFoundHandler } = require('./lib/errors');
+const { requestContext } = require('./lib/requestContext');
+const { createMetrics } = require('./lib/metrics');
+const { createHealthRouter } = require('./routes/health');
+const { createUsersRouter } = require('./routes/users');
+const { createEmergencyContactsRouter } = require('./routes/emergencyContacts');
+const { createAuthRouter } = require('./routes/auth');
+const { createPairingRouter } = require('./routes/pairing');
+const { createDevicesRouter } = require('./routes/devices');
+const { createCodesRouter } = require('./routes/codes');
+const { createPingsRouter } = require('./routes/pings');
+const { createCrashesRouter } = require('./routes/crashes');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createEventsRouter } = require('./routes/events');
+const { createLocationsRouter } = require('./routes/locations');
+const { createZonesRouter } = require('./routes/zones');
+const { createCirclesRouter } = require('./routes/circles');
+const { createAuditRouter } = require('./routes/audit');
+const { createJobsRouter } = require('./routes/jobs');
+
+// Build the Express app around injected dependencies:
+//   storage        - storage adapter from lib/storage
+//   push           - push router from lib/push
+//   telephony      - SMS/voice provider from lib/telephony (defaults to TELEPHONY_PROVIDER)
+//   sessionSecret  - secret for signing access tokens and pairing links (defaults to SESSION_SECRET)
+//   rateLimitStore - counter store for rate limits (defaults to in-process memory)
+//
+// Background workers are created but not started; they are exposed on
+// `app.locals.services` so the caller decides when they run.
+function createApp({ storage, push, telephony = createTelephonyProvider(), sessionSecret = config.sessionSecret, rateLimitStore }) {
+  const app = express();
+
+  // Behind a proxy or load balancer req.ip must come from X-Forwarded-For, or
+  // every client would share the proxy's rate limits
+  app.set('trust proxy', config.trustProxy);
+
+  const metrics = createMetrics();
+  const auth = createAuth(storage, sessionSecret);
+  const audit = createAuditLog({ storage });
+  const escalation = createEscalationEngine({ storage, telephony });
+  const events = createEventBus({ storage });
+
+  // Every push goes through the outbox; crash alert outcomes also land on the
+  // crash event's timeline
+  const outbox = createOutbox({
+    storage,
+    push,
+    metrics,
+    onSent: async (job) => {
+      if (job.crash_event_id) {
+        await escalation.recordTimeline(job.crash_event_id, 'alert_sent', {
+          detail: { userId: job.recipient_user_id, notificationId: job.id, attempts: job.attempts },
+        });
+      }
+    },
+    onDeadLetter: async (job) => {
+      if (job.crash_event_id) {
+        await escalation.recordTimeline(job.crash_event_id, 'alert_failed', {
+          detail: { userId: job.recipient_user_id, notificationId: job.id, error: job.last_error },
+        });
+      }
+    },
+  });
+
+  const geofences = createGeofenceEngine({ storage, events, push, outbox });
+  const deviceMonitor = createDeviceMonitor({ storage, events, push, outbox });
+  const accountDeletion = createAccountDeletionWorker({ storage, events, push, outbox, audit });
+  const scheduler = createJobScheduler({ storage, jobs: [...createRetentionJobs({ storage }), createAuditChainJob({ audit })] });
+  const rateLimiter = createRateLimiter({ store: rateLimitStore });
+  const pairingLinks = createPairingLinks({ secret: config.pairingLinkSecret || sessionSecret });
+  const health = createHealthChecks({ storage, push });
+
+  const deps = {
+    storage, auth, push, outbox, escalation, telephony, events, geofences, rateLimiter, pairingLinks, deviceMonitor, accountDeletion, audit, scheduler,
+    metrics, health,
+  };
+  app.locals.services = { outbox, escalation, events, deviceMonitor, accountDeletion, audit, scheduler, health };
+
+  // Middleware
+  app.use(requestContext());
+  app.use(metrics.middleware);
+  app.use(cors());
+  app.use(express.json());
+
+  app.use(createHealthRouter(deps));
+  app.use(createUsersRouter(deps));
+  app.use(createEmergencyContactsRouter(deps));
+  app.use(createAuditRouter(deps));
+  app.use(createAuthRouter(deps));
+  app.use(createPairingRouter(deps));
+  app.use(createDevicesRouter(deps));
+  app.use(createCodesRouter(deps));
+  app.use(createPingsRouter(deps));
+  app.use(createLocationsRouter(deps));
+  app.use(createZonesRouter(deps));
+  app.use(createCirclesRouter(deps));
+  app.use(createCrashesRouter(deps));
+  app.use(createNotificationsRouter(deps));
+  app.use(createEventsRouter(deps));
+  app.use(createJobsRouter(deps));
+
+  // Every error, from validation to storage, leaves as `{ error, code, details? }`
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,134 @@
+const { buildAccountDeletionMessage } = require('./push/messages');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Days between asking to delete an account and it being deleted; 0 deletes on the next sweep
+const ACCOUNT_DELETION_GRACE_DAYS = config.accountDeletionGraceDays;
+const ACCOUNT_DELETION_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+const formatDeletion = (deletion) => ({
+  id: deletion.id,
+  status: deletion.status,
+  requestedAt: deletion.requested_at,
+  scheduledFor: deletion.scheduled_for,
+  cancelledAt: deletion.cancelled_at,
+  completedAt: deletion.completed_at,
+});
+
+// Deletes accounts once their grace period is over. Each request is a row in
+// `account_deletions` that outlives the user: once completed it is the
+// account's tombstone, recording when deletion was asked for and carried out.
+// Paired users are told when a deletion is scheduled, cancelled and done.
+function createAccountDeletionWorker({ storage, events, push, outbox, audit }) {
+  let timer = null;
+
+  const notifyPairedUsers = async (user, status, data) => {
+    const pairedUserIds = await storage.connections.listConnectedUserIds(user.id);
+    if (pairedUserIds.length === 0) return;
+
+    events.publish(pairedUserIds, `account.deletion_${status}`, { userId: user.id, deviceName: user.device_name, ...data });
+
+    const recipients = await storage.users.listByIds(pairedUserIds);
+    const payload = buildAccountDeletionMessage(user.device_name, status, { userId: user.id, ...data });
+    const jobs = recipients
+      .map((recipient) => push.jobFor(recipient, { kind: 'account', senderUserId: user.id, payload }))
+      .filter(Boolean);
+    if (jobs.length > 0) await outbox.enqueueAndSend(jobs);
+  };
+
+  // Scheduling and cancelling must not fail because an alert did
+  const notifySafely = (user, status, data) => notifyPairedUsers(user, status, data)
+    .catch((error) => logger.error('Error notifying paired users of account deletion', { status, userId: user.id, err: error }));
+
+  // Schedule a user's account for deletion; a pending request is returned as is
+  const schedule = async (user, { reason = null } = {}) => {
+    const pending = await storage.accountDeletions.findPending(user.id);
+    if (pending) return pending;
+
+    const now = new Date();
+    const deletion = await storage.accountDeletions.create({
+      user_id: user.id,
+      status: 'pending',
+      reason,
+      requested_at: now.toISOString(),
+      scheduled_for: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    logger.info('Account deletion scheduled', { userId: user.id, scheduledFor: deletion.scheduled_for });
+    await notifySafely(user, 'scheduled', { scheduledFor: deletion.scheduled_for });
+    return deletion;
+  };
+
+  // Cancel a pending deletion; null if it already completed or was cancelled
+  const cancel = async (user, deletion) => {
+    const now = new Date().toISOString();
+    const cancelled = await storage.accountDeletions.transition(deletion.id, 'pending', {
+      status: 'cancelled',
+      cancelled_at: now,
+      updated_at: now,
+    });
+    if (!cancelled) return null;
+
+    logger.info('Account deletion cancelled', { userId: user.id });
+    await notifySafely(user, 'cancelled', {});
+    return cancelled;
+  };
+
+  // Delete one account. Completing the request first claims it, so a
+  // cancellation or a second sweep racing with this one cannot both win.
+  const complete = async (deletion) => {
+    const pairedUserIds = await storage.connections.listConnectedUserIds(deletion.user_id);
+    const now = new Date().toISOString();
+
+    const claimed = await storage.accountDeletions.transition(deletion.id, 'pending', {
+      status: 'completed',
+      completed_at: now,
+      paired_user_count: pairedUserIds.length,
+      updated_at: now,
+    });
+    if (!claimed) return;
+
+    try {
+      await storage.users.delete(deletion.user_id);
+    } catch (error) {
+      await storage.accountDeletions.transition(deletion.id, 'completed', { status: 'pending', completed_at: null, paired_user_count: null });
+      throw error;
+    }
+
+    audit.record(null, { action: 'account.deleted', actorUserId: null, targetUserId: deletion.user_id, entityType: 'account_deletion', entityId: deletion.id });
+    pairedUserIds.forEach((pairedUserId) => {
+      events.publish([pairedUserId], 'connection.removed', { userIds: [deletion.user_id, pairedUserId] });
+    });
+    events.publish(pairedUserIds, 'account.deleted', { userId: deletion.user_id });
+    logger.info('User account deleted', { userId: deletion.user_id });
+  };
+
+  // Delete every account whose grace period is over
+  const sweep = async () => {
+    const due = await storage.accountDeletions.listDue(new Date().toISOString());
+
+    for (const deletion of due) {
+      try {
+        await complete(deletion);
+      } catch (error) {
+        logger.error('Error deleting account', { userId: deletion.user_id, err: error });
+      }
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweep().catch((error) => logger.error('Account deletion sweep failed', { err: error }));
+    }, ACCOUNT_DELETION_POLL_INTERVAL_MS);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { schedule, cancel, sweep, start, stop };
+}
+
+module.exports = { createAccountDeletionWorker, formatDeletion, ACCOUNT_DELETION_GRACE_DAYS };
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { ConflictError } = require('./storage');
+const { logger } = require('./logger');
+
+// prev_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_ATTEMPTS = 5;
+const VERIFY_BATCH_SIZE = 1000;
+// How often the scheduler walks the whole chain
+const CHAIN_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Columns never copied into a diff: bookkeeping, the owner (already the
+// entry's target) and secrets such as verification code hashes
+const IGNORED_FIELDS = new Set(['id', 'user_id', 'created_at', 'updated_at', 'verification_code_hash', 'verification_expires_at', 'verification_attempts', 'device_secret_hash']);
+
+// JSON with sorted keys, so an entry hashes the same after a round trip
+// through JSONB, which does not keep key order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Hash of an entry's content and its predecessor's hash
+const hashEntry = (entry) => crypto.createHash('sha256').update(canonicalJson({
+  sequence: Number(entry.sequence),
+  prev_hash: entry.prev_hash,
+  actor_user_id: entry.actor_user_id,
+  target_user_id: entry.target_user_id,
+  action: entry.action,
+  entity_type: entry.entity_type,
+  entity_id: entry.entity_id,
+  changes: entry.changes,
+  metadata: entry.metadata,
+  created_at: new Date(entry.created_at).toISOString(),
+})).digest('hex');
+
+// Changed fields between two versions of a row as `{ field: { from, to } }`,
+// or null if nothing changed. A missing side (creation, deletion) counts as
+// null. `fields` limits the comparison to those columns.
+function diff(before, after, fields = null) {
+  const compared = fields || new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  compared.forEach((field) => {
+    if (IGNORED_FIELDS.has(field)) return;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (canonicalJson(from) !== canonicalJson(to)) changes[field] = { from, to };
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Append-only, hash-chained log of sensitive actions. Every entry stores the
+// hash of the one before it, so editing, removing or reordering entries breaks
+// the chain from that point on and shows up in `verify`. Entries get
+// consecutive sequence numbers; a unique constraint on the sequence makes
+// concurrent writers (other instances) retry instead of forking the chain.
+function createAuditLog({ storage }) {
+  let queue = Promise.resolve();
+
+  const append = async (fields) => {
+    for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt += 1) {
+      const latest = await storage.auditLog.findLatest();
+      const entry = {
+        ...fields,
+        sequence: latest ? Number(latest.sequence) + 1 : 1,
+        prev_hash: latest ? latest.hash : GENESIS_HASH,
+        created_at: new Date().toISOString(),
+      };
+      entry.hash = hashEntry(entry);
+
+      try {
+        return await storage.auditLog.append(entry);
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+      }
+    }
+    throw new Error(`Could not append audit entry after ${APPEND_ATTEMPTS} attempts`);
+  };
+
+  // Record an action. `req` is the request that caused it (null for background
+  // work) and supplies the actor and request metadata. Never throws: a failed
+  // audit write is logged, not turned into a failed request.
+  const record = (req, { action, targetUserId = null, entityType = null, entityId = null, changes = null, actorUserId }) => {
+    const fields = {
+      actor_user_id: actorUserId !== undefined ? actorUserId : req?.userId || null,
+      target_user_id: targetUserId,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      changes,
+      metadata: req
+        ? { ip: req.ip || null, userAgent: req.get('User-Agent') || null, method: req.method, path: req.originalUrl.split('?')[0] }
+        : null,
+    };
+
+    // Appends from this process run one at a time so they do not race each other
+    const run = queue.then(() => append(fields));
+    queue = run.catch(() => {});
+    return run.catch((error) => {
+      logger.error('Error writing audit entry', { action, err: error });
+      return null;
+    });
+  };
+
+  // Check that every entry's hash matches its content and its predecessor
+  const verify = async () => {
+    let previous = null;
+    let checked = 0;
+
+    for (;;) {
+      const entries = await storage.auditLog.listFrom(previous ? Number(previous.sequence) + 1 : 1, VERIFY_BATCH_SIZE);
+
+      for (const entry of entries) {
+        const expectedSequence = previous ? Number(previous.sequence) + 1 : 1;
+        const problem = (Number(entry.sequence) !== expectedSequence && `missing entries before sequence ${entry.sequence}`)
+          || (entry.prev_hash !== (previous ? previous.hash : GENESIS_HASH) && 'prev_hash does not match the previous entry')
+          || (entry.hash !== hashEntry(entry) && 'hash does not match the entry content');
+
+        if (problem) {
+          return { ok: false, checked, brokenAt: Number(entry.sequence), reason: problem };
+        }
+        previous = entry;
+        checked += 1;
+      }
+
+      if (entries.length < VERIFY_BATCH_SIZE) return { ok: true, checked };
+    }
+  };
+
+  // For each entry, whether it is unchanged since it was written and still
+  // follows its predecessor in the chain. Entries whose predecessor is gone
+  // are not intact.
+  const checkEntries = async (entries) => {
+    const previousSequences = [...new Set(entries.map((entry) => Number(entry.sequence) - 1).filter((sequence) => sequence > 0))];
+    const previous = previousSequences.length > 0 ? await storage.auditLog.findBySequences(previousSequences) : [];
+    const hashBySequence = new Map(previous.map((entry) => [Number(entry.sequence), entry.hash]));
+
+    return entries.map((entry) => {
+      const sequence = Number(entry.sequence);
+      const expectedPrevHash = sequence === 1 ? GENESIS_HASH : hashBySequence.get(sequence - 1);
+      return entry.hash === hashEntry(entry) && entry.prev_hash === expectedPrevHash;
+    });
+  };
+
+  return { record, verify, checkEntries };
+}
+
+// Scheduler job that walks the whole chain with `verify`. A broken chain
+// fails the run, so it shows up in the job's run history.
+function createAuditChainJob({ audit }) {
+  return {
+    name: 'audit_chain',
+    description: 'Check that no audit log entry was edited, removed or reordered',
+    enabled: true,
+    intervalMs: CHAIN_CHECK_INTERVAL_MS,
+    settings: {},
+    run: async () => {
+      const report = await audit.verify();
+      if (!report.ok) {
+        logger.error('Audit log chain is broken', report);
+        throw new Error(`Chain broken at sequence ${report.brokenAt}: ${report.reason}`);
+      }
+      return report;
+    },
+  };
+}
+
+module.exports = { createAuditLog, createAuditChainJob, diff };
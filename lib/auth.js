@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { ApiError, notFoundHandler } = require('./errors');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL_SECONDS = config.accessTokenTtlSeconds;
+const REFRESH_TOKEN_TTL_SECONDS = config.refreshTokenTtlSeconds;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Build the auth helpers around a storage adapter. Access tokens are short-lived
+// HMAC-signed tokens carrying the user and session id; refresh tokens are opaque
+// random strings stored hashed in the `sessions` table and rotated on every use.
+// Operator endpoints take a static `operatorToken` instead of a user session.
+// A device proves it owns its account with a device secret issued at
+// registration, stored hashed on the user.
+function createAuth(storage, secret = config.sessionSecret, operatorToken = config.operatorApiToken) {
+  if (!secret) {
+    throw new Error('SESSION_SECRET is required to issue session tokens');
+  }
+
+  const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+  const signAccessToken = (userId, sessionId) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({
+      sub: userId,
+      sid: sessionId,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL_SECONDS,
+    }));
+    return `${payload}.${sign(payload)}`;
+  };
+
+  // Returns the token payload, or null if the token is malformed, forged or expired
+  const verifyAccessToken = (token) => {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims.sub || !claims.sid || claims.exp <= Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+      return claims;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const buildSessionResponse = (userId, sessionId, refreshToken) => ({
+    accessToken: signAccessToken(userId, sessionId),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+
+  // Create a new session for a user and return its token pair
+  const issueSession = async (userId, deviceId) => {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    const session = await storage.sessions.create({
+      user_id: userId,
+      device_id: deviceId || null,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString(),
+    });
+
+    return buildSessionResponse(userId, session.id, refreshToken);
+  };
+
+  // Exchange a refresh token for a new token pair. The refresh token is rotated;
+  // presenting an already-rotated token revokes the whole session, since it means
+  // the token was copied. With `userId`, only a session of that user is accepted.
+  const refreshSession = async (refreshToken, { userId } = {}) => {
+    const session = await storage.sessions.findByRefreshTokenHash(hashToken(refreshToken));
+
+    if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+      return null;
+    }
+    if (userId && session.user_id !== userId) {
+      return null;
+    }
+
+    if (session.previous_refresh_token_hash === hashToken(refreshToken)) {
+      logger.warn('Refresh token reuse detected, revoking session', { sessionId: session.id });
+      await revokeSession(session.id);
+      return null;
+    }
+
+    const nextRefreshToken = crypto.randomBytes(32).toString('hex');
+    await storage.sessions.update(session.id, {
+      refresh_token_hash: hashToken(nextRefreshToken),
+      previous_refresh_token_hash: session.refresh_token_hash,
+      last_used_at: new Date().toISOString(),
+    });
+
+    return buildSessionResponse(session.user_id, session.id, nextRefreshToken);
+  };
+
+  const revokeSession = (sessionId) => storage.sessions.revoke(sessionId);
+
+  // A new device secret and the hash to store on the user. The secret is only
+  // ever shown to the device it is issued to.
+  const createDeviceSecret = () => {
+    const deviceSecret = crypto.randomBytes(32).toString('base64url');
+    return { deviceSecret, deviceSecretHash: hashToken(deviceSecret) };
+  };
+
+  // Whether `deviceSecret` is the one issued to the user
+  const verifyDeviceSecret = (user, deviceSecret) => {
+    if (!user.device_secret_hash || !deviceSecret) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashToken(deviceSecret)), Buffer.from(user.device_secret_hash));
+  };
+
+  const revokeAllSessions = (userId) => storage.sessions.revokeAllForUser(userId);
+
+  // Build middleware that resolves the acting user from the bearer token and
+  // rejects the request if the token is invalid or its session has been revoked.
+  // Browsers cannot set headers on an EventSource, so streaming endpoints may
+  // also take the token from an `access_token` query parameter.
+  const authenticate = ({ allowQueryToken = false } = {}) => async (req, res, next) => {
+    try {
+      const header = req.get('Authorization') || '';
+      let [scheme, token] = header.split(' ');
+
+      if (!header && allowQueryToken && typeof req.query.access_token === 'string') {
+        [scheme, token] = ['Bearer', req.query.access_token];
+      }
+
+      if (scheme !== 'Bearer' || !token) {
+        return next(new ApiError(401, 'Missing bearer token', { code: 'TOKEN_MISSING' }));
+      }
+
+      const claims = verifyAccessToken(token);
+      if (!claims) {
+        return next(new ApiError(401, 'Invalid or expired access token', { code: 'TOKEN_INVALID' }));
+      }
+
+      const session = await storage.sessions.findById(claims.sid);
+      if (!session || session.revoked_at || session.user_id !== claims.sub) {
+        return next(new ApiError(401, 'Session has been revoked', { code: 'SESSION_REVOKED' }));
+      }
+
+      req.userId = claims.sub;
+      req.sessionId = claims.sid;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const requireAuth = authenticate();
+  const requireStreamAuth = authenticate({ allowQueryToken: true });
+
+  // Middleware: only let the acting user through when the named field refers to
+  // them. Route params must match; body/query fields default to the acting user
+  // when omitted so clients no longer need to send their own id.
+  const requireSelf = (field = 'userId', source = 'params') => (req, res, next) => {
+    const container = req[source] || {};
+
+    if (source !== 'params' && !container[field]) {
+      container[field] = req.userId;
+    }
+
+    if (container[field] !== req.userId) {
+      return next(new ApiError(403, 'Not authorized to act on behalf of another user'));
+    }
+    next();
+  };
+
+  // Middleware: only let operators through, identified by the bearer token
+  // OPERATOR_API_TOKEN. Without a configured token the operator API does not exist.
+  const requireOperator = (req, res, next) => {
+    if (!operatorToken) {
+      return notFoundHandler(req, res, next);
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return next(new ApiError(401, 'Missing bearer token', { code: 'TOKEN_MISSING' }));
+    }
+
+    // Compare hashes so the comparison takes the same time whatever the length
+    if (!crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(operatorToken)))) {
+      return next(new ApiError(401, 'Invalid operator token', { code: 'TOKEN_INVALID' }));
+    }
+    next();
+  };
+
+  return {
+    issueSession,
+    refreshSession,
+    createDeviceSecret,
+    verifyDeviceSecret,
+    revokeSession,
+    revokeAllSessions,
+    requireAuth,
+    requireStreamAuth,
+    requireSelf,
+    requireOperator,
+  };
+}
+
+module.exports = { createAuth };
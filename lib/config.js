@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+
+const positiveInt = (max = Number.MAX_SAFE_INTEGER) => z.coerce.number().int().min(1).max(max);
+const nonNegativeInt = () => z.coerce.number().int().min(0);
+const boolean = () => z.preprocess((value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}, z.boolean());
+const optionalString = () => z.coerce.string().min(1).optional();
+const commaList = (item) => z.preprocess(
+  (value) => (typeof value === 'string' ? value.split(',').map((entry) => entry.trim()).filter(Boolean) : value),
+  z.array(item).min(1)
+);
+
+// `true`, `false`, a hop count or a list of trusted addresses, as Express takes it
+const trustProxy = () => z.preprocess((value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+  return value;
+}, z.union([z.boolean(), z.number().int().min(0), z.string().min(1)]));
+
+// Every setting, by the env var (or config file key) it is read from. Secrets
+// are never shown in the startup summary or in validation errors.
+const SETTINGS = {
+  NODE_ENV: { key: 'nodeEnv', schema: z.string().min(1).default('development') },
+  STORAGE_DRIVER: { key: 'storageDriver', schema: z.enum(['supabase', 'memory']).default('supabase') },
+  SUPABASE_URL: { key: 'supabaseUrl', schema: z.string().url().optional() },
+  SUPABASE_SERVICE_ROLE_KEY: { key: 'supabaseServiceRoleKey', schema: optionalString(), secret: true },
+  SESSION_SECRET: { key: 'sessionSecret', schema: optionalString(), secret: true },
+  ACCESS_TOKEN_TTL_SECONDS: { key: 'accessTokenTtlSeconds', schema: positiveInt().default(15 * 60) },
+  REFRESH_TOKEN_TTL_SECONDS: { key: 'refreshTokenTtlSeconds', schema: positiveInt().default(30 * 24 * 60 * 60) },
+  OPERATOR_API_TOKEN: { key: 'operatorApiToken', schema: optionalString(), secret: true },
+  CRASH_ESCALATION_WINDOW_SECONDS: { key: 'crashEscalationWindowSeconds', schema: positiveInt().default(120) },
+  CRASH_ESCALATION_STEP_SECONDS: { key: 'crashEscalationStepSeconds', schema: positiveInt().default(120) },
+  CRASH_ESCALATION_VOICE_CALLS: { key: 'crashEscalationVoiceCalls', schema: boolean().default(false) },
+  OUTBOX_POLL_INTERVAL_MS: { key: 'outboxPollIntervalMs', schema: positiveInt().default(5000) },
+  PUSH_PROVIDER_PREFERENCE: { key: 'pushProviderPreference', schema: commaList(z.enum(['fcm', 'expo'])).default(['fcm', 'expo']) },
+  EXPO_ACCESS_TOKEN: { key: 'expoAccessToken', schema: optionalString(), secret: true },
+  FIREBASE_SERVICE_ACCOUNT_JSON: { key: 'firebaseServiceAccountJson', schema: z.union([z.string().min(1), z.record(z.unknown())]).optional(), secret: true },
+  FIREBASE_SERVICE_ACCOUNT_PATH: { key: 'firebaseServiceAccountPath', schema: optionalString() },
+  FIREBASE_SERVICE_ACCOUNT_BASE64: { key: 'firebaseServiceAccountBase64', schema: optionalString(), secret: true },
+  TELEPHONY_PROVIDER: { key: 'telephonyProvider', schema: z.enum(['fake', 'twilio']).default('fake') },
+  TWILIO_ACCOUNT_SID: { key: 'twilioAccountSid', schema: optionalString() },
+  TWILIO_AUTH_TOKEN: { key: 'twilioAuthToken', schema: optionalString(), secret: true },
+  TWILIO_FROM_NUMBER: { key: 'twilioFromNumber', schema: optionalString() },
+  ZONE_DEBOUNCE_SECONDS: { key: 'zoneDebounceSeconds', schema: positiveInt().default(60) },
+  ZONE_MAX_ACCURACY_METERS: { key: 'zoneMaxAccuracyMeters', schema: positiveInt().default(100) },
+  RATE_LIMIT_ENABLED: { key: 'rateLimitEnabled', schema: boolean().default(true) },
+  TRUST_PROXY: { key: 'trustProxy', schema: trustProxy().default(false) },
+  EVENT_BUFFER_SIZE: { key: 'eventBufferSize', schema: positiveInt().default(1000) },
+  EVENT_STREAM_HEARTBEAT_MS: { key: 'eventStreamHeartbeatMs', schema: positiveInt().default(25000) },
+  PAIRING_LINK_BASE_URL: { key: 'pairingLinkBaseUrl', schema: z.string().min(1).default('esp32detector://pair') },
+  PAIRING_LINK_SECRET: { key: 'pairingLinkSecret', schema: optionalString(), secret: true },
+  DEFAULT_PHONE_COUNTRY_CODE: {
+    key: 'defaultPhoneCountryCode',
+    schema: z.coerce.string().transform((value) => value.replace(/\D/g, '')).pipe(z.string().regex(/^\d{1,3}$/, 'Expected a country calling code of 1 to 3 digits')).optional(),
+  },
+  DEVICE_OFFLINE_AFTER_SECONDS: { key: 'deviceOfflineAfterSeconds', schema: positiveInt().default(300) },
+  LOW_BATTERY_PERCENT: { key: 'lowBatteryPercent', schema: positiveInt(100).default(20) },
+  ACCOUNT_DELETION_GRACE_DAYS: { key: 'accountDeletionGraceDays', schema: nonNegativeInt().default(14) },
+  RETENTION_EXPIRED_CODES_DAYS: { key: 'retentionExpiredCodesDays', schema: nonNegativeInt().default(7) },
+  RETENTION_READ_PINGS_DAYS: { key: 'retentionReadPingsDays', schema: nonNegativeInt().default(30) },
+  RETENTION_CODE_USAGE_DAYS: { key: 'retentionCodeUsageDays', schema: nonNegativeInt().default(90) },
+  RETENTION_LOCATION_DAYS: { key: 'retentionLocationDays', schema: nonNegativeInt().default(30) },
+  RETENTION_INTERVAL_HOURS: { key: 'retentionIntervalHours', schema: positiveInt().default(24) },
+  READINESS_CHECK_TIMEOUT_MS: { key: 'readinessCheckTimeoutMs', schema: positiveInt().default(2000) },
+  SHUTDOWN_TIMEOUT_MS: { key: 'shutdownTimeoutMs', schema: positiveInt().default(25000) },
+  LOG_LEVEL: { key: 'logLevel', schema: z.enum(['debug', 'info', 'warn', 'error']).default('info') },
+  METRICS_TOKEN: { key: 'metricsToken', schema: optionalString(), secret: true },
+  PORT: { key: 'port', schema: positiveInt(65535).default(3001) },
+};
+
+const FIREBASE_SOURCES = ['FIREBASE_SERVICE_ACCOUNT_JSON', 'FIREBASE_SERVICE_ACCOUNT_PATH', 'FIREBASE_SERVICE_ACCOUNT_BASE64'];
+const SERVICE_ACCOUNT_FIELDS = ['project_id', 'client_email', 'private_key'];
+
+// Settings a feature cannot run without, checked at startup
+const REQUIREMENTS = [
+  { feature: 'Session tokens', when: () => true, settings: ['SESSION_SECRET'] },
+  { feature: 'Supabase storage (STORAGE_DRIVER=supabase)', when: (config) => config.storageDriver === 'supabase', settings: ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'] },
+  { feature: 'Twilio telephony (TELEPHONY_PROVIDER=twilio)', when: (config) => config.telephonyProvider === 'twilio', settings: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'] },
+  // Without a token /metrics is public, which is only fine outside production
+  { feature: 'metrics in production (NODE_ENV=production)', when: (config) => config.nodeEnv === 'production', settings: ['METRICS_TOKEN'] },
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Read the optional JSON config file named by CONFIG_FILE. Its keys are the
+// same names as the env vars, which take precedence over it.
+function readConfigFile(file, problems) {
+  if (!file) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    problems.push(`CONFIG_FILE: cannot read ${file} as JSON (${error.code || error.name})`);
+    return {};
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    problems.push(`CONFIG_FILE: ${file} must contain a JSON object`);
+    return {};
+  }
+  Object.keys(parsed)
+    .filter((name) => !SETTINGS[name])
+    .forEach((name) => problems.push(`CONFIG_FILE: unknown setting ${name}`));
+  return parsed;
+}
+
+// Turn whichever Firebase source is set into a service account object. Its
+// contents are a key, so errors never quote them.
+function loadServiceAccount(values, sources, problems) {
+  const given = FIREBASE_SOURCES.filter((name) => sources[name] !== 'default');
+  if (given.length === 0) return null;
+  if (given.length > 1) {
+    problems.push(`Only one of ${FIREBASE_SOURCES.join(', ')} may be set`);
+    return null;
+  }
+
+  const [name] = given;
+  let serviceAccount;
+  try {
+    if (name === 'FIREBASE_SERVICE_ACCOUNT_PATH') {
+      serviceAccount = JSON.parse(fs.readFileSync(path.resolve(values.firebaseServiceAccountPath), 'utf8'));
+    } else if (name === 'FIREBASE_SERVICE_ACCOUNT_BASE64') {
+      serviceAccount = JSON.parse(Buffer.from(values.firebaseServiceAccountBase64, 'base64').toString('utf8'));
+    } else {
+      const json = values.firebaseServiceAccountJson;
+      serviceAccount = typeof json === 'string' ? JSON.parse(json) : json;
+    }
+  } catch (error) {
+    problems.push(error.code === 'ENOENT' || error.code === 'EACCES'
+      ? `${name}: cannot read ${values.firebaseServiceAccountPath} (${error.code})`
+      : `${name}: not a valid service account JSON document`);
+    return null;
+  }
+
+  const missing = SERVICE_ACCOUNT_FIELDS.filter((field) => typeof serviceAccount?.[field] !== 'string' || !serviceAccount[field]);
+  if (missing.length > 0) {
+    problems.push(`${name}: service account is missing ${missing.join(', ')}`);
+    return null;
+  }
+
+  // Keys pasted into some dashboards arrive with escaped newlines
+  return { ...serviceAccount, private_key: serviceAccount.private_key.replace(/\\n/g, '\n') };
+}
+
+// Read every setting from `env` and the config file, apply defaults and check
+// types. Returns `{ config, sources, problems }`: a setting that fails to
+// parse keeps its default and is reported in `problems`, so building the app
+// around injected dependencies never throws here. `assertConfig` is what makes
+// the server refuse to start.
+function loadConfig({ env = process.env } = {}) {
+  const problems = [];
+  const file = readConfigFile(env.CONFIG_FILE, problems);
+  const config = {};
+  const sources = {};
+
+  for (const [name, { key, schema, secret }] of Object.entries(SETTINGS)) {
+    let raw;
+    if (env[name] !== undefined && env[name] !== '') {
+      raw = env[name];
+      sources[name] = 'env';
+    } else if (file[name] !== undefined && file[name] !== null && file[name] !== '') {
+      raw = file[name];
+      sources[name] = 'file';
+    } else {
+      sources[name] = 'default';
+    }
+
+    const result = schema.safeParse(raw);
+    if (result.success) {
+      config[key] = result.data;
+    } else {
+      problems.push(secret ? `${name}: invalid value` : `${name}: ${result.error.issues[0].message}`);
+      config[key] = schema.safeParse(undefined).data;
+      sources[name] = 'default';
+    }
+  }
+
+  config.firebaseServiceAccount = loadServiceAccount(config, sources, problems);
+
+  return { config: Object.freeze(config), sources, problems };
+}
+
+// Problems with a loaded config: invalid values, settings missing for the
+// features it enables and development-only settings left on in production
+function checkConfig({ config, problems }) {
+  const missing = REQUIREMENTS
+    .filter((requirement) => requirement.when(config))
+    .flatMap((requirement) => requirement.settings
+      .filter((name) => config[SETTINGS[name].key] === undefined)
+      .map((name) => `${name} is required for ${requirement.feature}`));
+  const unsafe = [];
+  // The fake provider only logs, so verification codes and crash calls would never arrive
+  if (config.nodeEnv === 'production' && config.telephonyProvider === 'fake') {
+    unsafe.push('TELEPHONY_PROVIDER: fake cannot be used when NODE_ENV=production, set twilio');
+  }
+  return [...problems, ...missing, ...unsafe];
+}
+
+// Effective value and origin (`env`, `file` or `default`) of every setting,
+// with secrets masked, for logging at startup
+function summarizeConfig({ config, sources }) {
+  return Object.entries(SETTINGS).map(([name, { key, secret }]) => {
+    const value = config[key] === undefined ? null : config[key];
+    return { name, value: secret && value !== null ? '[REDACTED]' : value, source: sources[name] };
+  });
+}
+
+const loaded = loadConfig();
+
+module.exports = {
+  // The process's configuration, read once from process.env and CONFIG_FILE
+  config: loaded.config,
+  // Throw a ConfigError listing every problem with the process's configuration
+  assertConfig: () => {
+    const problems = checkConfig(loaded);
+    if (problems.length > 0) throw new ConfigError(problems);
+  },
+  summarizeConfig: () => summarizeConfig(loaded),
+  loadConfig,
+  checkConfig,
+  ConfigError,
+};
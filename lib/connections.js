@@ -0,0 +1,108 @@
+const { ApiError } = require('./errors');
+
+// What each side of a connection, or a circle member towards the rest of the
+// circle, can allow the others to do:
+//   location     - see my live location, history, zones and zone alerts
+//   crash_alerts - receive my crash alerts and view my crash events
+//   profile      - view my profile, medical info and emergency contacts
+//   pings        - send me pings and notifications
+const PERMISSIONS = ['location', 'crash_alerts', 'profile', 'pings'];
+
+// New connections allow everything, as every connection did before permissions
+const DEFAULT_PERMISSIONS = Object.freeze(Object.fromEntries(PERMISSIONS.map((permission) => [permission, true])));
+
+// New circle memberships share nothing until the member opts in, since joining
+// puts them in a group with people they may never have paired with
+const NEW_MEMBER_PERMISSIONS = Object.freeze(Object.fromEntries(PERMISSIONS.map((permission) => [permission, false])));
+
+// A connection row is shared by both users; `initiator_permissions` holds what the
+// initiator grants the paired user and `paired_permissions` the reverse
+const permissionsColumn = (connection, grantorUserId) =>
+  (connection.initiator_user_id === grantorUserId ? 'initiator_permissions' : 'paired_permissions');
+
+const otherUserId = (connection, userId) =>
+  (connection.initiator_user_id === userId ? connection.paired_user_id : connection.initiator_user_id);
+
+// Permissions `grantorUserId` grants the other side of a connection
+const grantedBy = (connection, grantorUserId) =>
+  ({ ...DEFAULT_PERMISSIONS, ...connection[permissionsColumn(connection, grantorUserId)] });
+
+// Permissions a circle member grants everyone else in the circle; anything the
+// membership does not set is not shared
+const grantedByMember = (membership) => ({ ...NEW_MEMBER_PERMISSIONS, ...membership.permissions });
+
+// Every grant `grantorUserId` has towards `granteeUserId`: from their connection
+// and from each circle both belong to. Empty if they share neither.
+async function grantsBetween(storage, grantorUserId, granteeUserId) {
+  const [connection, grantorMemberships, granteeMemberships] = await Promise.all([
+    storage.connections.find(grantorUserId, granteeUserId),
+    storage.circles.listMemberships(grantorUserId),
+    storage.circles.listMemberships(granteeUserId),
+  ]);
+
+  const sharedCircleIds = new Set(granteeMemberships.map((membership) => membership.circle_id));
+  return [
+    ...(connection ? [grantedBy(connection, grantorUserId)] : []),
+    ...grantorMemberships.filter((membership) => sharedCircleIds.has(membership.circle_id)).map(grantedByMember),
+  ];
+}
+
+// Whether `grantorUserId` allows `granteeUserId` a permission, through a
+// connection or a shared circle; false if they share neither
+async function isAllowed(storage, grantorUserId, granteeUserId, permission) {
+  const grants = await grantsBetween(storage, grantorUserId, granteeUserId);
+  return grants.some((grant) => grant[permission]);
+}
+
+// Throw a 403 unless `grantorUserId` allows `granteeUserId` a permission. Users
+// sharing no connection or circle get NOT_PAIRED, others PERMISSION_DENIED.
+async function assertAllowed(storage, grantorUserId, granteeUserId, permission, message) {
+  const grants = await grantsBetween(storage, grantorUserId, granteeUserId);
+
+  if (grants.length === 0) {
+    throw new ApiError(403, message, { code: 'NOT_PAIRED' });
+  }
+  if (!grants.some((grant) => grant[permission])) {
+    throw new ApiError(403, message, { code: 'PERMISSION_DENIED' });
+  }
+}
+
+// Ids of the connected users and fellow circle members `grantorUserId` allows a permission
+async function listGrantees(storage, grantorUserId, permission) {
+  const [connections, memberships] = await Promise.all([
+    storage.connections.listForUser(grantorUserId),
+    storage.circles.listMemberships(grantorUserId),
+  ]);
+
+  const ids = connections
+    .filter((connection) => grantedBy(connection, grantorUserId)[permission])
+    .map((connection) => otherUserId(connection, grantorUserId));
+
+  for (const membership of memberships.filter((row) => grantedByMember(row)[permission])) {
+    const members = await storage.circles.listMembers(membership.circle_id);
+    ids.push(...members.map((member) => member.user_id).filter((userId) => userId !== grantorUserId));
+  }
+  return [...new Set(ids)];
+}
+
+// A connection as seen by one of its users
+const formatConnection = (connection, userId) => ({
+  pairedUserId: otherUserId(connection, userId),
+  pairedAt: connection.paired_at,
+  granted: grantedBy(connection, userId),
+  received: grantedBy(connection, otherUserId(connection, userId)),
+});
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_PERMISSIONS,
+  NEW_MEMBER_PERMISSIONS,
+  permissionsColumn,
+  otherUserId,
+  grantedBy,
+  grantedByMember,
+  isAllowed,
+  assertAllowed,
+  listGrantees,
+  formatConnection,
+};
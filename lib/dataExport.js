@@ -0,0 +1,110 @@
+const archiver = require('archiver');
+const { formatConnection } = require('./connections');
+const { formatContact } = require('./emergencyContacts');
+const { logger } = require('./logger');
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+// Everything stored about a user, in the shape the API uses elsewhere. Every
+// dataset is read in full, page by page, so the export is never cut short.
+async function buildExport(storage, userId) {
+  const [user, contacts, connections, circles, pings, codeUsage, locations] = await Promise.all([
+    storage.users.findById(userId),
+    storage.emergencyContacts.listForUser(userId),
+    storage.connections.listForUser(userId),
+    storage.circles.listForUser(userId),
+    storage.pings.listForUser(userId, { limit: Infinity }),
+    storage.codeUsage.listByUser(userId, { limit: Infinity }),
+    storage.locations.listForUser(userId, { from: new Date(0).toISOString(), to: new Date().toISOString(), limit: Infinity }),
+  ]);
+
+  if (!user) return null;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user.id,
+      deviceId: user.device_id,
+      deviceName: user.device_name,
+      fullName: user.full_name,
+      birthday: user.birthday,
+      address: user.address,
+      createdAt: user.created_at,
+    },
+    emergencyContacts: contacts.map(formatContact),
+    connections: connections.map((connection) => formatConnection(connection, userId)),
+    circles: circles.map((circle) => ({ id: circle.id, name: circle.name, role: circle.role, createdAt: circle.created_at })),
+    pings: pings.map((ping) => ({
+      id: ping.id,
+      direction: ping.from_user_id === userId ? 'sent' : 'received',
+      type: ping.type,
+      fromUserId: ping.from_user_id,
+      toUserId: ping.to_user_id,
+      message: ping.message,
+      createdAt: ping.created_at,
+      readAt: ping.read_at || null,
+      replyToPingId: ping.reply_to_ping_id || null,
+      replyStatus: ping.reply_status || null,
+    })),
+    codeUsage: codeUsage.map((usage) => ({
+      id: usage.id,
+      code: usage.code,
+      ownerDeviceName: usage.owner_device_name,
+      usedAt: usage.timestamp,
+    })),
+    locations: locations.map((point) => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy,
+      recordedAt: point.recorded_at,
+    })),
+  };
+}
+
+// Nested objects become prefixed columns: { granted: { location } } -> granted_location
+const flatten = (row, prefix = '') => Object.entries(row).reduce((flat, [key, value]) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? { ...flat, ...flatten(value, `${prefix}${key}_`) }
+    : { ...flat, [`${prefix}${key}`]: value }
+), {});
+
+// Quote cells that need it, and defuse text a spreadsheet would run as a
+// formula (plain signed numbers such as phone numbers are left alone)
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value === 'string' && (/^[=@\t\r]/.test(text) || /^[+-](?!\d+(\.\d+)?$)/.test(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(rows) {
+  const flatRows = rows.map((row) => flatten(row));
+  const columns = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+  if (columns.length === 0) return '';
+
+  return [columns, ...flatRows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+// Stream an export as a zip with one CSV per dataset
+async function sendExportZip(res, bundle, filename) {
+  const archive = archiver('zip');
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+  archive.on('error', (error) => {
+    logger.error('Error building data export zip', { err: error });
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  Object.entries(bundle)
+    .filter(([, value]) => value && typeof value === 'object')
+    .forEach(([name, value]) => archive.append(toCsv(Array.isArray(value) ? value : [value]), { name: `${name}.csv` }));
+
+  await archive.finalize();
+}
+
+module.exports = { buildExport, sendExportZip, EXPORT_FORMATS };
@@ -0,0 +1,125 @@
+const { buildDeviceStatusMessage } = require('./push/messages');
+const { listGrantees } = require('./connections');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// A detector that has not sent a heartbeat for this long is offline
+const DEVICE_OFFLINE_AFTER_SECONDS = config.deviceOfflineAfterSeconds;
+// Battery level (percent) at or below which paired users are warned
+const LOW_BATTERY_PERCENT = config.lowBatteryPercent;
+// The battery must climb this far above the threshold before it can warn again,
+// so a level hovering around the threshold does not alert on every heartbeat
+const LOW_BATTERY_HYSTERESIS_PERCENT = 5;
+const DEVICE_STATUS_POLL_INTERVAL_MS = 60 * 1000;
+
+// A user's detector status as shown to them and their paired users. A device
+// past its deadline is reported offline even before the checker has marked it.
+// The detector's id is left out; only its owner gets it back, from the heartbeat.
+const formatDeviceStatus = (row) => {
+  if (!row) return null;
+
+  const overdue = Date.now() - new Date(row.last_seen_at).getTime() > DEVICE_OFFLINE_AFTER_SECONDS * 1000;
+  return {
+    status: row.status === 'online' && overdue ? 'offline' : row.status,
+    lastSeenAt: row.last_seen_at,
+    offlineSince: row.offline_since,
+    batteryLevel: row.battery_level,
+    lowBattery: row.low_battery,
+    firmwareVersion: row.firmware_version,
+    signalStrength: row.signal_strength,
+    sensorHealth: row.sensor_health,
+  };
+};
+
+// Tracks detector heartbeats and alerts paired users who receive the owner's
+// crash alerts when a detector goes offline, comes back, or runs low on
+// battery. Low battery and recovery are noticed as heartbeats arrive; missed
+// heartbeats are found by a sweeper, which claims each offline transition with
+// a conditional update so only one sweep alerts about it.
+function createDeviceMonitor({ storage, events, push, outbox }) {
+  let timer = null;
+
+  const notify = async (userId, kind, data) => {
+    const recipientIds = await listGrantees(storage, userId, 'crash_alerts');
+    if (recipientIds.length === 0) return;
+
+    const owner = await storage.users.findById(userId);
+    events.publish(recipientIds, `device.${kind}`, { userId, deviceName: owner?.device_name || null, ...data });
+
+    const recipients = await storage.users.listByIds(recipientIds);
+    const payload = buildDeviceStatusMessage(owner?.device_name, kind, { userId, ...data });
+    const jobs = recipients
+      .map((recipient) => push.jobFor(recipient, { kind: 'device_status', senderUserId: userId, payload }))
+      .filter(Boolean);
+    if (jobs.length > 0) await outbox.enqueueAndSend(jobs);
+  };
+
+  // Heartbeats must not fail because an alert did
+  const notifySafely = (userId, kind, data) => notify(userId, kind, data)
+    .catch((error) => logger.error('Error sending device alert', { kind, userId, err: error }));
+
+  // Store a heartbeat from a user's detector and return the new status
+  const recordHeartbeat = async (userId, { deviceId, batteryLevel, firmwareVersion, signalStrength, sensorHealth }) => {
+    const previous = await storage.deviceStatus.findByUserId(userId);
+    const wasLow = previous?.low_battery || false;
+    const lowBattery = batteryLevel !== null
+      && batteryLevel <= (wasLow ? LOW_BATTERY_PERCENT + LOW_BATTERY_HYSTERESIS_PERCENT : LOW_BATTERY_PERCENT);
+    const now = new Date().toISOString();
+
+    const row = await storage.deviceStatus.upsert(userId, {
+      device_id: deviceId,
+      status: 'online',
+      last_seen_at: now,
+      offline_since: null,
+      battery_level: batteryLevel,
+      low_battery: lowBattery,
+      firmware_version: firmwareVersion,
+      signal_strength: signalStrength,
+      sensor_health: sensorHealth,
+      updated_at: now,
+    });
+
+    if (previous?.status === 'offline') {
+      await notifySafely(userId, 'online', { lastSeenAt: now, offlineSince: previous.offline_since, batteryLevel });
+    }
+    if (lowBattery && !wasLow) {
+      await notifySafely(userId, 'low_battery', { lastSeenAt: now, batteryLevel });
+    }
+    return row;
+  };
+
+  // Mark every device whose heartbeats stopped as offline and alert about it
+  const sweep = async () => {
+    const before = new Date(Date.now() - DEVICE_OFFLINE_AFTER_SECONDS * 1000).toISOString();
+    const overdue = await storage.deviceStatus.listOverdue(before);
+
+    for (const row of overdue) {
+      try {
+        const now = new Date().toISOString();
+        const claimed = await storage.deviceStatus.claimOffline(row.user_id, row.last_seen_at, { offline_since: now, updated_at: now });
+        if (!claimed) continue;
+
+        logger.info('Device is offline', { userId: row.user_id, lastSeenAt: row.last_seen_at });
+        await notify(row.user_id, 'offline', { lastSeenAt: row.last_seen_at, batteryLevel: row.battery_level });
+      } catch (error) {
+        logger.error('Error marking device offline', { userId: row.user_id, err: error });
+      }
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweep().catch((error) => logger.error('Device status sweep failed', { err: error }));
+    }, DEVICE_STATUS_POLL_INTERVAL_MS);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { recordHeartbeat, sweep, start, stop };
+}
+
+module.exports = { createDeviceMonitor, formatDeviceStatus, DEVICE_OFFLINE_AFTER_SECONDS };
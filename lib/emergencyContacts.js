@@ -0,0 +1,22 @@
+// How a contact prefers to be reached when a crash is escalated to them
+const CONTACT_CHANNELS = ['sms', 'voice', 'both'];
+
+// Channels to use for a contact; `voiceCalls` adds a call for every contact
+const channelsFor = (contact, voiceCalls = false) => {
+  if (contact.preferred_channel === 'voice') return ['voice'];
+  return contact.preferred_channel === 'both' || voiceCalls ? ['sms', 'voice'] : ['sms'];
+};
+
+const formatContact = (contact) => ({
+  id: contact.id,
+  name: contact.name,
+  phone: contact.phone,
+  relationship: contact.relationship,
+  priority: contact.priority,
+  preferredChannel: contact.preferred_channel,
+  verified: Boolean(contact.verified_at),
+  verifiedAt: contact.verified_at,
+  phoneNeedsUpdate: Boolean(contact.phone_needs_update),
+});
+
+module.exports = { CONTACT_CHANNELS, channelsFor, formatContact };
@@ -0,0 +1,71 @@
+const { ConflictError } = require('./storage/errors');
+const { logger } = require('./logger');
+
+// Default error code for each status; routes pass a more specific code where
+// clients need to tell failures with the same status apart
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  429: 'RATE_LIMITED',
+  502: 'UPSTREAM_FAILED',
+};
+
+// An error that is safe to show to the client. Every error response has the
+// shape `{ error, code, details? }`: a human readable message, a stable
+// machine readable code and, for validation errors, field-level details.
+class ApiError extends Error {
+  constructor(status, message, { code = DEFAULT_CODES[status] || 'ERROR', details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toBody = (error) => ({
+  error: error.message,
+  code: error.code,
+  ...(error.details ? { details: error.details } : {}),
+});
+
+function sendError(res, error) {
+  // Picked up by request logging and metrics
+  res.locals.errorCode = error.code;
+  return res.status(error.status).json(toBody(error));
+}
+
+// Express error middleware turning anything thrown or passed to next() into
+// the uniform error shape. Unexpected errors are logged and reported without
+// their message, so storage and provider internals never reach clients.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ApiError) {
+    return sendError(res, err);
+  }
+  if (err instanceof ConflictError) {
+    return sendError(res, new ApiError(409, 'Resource already exists'));
+  }
+  // Malformed or oversized JSON bodies rejected by express.json()
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' }));
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, new ApiError(413, 'Request body is too large', { code: 'PAYLOAD_TOO_LARGE' }));
+  }
+
+  logger.error('Unhandled error', { method: req.method, path: req.path, err, stack: err.stack });
+  return sendError(res, new ApiError(500, 'Internal server error', { code: 'INTERNAL_ERROR' }));
+}
+
+// Fallback for requests that matched no route
+function notFoundHandler(req, res, next) {
+  next(new ApiError(404, `Route ${req.method} ${req.path} not found`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+module.exports = { ApiError, sendError, errorHandler, notFoundHandler };
@@ -0,0 +1,168 @@
+const { channelsFor } = require('./emergencyContacts');
+const { config } = require('./config');
+const { logger, redact } = require('./logger');
+
+const ESCALATION_WINDOW_SECONDS = config.crashEscalationWindowSeconds;
+const ESCALATION_STEP_SECONDS = config.crashEscalationStepSeconds;
+const ESCALATION_POLL_INTERVAL_MS = 10 * 1000;
+
+// Acknowledgement statuses a paired user can set on a crash event
+const ACKNOWLEDGEMENT_STATUSES = ['acknowledged', 'responding', 'false_alarm'];
+
+const secondsFromNow = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+
+function buildEscalationMessage(user, crashEvent) {
+  const who = user.full_name || user.device_name;
+  const when = new Date(crashEvent.occurred_at).toUTCString();
+  let message = `EMERGENCY: ${who} may have been in a crash at ${when}.`;
+
+  if (crashEvent.latitude !== null && crashEvent.longitude !== null) {
+    message += ` Last known location: https://maps.google.com/?q=${crashEvent.latitude},${crashEvent.longitude}.`;
+  }
+  return `${message} None of their paired contacts has responded. Please check on them or call emergency services.`;
+}
+
+// Escalates unacknowledged crash events to the user's emergency contacts.
+// Pending escalations are tracked through `next_escalation_at` on the crash
+// event itself, so a restart does not lose them: a sweeper picks up every open
+// event whose deadline has passed.
+function createEscalationEngine({ storage, telephony, voiceCalls = config.crashEscalationVoiceCalls }) {
+  let timer = null;
+
+  const recordTimeline = async (crashEventId, type, { actorUserId = null, detail = null } = {}) => {
+    try {
+      await storage.crashEvents.addTimelineEntry({
+        crash_event_id: crashEventId,
+        type,
+        actor_user_id: actorUserId,
+        detail,
+      });
+    } catch (error) {
+      logger.error('Error recording crash timeline entry', { type, err: error });
+    }
+  };
+
+  // Deadline for the first escalation of a new event
+  const acknowledgementDeadline = () => secondsFromNow(ESCALATION_WINDOW_SECONDS);
+
+  // Run the next escalation step for an event: contact the emergency contact
+  // with the next priority. The step is claimed with a conditional update so two
+  // sweeps can never contact the same person twice.
+  const escalate = async (crashEvent) => {
+    const level = crashEvent.escalation_level;
+    // Numbers that could not be brought into E.164 cannot be texted or called
+    const contacts = (await storage.emergencyContacts.listForUser(crashEvent.user_id))
+      .filter((contact) => !contact.phone_needs_update);
+    const remainingSteps = contacts.length - level - 1;
+
+    const claimed = await storage.crashEvents.claimEscalation(crashEvent.id, level, {
+      escalation_level: level + 1,
+      next_escalation_at: remainingSteps > 0 ? secondsFromNow(ESCALATION_STEP_SECONDS) : null,
+      status: remainingSteps > 0 ? 'open' : 'escalated',
+    });
+    if (!claimed) return;
+
+    const user = await storage.users.findById(crashEvent.user_id);
+    if (!user) {
+      await recordTimeline(crashEvent.id, 'escalation_failed', { detail: { level: level + 1, reason: 'user_not_found' } });
+      return;
+    }
+
+    const contact = contacts[level];
+
+    if (!contact) {
+      await recordTimeline(crashEvent.id, 'escalation_skipped', {
+        detail: { level: level + 1, reason: 'no_emergency_contact' },
+      });
+      return;
+    }
+
+    const message = buildEscalationMessage(user, crashEvent);
+
+    for (const channel of channelsFor(contact, voiceCalls)) {
+      try {
+        const result = channel === 'sms'
+          ? await telephony.sendSms(contact.phone, message)
+          : await telephony.placeCall(contact.phone, message);
+
+        logger.info('Crash escalated to emergency contact', { crashEventId: crashEvent.id, level: level + 1, channel });
+        // Paired users see the timeline too, so the contact is only named by id
+        await recordTimeline(crashEvent.id, 'escalated', {
+          detail: {
+            level: level + 1,
+            channel,
+            contactId: contact.id,
+            contactVerified: Boolean(contact.verified_at),
+            provider: telephony.name,
+            providerMessageId: result.id,
+          },
+        });
+      } catch (error) {
+        logger.error('Error escalating crash', { crashEventId: crashEvent.id, channel, err: error });
+        await recordTimeline(crashEvent.id, 'escalation_failed', {
+          detail: { level: level + 1, channel, contactId: contact.id, reason: redact(error.message) },
+        });
+      }
+    }
+  };
+
+  // Escalate every open event whose acknowledgement window has run out
+  const sweep = async () => {
+    const dueEvents = await storage.crashEvents.listDueForEscalation(new Date().toISOString());
+
+    for (const crashEvent of dueEvents) {
+      try {
+        await escalate(crashEvent);
+      } catch (escalationError) {
+        logger.error('Error escalating crash event', { crashEventId: crashEvent.id, err: escalationError });
+      }
+    }
+  };
+
+  // Events nobody can be alerted about must not wait out the acknowledgement
+  // window, so they escalate straight away. `reachableCount` counts alerts that
+  // were sent or are still being retried.
+  const escalateIfUnreachable = async (crashEvent, reachableCount) => {
+    if (reachableCount > 0) return;
+
+    await recordTimeline(crashEvent.id, 'no_paired_user_alerted');
+    await escalate(crashEvent);
+  };
+
+  // Record a paired user's response. Any acknowledgement stops further
+  // escalation; a false alarm also closes the event.
+  const acknowledge = async (crashEvent, actorUserId, status, note) => {
+    const updated = await storage.crashEvents.update(crashEvent.id, {
+      status,
+      next_escalation_at: null,
+      resolved_at: status === 'false_alarm' ? new Date().toISOString() : crashEvent.resolved_at || null,
+    });
+
+    await recordTimeline(crashEvent.id, status, { actorUserId, detail: note ? { note } : null });
+    return updated;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweep().catch((error) => logger.error('Crash escalation sweep failed', { err: error }));
+    }, ESCALATION_POLL_INTERVAL_MS);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    recordTimeline,
+    acknowledgementDeadline,
+    escalateIfUnreachable,
+    acknowledge,
+    sweep,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createEscalationEngine, ACKNOWLEDGEMENT_STATUSES };
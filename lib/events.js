@@ -0,0 +1,99 @@
+const { listGrantees } = require('./connections');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// How many recent events are kept so reconnecting clients can catch up
+const DEFAULT_BUFFER_SIZE = config.eventBufferSize;
+
+// In-process bus for real-time events. Each event is addressed to a set of
+// users and gets a monotonically increasing id. The last `bufferSize` events are
+// kept in a ring buffer so a client that reconnects with its last seen id can be
+// sent what it missed. Events are not persisted and ids restart with the process,
+// so clients fall back to refetching state when a resume is not possible.
+function createEventBus({ storage, bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  const buffer = new Array(bufferSize);
+  const listeners = new Map(); // userId -> Set of listeners
+  const closers = new Map(); // listener -> onClose
+  let lastId = 0;
+
+  const bufferedSince = (afterId) => {
+    const events = [];
+    for (let id = Math.max(afterId + 1, lastId - bufferSize + 1); id <= lastId; id += 1) {
+      events.push(buffer[id % bufferSize]);
+    }
+    return events;
+  };
+
+  // Send an event to every listener of the given users
+  const publish = (userIds, type, data) => {
+    const recipients = new Set(userIds.filter(Boolean));
+    if (recipients.size === 0) return null;
+
+    lastId += 1;
+    const event = { id: lastId, type, data, recipients, createdAt: new Date().toISOString() };
+    buffer[lastId % bufferSize] = event;
+
+    for (const userId of recipients) {
+      for (const listener of listeners.get(userId) || []) {
+        try {
+          listener(event);
+        } catch (error) {
+          logger.error('Event listener failed', { userId, err: error });
+        }
+      }
+    }
+    return event;
+  };
+
+  // Send an event to everyone paired with a user (and the user too with
+  // `includeSelf`), or only to those the user allows `permission`
+  const publishToConnections = async (userId, type, data, { includeSelf = false, permission } = {}) => {
+    const userIds = permission
+      ? await listGrantees(storage, userId, permission)
+      : await storage.connections.listConnectedUserIds(userId);
+    return publish(includeSelf ? [userId, ...userIds] : userIds, type, data);
+  };
+
+  // Listen for a user's events. Returns `{ missed, resumed, unsubscribe }`, where
+  // `missed` holds buffered events after `lastEventId` and `resumed` is false if
+  // that id is unknown or too old to replay from. `onClose` is called if the
+  // bus is closed while the subscription is open.
+  const subscribe = (userId, listener, { lastEventId = null, onClose } = {}) => {
+    if (!listeners.has(userId)) listeners.set(userId, new Set());
+    listeners.get(userId).add(listener);
+    if (onClose) closers.set(listener, onClose);
+
+    let missed = [];
+    let resumed = lastEventId === null;
+    if (lastEventId !== null) {
+      resumed = lastEventId <= lastId && lastEventId >= lastId - bufferSize;
+      if (resumed) {
+        missed = bufferedSince(lastEventId).filter((event) => event.recipients.has(userId));
+      }
+    }
+
+    const unsubscribe = () => {
+      const userListeners = listeners.get(userId);
+      if (!userListeners) return;
+      userListeners.delete(listener);
+      closers.delete(listener);
+      if (userListeners.size === 0) listeners.delete(userId);
+    };
+
+    return { missed, resumed, unsubscribe };
+  };
+
+  const subscriberCount = () => [...listeners.values()].reduce((total, set) => total + set.size, 0);
+
+  // End every open subscription, on shutdown
+  const close = () => {
+    const onCloses = [...closers.values()];
+    listeners.clear();
+    closers.clear();
+    onCloses.forEach((onClose) => onClose());
+  };
+
+  return { publish, publishToConnections, subscribe, subscriberCount, close };
+}
+
+module.exports = { createEventBus };
@@ -0,0 +1,109 @@
+const { buildZoneMessage } = require('./push/messages');
+const { isAllowed } = require('./connections');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// A new inside/outside state must hold for this long before it counts as a transition
+const ZONE_DEBOUNCE_SECONDS = config.zoneDebounceSeconds;
+// Fixes less accurate than this are too noisy to decide anything
+const ZONE_MAX_ACCURACY_METERS = config.zoneMaxAccuracyMeters;
+
+const EARTH_RADIUS_METERS = 6371000;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points in meters
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Ray casting test; fine for zones the size of a neighbourhood
+function isInsidePolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude)
+      && point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function isInsideZone(zone, point) {
+  if (zone.shape === 'circle') {
+    return distanceMeters({ latitude: zone.center_latitude, longitude: zone.center_longitude }, point) <= zone.radius_meters;
+  }
+  return isInsidePolygon(point, zone.polygon);
+}
+
+// Tracks whether each user is inside their zones and alerts subscribed paired
+// users on enter/exit. A changed state is first recorded as pending and only
+// becomes a transition once it has held for ZONE_DEBOUNCE_SECONDS, so GPS
+// jitter around a zone's edge does not spam alerts.
+function createGeofenceEngine({ storage, events, push, outbox }) {
+  const notifyTransition = async (zone, owner, transition) => {
+    const subscriberIds = await storage.zones.listSubscriberIds(zone.id);
+    const connected = [];
+    for (const subscriberId of subscriberIds) {
+      if (await isAllowed(storage, zone.user_id, subscriberId, 'location')) connected.push(subscriberId);
+    }
+    if (connected.length === 0) return;
+
+    events.publish(connected, `zone.${transition}`, {
+      zoneId: zone.id,
+      zoneName: zone.name,
+      userId: zone.user_id,
+      deviceName: owner?.device_name || null,
+    });
+
+    const subscribers = await storage.users.listByIds(connected);
+    const payload = buildZoneMessage(owner?.device_name, zone, transition);
+    const jobs = subscribers
+      .map((subscriber) => push.jobFor(subscriber, { kind: 'zone', senderUserId: zone.user_id, payload }))
+      .filter(Boolean);
+    if (jobs.length > 0) await outbox.enqueueAndSend(jobs);
+  };
+
+  // Check a new location of a user against all of their zones
+  const evaluate = async (userId, point) => {
+    if (point.accuracy && point.accuracy > ZONE_MAX_ACCURACY_METERS) return;
+
+    const zones = await storage.zones.listForUser(userId);
+    if (zones.length === 0) return;
+
+    const now = new Date(point.recorded_at || Date.now());
+    let owner;
+
+    for (const zone of zones) {
+      const observed = isInsideZone(zone, point) ? 'inside' : 'outside';
+
+      if (!zone.state) {
+        // First fix for this zone: nothing to compare with, just record it
+        await storage.zones.update(zone.id, { state: observed, state_changed_at: now.toISOString(), pending_state: null, pending_since: null });
+      } else if (observed === zone.state) {
+        if (zone.pending_state) await storage.zones.update(zone.id, { pending_state: null, pending_since: null });
+      } else if (zone.pending_state !== observed) {
+        await storage.zones.update(zone.id, { pending_state: observed, pending_since: now.toISOString() });
+      } else if (now - new Date(zone.pending_since) >= ZONE_DEBOUNCE_SECONDS * 1000) {
+        await storage.zones.update(zone.id, { state: observed, state_changed_at: now.toISOString(), pending_state: null, pending_since: null });
+
+        const transition = observed === 'inside' ? 'entered' : 'exited';
+        logger.info('Zone transition', { userId, transition, zoneId: zone.id });
+        owner = owner || (await storage.users.findById(userId));
+        await notifyTransition(zone, owner, transition);
+      }
+    }
+  };
+
+  // Location updates must not fail because a zone check did
+  const evaluateSafely = (userId, point) => evaluate(userId, point)
+    .catch((error) => logger.error('Error evaluating zones', { userId, err: error }));
+
+  return { evaluate, evaluateSafely };
+}
+
+module.exports = { createGeofenceEngine, distanceMeters, isInsideZone };
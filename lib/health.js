@@ -0,0 +1,72 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const READINESS_CHECK_TIMEOUT_MS = config.readinessCheckTimeoutMs;
+
+// Reject if `promise` has not settled within `ms`
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Readiness of this instance to serve traffic: storage must answer within the
+// timeout and every configured push provider must be able to send. Results
+// only say what failed; the reason is logged, so probes cannot be used to
+// learn about the configuration.
+function createHealthChecks({ storage, push, timeoutMs = READINESS_CHECK_TIMEOUT_MS }) {
+  let shuttingDown = false;
+
+  const checkStorage = async () => {
+    const startedAt = Date.now();
+    try {
+      await withTimeout(storage.ping(), timeoutMs);
+      return { status: 'ok', durationMs: Date.now() - startedAt };
+    } catch (error) {
+      logger.error('Storage readiness check failed', { driver: storage.driver, err: error });
+      return { status: 'fail', durationMs: Date.now() - startedAt };
+    }
+  };
+
+  const checkPush = () => {
+    const providers = {};
+    let ok = true;
+
+    for (const provider of push.providers.values()) {
+      if (!provider.enabled) {
+        providers[provider.name] = 'disabled';
+      } else if (provider.isReady()) {
+        providers[provider.name] = 'ready';
+      } else {
+        providers[provider.name] = 'unavailable';
+        ok = false;
+      }
+    }
+
+    return { status: ok ? 'ok' : 'fail', providers };
+  };
+
+  // Resolves to `{ ready, status, checks }`; never throws
+  const check = async () => {
+    const checks = { storage: await checkStorage(), push: checkPush() };
+    const ready = !shuttingDown && Object.values(checks).every((result) => result.status === 'ok');
+
+    let status = 'ready';
+    if (shuttingDown) status = 'shutting_down';
+    else if (!ready) status = 'not_ready';
+
+    return { ready, status, checks };
+  };
+
+  // From now on the instance reports itself not ready, so load balancers
+  // stop sending it new requests while it drains
+  const markShuttingDown = () => {
+    shuttingDown = true;
+  };
+
+  return { check, markShuttingDown, isShuttingDown: () => shuttingDown };
+}
+
+module.exports = { createHealthChecks };
@@ -0,0 +1,94 @@
+// Thin out a time-ordered trail to at most `maxPoints` points. The range is
+// split into equal time buckets and the first point of each bucket is kept, so
+// sparse stretches keep all their points while dense ones are thinned. The last
+// point is always kept so the trail ends where the user actually was.
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints || maxPoints < 2) return points;
+
+  const start = new Date(points[0].recorded_at).getTime();
+  const end = new Date(points[points.length - 1].recorded_at).getTime();
+  const bucketMs = Math.max((end - start) / (maxPoints - 1), 1);
+
+  const kept = [];
+  let lastBucket = -1;
+  for (const point of points.slice(0, -1)) {
+    const bucket = Math.floor((new Date(point.recorded_at).getTime() - start) / bucketMs);
+    if (bucket !== lastBucket) {
+      kept.push(point);
+      lastBucket = bucket;
+    }
+  }
+  kept.push(points[points.length - 1]);
+  return kept;
+}
+
+// GeoJSON FeatureCollection with the trail as a LineString plus one Point per fix
+function toGeoJson(points, properties = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map((point) => [point.longitude, point.latitude]),
+        },
+        properties: {
+          ...properties,
+          startedAt: points[0]?.recorded_at || null,
+          endedAt: points[points.length - 1]?.recorded_at || null,
+          pointCount: points.length,
+        },
+      },
+      ...points.map((point) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+        properties: { recordedAt: point.recorded_at, accuracy: point.accuracy },
+      })),
+    ],
+  };
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// GPX 1.1 document with the trail as a single track segment
+function toGpx(points, name = 'Location trail') {
+  const trackPoints = points.map((point) =>
+    `      <trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${new Date(point.recorded_at).toISOString()}</time></trkpt>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="esp32-detector-backend" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+// Send a trail in the requested format (`json`, `geojson` or `gpx`). Exports
+// are sent as attachments named after `filename`.
+function sendTrail(res, format, points, { name, filename, json }) {
+  switch (format) {
+    case 'geojson':
+      res.set('Content-Disposition', `attachment; filename="${filename}.geojson"`);
+      return res.type('application/geo+json').send(JSON.stringify(toGeoJson(points, { name })));
+    case 'gpx':
+      res.set('Content-Disposition', `attachment; filename="${filename}.gpx"`);
+      return res.type('application/gpx+xml').send(toGpx(points, name));
+    default:
+      return res.json(json);
+  }
+}
+
+const TRAIL_FORMATS = ['json', 'geojson', 'gpx'];
+
+module.exports = { downsample, toGeoJson, toGpx, sendTrail, TRAIL_FORMATS };
@@ -0,0 +1,78 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = config.logLevel;
+
+// Fields whose values are never logged, whatever they contain
+const SENSITIVE_KEY = /token|secret|password|authorization|cookie|private_?key|api_?key|phone|address|code_hash/i;
+// Sensitive text that turns up inside messages and free-form values
+const SENSITIVE_TEXT = [
+  [/Bearer\s+[\w.~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/\+\d{7,15}\b/g, '[PHONE]'],
+];
+const MAX_DEPTH = 5;
+
+// Request-scoped fields (the request id) added to every line logged while
+// handling the request, including from code that never sees `req`
+const context = new AsyncLocalStorage();
+
+const redactText = (text) => SENSITIVE_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// Copy of a value that is safe to log: sensitive fields and text are masked
+// and errors are reduced to their name, message and code, so provider and
+// storage error objects cannot leak request details or credentials
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactText(value.message),
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.status !== undefined ? { status: value.status } : {}),
+    };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? '[REDACTED]' : redact(item, depth + 1),
+  ]));
+}
+
+// Write one JSON line per entry: warnings and errors to stderr, the rest to stdout
+const write = (level, bound, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(message),
+    ...context.getStore(),
+    ...redact({ ...bound, ...fields }),
+  };
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+};
+
+// Structured logger. Every method takes a message and optional fields:
+//   logger.error('Error sending SMS', { contactId, err: error })
+// `child(fields)` returns a logger that adds `fields` to every line.
+function createLogger(bound = {}) {
+  return {
+    debug: (message, fields) => write('debug', bound, message, fields),
+    info: (message, fields) => write('info', bound, message, fields),
+    warn: (message, fields) => write('warn', bound, message, fields),
+    error: (message, fields) => write('error', bound, message, fields),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  };
+}
+
+const logger = createLogger();
+
+// Run `fn` with `fields` attached to everything it logs
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+module.exports = { logger, redact, runWithContext, LOG_LEVEL };
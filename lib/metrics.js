@@ -0,0 +1,73 @@
+const client = require('prom-client');
+const { routeLabel } = require('./requestContext');
+
+// Prometheus metrics for one app. Each app gets its own registry, so several
+// apps in one process (tests) do not clash.
+function createMetrics() {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+  });
+
+  const httpErrors = new client.Counter({
+    name: 'http_request_errors_total',
+    help: 'HTTP requests answered with an error, by route and error code',
+    labelNames: ['method', 'route', 'status', 'code'],
+    registers: [registry],
+  });
+
+  const notificationOutcomes = new client.Counter({
+    name: 'notifications_total',
+    help: 'Push notification delivery attempts by outcome (sent, retry, dead)',
+    labelNames: ['kind', 'provider', 'outcome'],
+    registers: [registry],
+  });
+
+  const crashAlertLatency = new client.Histogram({
+    name: 'crash_alert_latency_seconds',
+    help: 'Time from a crash alert being queued to the push provider accepting it',
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 30, 60, 120, 300, 900],
+    registers: [registry],
+  });
+
+  // Middleware timing every request and counting errors
+  const middleware = (req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+      endTimer(labels);
+      if (res.statusCode >= 400) {
+        httpErrors.inc({ ...labels, code: res.locals.errorCode || 'UNKNOWN' });
+      }
+    });
+    next();
+  };
+
+  // Record the outcome of one delivery attempt of an outbox job
+  const recordNotification = (job, outcome) => {
+    notificationOutcomes.inc({ kind: job.kind, provider: job.provider, outcome });
+    if (outcome === 'sent' && job.kind === 'crash') {
+      crashAlertLatency.observe((Date.now() - new Date(job.created_at).getTime()) / 1000);
+    }
+  };
+
+  // GET handler serving the registry in the Prometheus text format
+  const handler = async (req, res, next) => {
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.send(await registry.metrics());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { registry, middleware, recordNotification, handler };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,286 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const OUTBOX_POLL_INTERVAL_MS = config.outboxPollIntervalMs;
+const OUTBOX_BATCH_SIZE = 50;
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+// A worker that dies mid-send leaves its job in `processing`; after this long
+// another sweep may pick it up again
+const PROCESSING_LOCK_MS = 60 * 1000;
+// Expo recommends waiting before asking for receipts; they expire after a day
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 1000;
+
+// Crash alerts get more attempts than anything else before being dead-lettered
+const MAX_ATTEMPTS = { crash: 12, default: 5 };
+
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  // +/-20% jitter so retries from one outage do not arrive in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Persistent notification outbox. Every push is written to `notification_outbox`
+// before anything is sent; a worker then delivers due jobs through the job's
+// push provider, retrying failures with exponential backoff and dead-lettering
+// jobs that fail permanently or run out of attempts. An attempt while the
+// job's provider is unavailable counts as a failed one, so jobs wait out a
+// short Firebase outage but are dead-lettered rather than kept forever; jobs
+// for a provider that is not configured at all are dead-lettered right away.
+//
+// `push` is the router from lib/push. `onSent` / `onDeadLetter` are called with
+// the job row after the corresponding transition. The outcome of every attempt
+// is counted in `metrics` (lib/metrics).
+function createOutbox({ storage, push, metrics, onSent = async () => {}, onDeadLetter = async () => {} }) {
+  let timer = null;
+  // Delivery attempts in progress, awaited when draining
+  const inFlight = new Set();
+
+  // Queue notifications. Each job is `{ kind, recipientUserId, senderUserId,
+  // provider, token, payload, crashEventId }`; returns the inserted rows.
+  const enqueue = async (jobs) => {
+    if (jobs.length === 0) return [];
+
+    const now = new Date().toISOString();
+    return storage.notifications.createMany(jobs.map((job) => ({
+      kind: job.kind,
+      recipient_user_id: job.recipientUserId,
+      sender_user_id: job.senderUserId || null,
+      crash_event_id: job.crashEventId || null,
+      provider: job.provider,
+      token: job.token,
+      payload: job.payload,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS[job.kind] || MAX_ATTEMPTS.default,
+      next_attempt_at: now,
+    })));
+  };
+
+  const updateJob = (id, fields) =>
+    storage.notifications.update(id, { ...fields, updated_at: new Date().toISOString() });
+
+  // Clear a token the provider has told us is dead so it is not used for new jobs
+  const clearInvalidToken = async (job, provider) => {
+    try {
+      await storage.users.clearPushToken(job.recipient_user_id, provider.tokenField, job.token);
+    } catch (error) {
+      logger.error('Error clearing invalid push token', { provider: provider.name, userId: job.recipient_user_id, err: error });
+    }
+  };
+
+  // Record a failed attempt: retry later, or dead-letter the job
+  const recordFailure = async (job, provider, attempts, error) => {
+    if (error.permanent || attempts >= job.max_attempts) {
+      if (error.invalidToken) {
+        await clearInvalidToken(job, provider);
+      }
+
+      const dead = await updateJob(job.id, {
+        status: 'dead',
+        attempts,
+        last_error: error.message,
+        locked_until: null,
+      });
+      logger.error('Notification dead-lettered', { notificationId: job.id, kind: job.kind, attempts, err: error });
+      metrics.recordNotification(job, 'dead');
+      await onDeadLetter(dead);
+      return dead;
+    }
+
+    const retry = await updateJob(job.id, {
+      status: 'pending',
+      attempts,
+      last_error: error.message,
+      locked_until: null,
+      next_attempt_at: new Date(Date.now() + backoffDelay(attempts)).toISOString(),
+    });
+    logger.warn('Notification failed, retry scheduled', { notificationId: job.id, kind: job.kind, attempts, maxAttempts: job.max_attempts, err: error });
+    metrics.recordNotification(job, 'retry');
+    return retry;
+  };
+
+  // Failure for an attempt whose provider cannot send. Only a provider that is
+  // configured can become ready later, so anything else is permanent.
+  const unavailableError = (job, provider) => {
+    if (!provider) return { message: `Unknown push provider ${job.provider}`, permanent: true, invalidToken: false };
+    if (!provider.enabled) return { message: `Push provider ${provider.name} is not configured`, permanent: true, invalidToken: false };
+    return { message: `Push provider ${provider.name} is not ready`, permanent: false, invalidToken: false };
+  };
+
+  // Claim a job for sending. Returns false if another worker already has it.
+  const claim = (job) => {
+    const now = Date.now();
+    return storage.notifications.claim(job.id, new Date(now).toISOString(), new Date(now + PROCESSING_LOCK_MS).toISOString());
+  };
+
+  // Make one delivery attempt for a set of jobs, batched per provider. Resolves
+  // to the jobs' rows after the attempt, in the order given; jobs that could not
+  // be claimed are returned unchanged.
+  const attemptJobs = async (jobs) => {
+    const results = new Map(jobs.map((job) => [job.id, job]));
+    const byProvider = new Map();
+
+    for (const job of jobs) {
+      if (!(await claim(job))) continue;
+
+      const provider = push.get(job.provider);
+      if (!provider || !provider.isReady()) {
+        try {
+          results.set(job.id, await recordFailure(job, provider, job.attempts + 1, unavailableError(job, provider)));
+        } catch (error) {
+          logger.error('Error recording notification outcome', { notificationId: job.id, err: error });
+        }
+        continue;
+      }
+
+      if (!byProvider.has(provider)) byProvider.set(provider, []);
+      byProvider.get(provider).push(job);
+    }
+
+    for (const [provider, providerJobs] of byProvider) {
+      const outcomes = await provider.sendBatch(providerJobs.map((job) => ({ token: job.token, message: job.payload })));
+
+      for (const [index, job] of providerJobs.entries()) {
+        const outcome = outcomes[index];
+        const attempts = job.attempts + 1;
+
+        try {
+          if (outcome.ok) {
+            const sent = await updateJob(job.id, {
+              status: 'sent',
+              attempts,
+              provider_message_id: outcome.messageId,
+              receipt_status: null,
+              last_error: null,
+              locked_until: null,
+              sent_at: new Date().toISOString(),
+            });
+            logger.info('Notification sent', { notificationId: job.id, kind: job.kind, provider: provider.name, messageId: outcome.messageId });
+            metrics.recordNotification(sent, 'sent');
+            await onSent(sent);
+            results.set(job.id, sent);
+          } else {
+            results.set(job.id, await recordFailure(job, provider, attempts, outcome.error));
+          }
+        } catch (error) {
+          logger.error('Error recording notification outcome', { notificationId: job.id, err: error });
+        }
+      }
+    }
+
+    return jobs.map((job) => results.get(job.id));
+  };
+
+  const attempt = (jobs) => {
+    const pending = attemptJobs(jobs);
+    inFlight.add(pending);
+    pending.finally(() => inFlight.delete(pending)).catch(() => {});
+    return pending;
+  };
+
+  // Check receipts for messages sent through providers that confirm delivery
+  // asynchronously. A failed receipt is treated like a failed send.
+  const pollReceipts = async () => {
+    for (const provider of push.providers.values()) {
+      if (!provider.usesReceipts) continue;
+
+      const awaiting = await storage.notifications.listAwaitingReceipt(
+        provider.name,
+        new Date(Date.now() - RECEIPT_DELAY_MS).toISOString(),
+        RECEIPT_BATCH_SIZE
+      );
+      if (awaiting.length === 0) continue;
+
+      const receipts = await provider.getReceipts(awaiting.map((job) => job.provider_message_id));
+
+      for (const job of awaiting) {
+        const receipt = receipts[job.provider_message_id];
+
+        try {
+          if (!receipt) {
+            // Receipts are only kept for a day; stop asking after that
+            if (Date.now() - new Date(job.sent_at).getTime() > RECEIPT_EXPIRY_MS) {
+              await updateJob(job.id, { receipt_status: 'unknown' });
+            }
+          } else if (receipt.ok) {
+            await updateJob(job.id, { receipt_status: 'ok' });
+          } else {
+            await updateJob(job.id, { receipt_status: 'error' });
+            await recordFailure(job, provider, job.attempts, receipt.error);
+          }
+        } catch (updateError) {
+          logger.error('Error recording notification receipt', { notificationId: job.id, err: updateError });
+        }
+      }
+    }
+  };
+
+  // Attempt every job that is due, crash alerts first
+  const processDue = async () => {
+    const dueJobs = await storage.notifications.listDue(new Date().toISOString(), OUTBOX_BATCH_SIZE);
+    dueJobs.sort((a, b) => (b.kind === 'crash') - (a.kind === 'crash'));
+    await attempt(dueJobs);
+  };
+
+  // Queue notifications and make the first delivery attempt right away, so the
+  // caller can report the outcome. Failures stay queued for the worker.
+  const enqueueAndSend = async (jobs) => {
+    const queued = await enqueue(jobs);
+    try {
+      return await attempt(queued);
+    } catch (error) {
+      logger.error('Error sending notifications', { err: error });
+      return queued;
+    }
+  };
+
+  // Delivery status of a notification, without its token and payload
+  const getStatus = async (id) => {
+    const job = await storage.notifications.findById(id);
+    if (!job) return null;
+
+    const { token, payload, locked_until: lockedUntil, ...status } = job;
+    return status;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      processDue()
+        .then(pollReceipts)
+        .catch((error) => logger.error('Notification outbox sweep failed', { err: error }));
+    }, OUTBOX_POLL_INTERVAL_MS);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Stop the worker and wait for the delivery attempts in progress, then make
+  // one more attempt at due crash alerts so none wait for another instance's
+  // sweep. Used on shutdown.
+  const drain = async () => {
+    stop();
+    await Promise.allSettled([...inFlight]);
+
+    const dueJobs = await storage.notifications.listDue(new Date().toISOString(), OUTBOX_BATCH_SIZE);
+    await attempt(dueJobs.filter((job) => job.kind === 'crash'));
+  };
+
+  return {
+    enqueue,
+    enqueueAndSend,
+    processDue,
+    pollReceipts,
+    getStatus,
+    start,
+    stop,
+    drain,
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { ConflictError } = require('./storage/errors');
+const { logger } = require('./logger');
+
+// No 0/O, 1/I/L: codes are read aloud and typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_GENERATE_ATTEMPTS = 5;
+
+// Cryptographically random code of exactly CODE_LENGTH characters
+function generatePairingCode(length = CODE_LENGTH) {
+  let code = '';
+  for (let i = 0; i < length; i += 1) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Insert a row through `create` with a fresh code, retrying with a new code when
+// it collides with an existing one
+async function createWithUniqueCode(create, fields, length = CODE_LENGTH) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await create({ ...fields, code: generatePairingCode(length) });
+    } catch (error) {
+      if (!(error instanceof ConflictError) || attempt >= MAX_GENERATE_ATTEMPTS) throw error;
+      logger.warn('Code collision, retrying', { attempt });
+    }
+  }
+}
+
+// Insert a pairing code row with a fresh code
+const createPairingCode = (storage, fields) => createWithUniqueCode(storage.pairingCodes.create, fields);
+
+// Why a code can no longer be used as `{ code, message }`, or null if it can.
+// Works for any row with revoked_at, expires_at, use_count and max_uses.
+function unusableReason(pairingCode, { now = new Date(), label = 'Pairing code' } = {}) {
+  if (pairingCode.revoked_at) return { code: 'CODE_REVOKED', message: `${label} has been revoked` };
+  if (new Date(pairingCode.expires_at) < now) return { code: 'CODE_EXPIRED', message: `${label} has expired` };
+  if (pairingCode.use_count >= pairingCode.max_uses) return { code: 'CODE_USED_UP', message: `${label} has already been used` };
+  return null;
+}
+
+module.exports = { generatePairingCode, createWithUniqueCode, createPairingCode, unusableReason, CODE_ALPHABET, CODE_LENGTH };
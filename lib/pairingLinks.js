@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { config } = require('./config');
+
+const QR_FORMATS = ['png', 'svg'];
+const QR_DEFAULT_SIZE = 512;
+
+// Signatures are truncated to keep the link, and so the QR code, small
+const SIGNATURE_BYTES = 12;
+
+// Build and verify deep links for pairing codes. A link carries the code and its
+// expiry, signed so that a link cannot be forged for a code the server did not
+// put in a QR image, and so that an expired link is rejected without a lookup.
+function createPairingLinks({ secret, baseUrl = config.pairingLinkBaseUrl }) {
+  if (!secret) {
+    throw new Error('A secret is required to sign pairing links');
+  }
+
+  const sign = (code, expiresAt) => crypto.createHmac('sha256', secret)
+    .update(`pairing-link:${code}:${expiresAt}`)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+
+  // Deep link for a pairing code row
+  const build = (pairingCode) => {
+    const expiresAt = Math.floor(new Date(pairingCode.expires_at).getTime() / 1000);
+    const params = new URLSearchParams({ c: pairingCode.code, e: String(expiresAt), s: sign(pairingCode.code, expiresAt) });
+    return `${baseUrl}?${params}`;
+  };
+
+  // Returns `{ code }` for a genuine, unexpired link, otherwise `{ error }`
+  const parse = (link) => {
+    let params;
+    try {
+      params = new URL(link).searchParams;
+    } catch (error) {
+      return { error: 'Malformed pairing link' };
+    }
+
+    const code = params.get('c');
+    const expiresAt = Number(params.get('e'));
+    const signature = params.get('s') || '';
+    if (!code || !Number.isInteger(expiresAt)) {
+      return { error: 'Malformed pairing link' };
+    }
+
+    const expected = Buffer.from(sign(code, expiresAt));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'Invalid pairing link' };
+    }
+    if (expiresAt * 1000 < Date.now()) {
+      return { error: 'Pairing link has expired', expired: true };
+    }
+    return { code };
+  };
+
+  return { build, parse };
+}
+
+// Render a link as a QR image: a PNG buffer or an SVG string
+function renderQrCode(link, format, size = QR_DEFAULT_SIZE) {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: size };
+  return format === 'svg'
+    ? QRCode.toString(link, { ...options, type: 'svg' })
+    : QRCode.toBuffer(link, { ...options, type: 'png' });
+}
+
+module.exports = { createPairingLinks, renderQrCode, QR_FORMATS, QR_DEFAULT_SIZE };
@@ -0,0 +1,116 @@
+const { config } = require('../config');
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_RECEIPTS_URL = 'https://exp.host/--/api/v2/push/getReceipts';
+// Limits documented by the Expo push service
+const SEND_CHUNK_SIZE = 100;
+const RECEIPT_CHUNK_SIZE = 1000;
+
+// Expo errors that retrying cannot fix
+const PERMANENT_ERRORS = ['DeviceNotRegistered', 'MessageTooBig'];
+
+const isExpoPushToken = (token) => /^Expo(nent)?PushToken\[.+\]$/.test(token || '');
+
+const describeError = (code, message) => ({
+  code,
+  message: code ? `${code}: ${message}` : message,
+  permanent: PERMANENT_ERRORS.includes(code),
+  invalidToken: code === 'DeviceNotRegistered',
+});
+
+function toExpoMessage(token, message) {
+  return {
+    to: token,
+    title: message.title,
+    body: message.body,
+    data: message.data,
+    sound: message.sound || 'default',
+    priority: message.priority === 'high' ? 'high' : 'default',
+    channelId: message.channelId,
+  };
+}
+
+// Push provider backed by the Expo Push API. Expo acknowledges a message with a
+// ticket; whether Apple/Google accepted it is only known later from the ticket's
+// receipt, which the outbox polls for with `getReceipts`.
+function createExpoProvider({ accessToken = config.expoAccessToken } = {}) {
+  const post = async (url, body) => {
+    const headers = {
+      Accept: 'application/json',
+      'Accept-Encoding': 'gzip, deflate',
+      'Content-Type': 'application/json',
+    };
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const reason = result.errors?.[0]?.message || `HTTP ${response.status}`;
+      throw new Error(`Expo push request failed: ${reason}`);
+    }
+    return result.data;
+  };
+
+  return {
+    name: 'expo',
+    tokenField: 'expo_push_token',
+    usesReceipts: true,
+    enabled: true,
+    isReady: () => true,
+
+    // Send `[{ token, message }]` in chunks and resolve to one result per entry:
+    // `{ ok: true, messageId }` (the ticket id) or `{ ok: false, error }`
+    sendBatch: async (entries) => {
+      const results = new Array(entries.length);
+      const sendable = [];
+
+      entries.forEach((entry, index) => {
+        if (isExpoPushToken(entry.token)) {
+          sendable.push(index);
+        } else {
+          results[index] = { ok: false, error: describeError('DeviceNotRegistered', 'Not a valid Expo push token') };
+        }
+      });
+
+      for (let i = 0; i < sendable.length; i += SEND_CHUNK_SIZE) {
+        const chunk = sendable.slice(i, i + SEND_CHUNK_SIZE);
+        try {
+          const tickets = await post(EXPO_PUSH_URL, chunk.map((index) => toExpoMessage(entries[index].token, entries[index].message)));
+          chunk.forEach((index, position) => {
+            const ticket = tickets[position];
+            results[index] = ticket?.status === 'ok'
+              ? { ok: true, messageId: ticket.id }
+              : { ok: false, error: describeError(ticket?.details?.error, ticket?.message || 'Expo rejected the message') };
+          });
+        } catch (error) {
+          chunk.forEach((index) => {
+            results[index] = { ok: false, error: describeError(null, error.message) };
+          });
+        }
+      }
+      return results;
+    },
+
+    // Look up receipts for ticket ids. Resolves to a map of ticket id to
+    // `{ ok: true }` or `{ ok: false, error }`; tickets without a receipt yet
+    // are left out.
+    getReceipts: async (ticketIds) => {
+      const receipts = {};
+
+      for (let i = 0; i < ticketIds.length; i += RECEIPT_CHUNK_SIZE) {
+        const data = await post(EXPO_RECEIPTS_URL, { ids: ticketIds.slice(i, i + RECEIPT_CHUNK_SIZE) });
+        Object.entries(data || {}).forEach(([id, receipt]) => {
+          receipts[id] = receipt.status === 'ok'
+            ? { ok: true }
+            : { ok: false, error: describeError(receipt.details?.error, receipt.message || 'Delivery failed') };
+        });
+      }
+      return receipts;
+    },
+  };
+}
+
+module.exports = { createExpoProvider };
@@ -0,0 +1,80 @@
+// FCM errors that mean the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+// FCM errors that retrying cannot fix
+const PERMANENT_ERRORS = [
+  ...INVALID_TOKEN_ERRORS,
+  'messaging/invalid-argument',
+  'messaging/invalid-payload',
+  'messaging/payload-size-limit-exceeded',
+];
+// sendEach accepts at most this many messages per call
+const FCM_BATCH_SIZE = 500;
+
+// FCM data payloads only accept string values
+const stringifyData = (data = {}) =>
+  Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]));
+
+function toFcmMessage(token, message) {
+  return {
+    token,
+    notification: { title: message.title, body: message.body },
+    data: stringifyData(message.data),
+    android: {
+      priority: message.priority === 'high' ? 'high' : 'normal',
+      notification: message.channelId || message.sound
+        ? { sound: message.sound, channelId: message.channelId, eventTimestamp: new Date() }
+        : undefined,
+    },
+  };
+}
+
+const describeError = (error) => {
+  const code = error.code || error.errorInfo?.code;
+  return {
+    code,
+    message: code ? `${code}: ${error.message}` : error.message,
+    permanent: PERMANENT_ERRORS.includes(code),
+    invalidToken: INVALID_TOKEN_ERRORS.includes(code),
+  };
+};
+
+// Push provider backed by Firebase Cloud Messaging. `getMessaging` returns a
+// firebase-admin messaging instance, or null while Firebase is unavailable.
+// `enabled` is false when no Firebase credentials are configured.
+function createFcmProvider({ getMessaging, enabled = true }) {
+  return {
+    name: 'fcm',
+    tokenField: 'fcm_token',
+    usesReceipts: false,
+    enabled,
+    isReady: () => Boolean(getMessaging()),
+
+    // Send `[{ token, message }]` and resolve to one result per entry:
+    // `{ ok: true, messageId }` or `{ ok: false, error: { message, permanent, invalidToken } }`
+    sendBatch: async (entries) => {
+      const messaging = getMessaging();
+      const results = [];
+
+      for (let i = 0; i < entries.length; i += FCM_BATCH_SIZE) {
+        const chunk = entries.slice(i, i + FCM_BATCH_SIZE);
+        try {
+          const batch = await messaging.sendEach(chunk.map(({ token, message }) => toFcmMessage(token, message)));
+          batch.responses.forEach((response) => {
+            results.push(response.success
+              ? { ok: true, messageId: response.messageId }
+              : { ok: false, error: describeError(response.error) });
+          });
+        } catch (error) {
+          const described = describeError(error);
+          chunk.forEach(() => results.push({ ok: false, error: described }));
+        }
+      }
+      return results;
+    },
+  };
+}
+
+module.exports = { createFcmProvider };
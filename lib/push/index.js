@@ -0,0 +1,47 @@
+const { config } = require('../config');
+const { createFcmProvider } = require('./fcm');
+const { createExpoProvider } = require('./expo');
+const { buildCrashMessage, buildPingMessage, buildPairingMessage } = require('./messages');
+
+// Every push provider exposes the same interface:
+//   name                  - provider identifier, stored on outbox jobs
+//   tokenField            - users column holding the provider's device token
+//   usesReceipts          - true if delivery is confirmed later via getReceipts
+//   enabled               - false if the provider is not configured; it then
+//                           never becomes ready and readiness checks skip it
+//   isReady()             - false while the provider cannot send yet
+//   sendBatch(entries)    - send `[{ token, message }]`, one result per entry
+//   getReceipts(ids)      - (receipt providers only) look up delivery receipts
+//
+// Messages are provider-neutral: `{ title, body, data, priority, sound, channelId }`.
+
+// Pick the provider for a user from the tokens they have registered, trying
+// providers in `preference` order. A provider that is ready to send wins over a
+// preferred one that is not, so a user with both tokens still gets alerts while
+// Firebase is down. Returns `{ provider, token }` or null.
+function createPushRouter({ providers, preference = config.pushProviderPreference }) {
+  const byName = new Map(providers.map((provider) => [provider.name, provider]));
+  const ordered = preference.map((name) => byName.get(name.trim())).filter(Boolean);
+
+  const router = {
+    providers: byName,
+    get: (name) => byName.get(name),
+    routeForUser: (user) => {
+      const candidates = ordered.filter((candidate) => user[candidate.tokenField]);
+      const provider = candidates.find((candidate) => candidate.isReady()) || candidates[0];
+      return provider ? { provider, token: user[provider.tokenField] } : null;
+    },
+  };
+
+  // Build an outbox job addressed to a user, or null if they have no push token
+  router.jobFor = (user, job) => {
+    const route = router.routeForUser(user);
+    if (!route) return null;
+
+    return { ...job, recipientUserId: user.id, provider: route.provider.name, token: route.token };
+  };
+
+  return router;
+}
+
+module.exports = { createPushRouter, createFcmProvider, createExpoProvider, buildCrashMessage, buildPingMessage, buildPairingMessage };
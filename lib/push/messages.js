@@ -0,0 +1,154 @@
+// Build the push message used for every crash alert
+function buildCrashMessage(deviceName, message, extraData = {}) {
+  return {
+    title: 'CRASH DETECTED!',
+    body: `Crash detected on ${deviceName}. ${message || 'Contact emergency services immediately!'}`,
+    data: {
+      type: 'crash',
+      device_name: deviceName,
+      timestamp: new Date().toISOString(),
+      ...extraData,
+    },
+    priority: 'high',
+    sound: 'default',
+    channelId: 'crash_detection_channel',
+  };
+}
+
+// Build the push message for a ping. `are_you_ok` pings ask the recipient to reply
+// with a status; a `status_reply` carries that answer back to the original sender.
+function buildPingMessage(senderName, ping) {
+  const name = senderName || 'A paired device';
+  const titles = {
+    ping: `Ping from ${name}`,
+    are_you_ok: `${name} is asking if you're OK`,
+    status_reply: `${name} replied: ${ping.reply_status === 'ok' ? "I'm OK" : 'I need help'}`,
+  };
+
+  return {
+    title: titles[ping.type] || titles.ping,
+    body: ping.message || (ping.type === 'are_you_ok' ? 'Tap to let them know how you are.' : ''),
+    data: {
+      type: 'ping',
+      ping_id: ping.id,
+      ping_type: ping.type,
+      from_user_id: ping.from_user_id,
+      timestamp: ping.created_at,
+      ...(ping.reply_to_ping_id ? { reply_to_ping_id: ping.reply_to_ping_id, reply_status: ping.reply_status } : {}),
+    },
+    priority: ping.type === 'ping' ? 'normal' : 'high',
+    sound: 'default',
+  };
+}
+
+// Build the push message sent to subscribers when a user enters or leaves a zone
+function buildZoneMessage(deviceName, zone, transition) {
+  const name = deviceName || 'A paired device';
+  return {
+    title: transition === 'entered' ? `${name} arrived at ${zone.name}` : `${name} left ${zone.name}`,
+    body: `${name} is ${transition === 'entered' ? 'now' : 'no longer'} inside the "${zone.name}" zone.`,
+    data: {
+      type: 'zone',
+      zone_id: zone.id,
+      zone_name: zone.name,
+      transition,
+      user_id: zone.user_id,
+      timestamp: new Date().toISOString(),
+    },
+    priority: 'normal',
+    sound: 'default',
+  };
+}
+
+// Build the push message for a pairing request (to the code owner) or its
+// answer (to the requester)
+function buildPairingMessage(deviceName, request) {
+  const name = deviceName || 'A device';
+  const titles = {
+    pending: `${name} wants to pair with you`,
+    approved: `${name} accepted your pairing request`,
+    rejected: `${name} declined your pairing request`,
+  };
+
+  return {
+    title: titles[request.status],
+    body: request.status === 'pending' ? 'Open the app to approve or reject the request.' : '',
+    data: {
+      type: 'pairing_request',
+      request_id: request.id,
+      status: request.status,
+      timestamp: new Date().toISOString(),
+    },
+    priority: 'normal',
+    sound: 'default',
+  };
+}
+
+// Build the push message sent to paired users when a detector goes offline,
+// comes back online or reports a low battery
+function buildDeviceStatusMessage(deviceName, kind, { userId, lastSeenAt, batteryLevel }) {
+  const name = deviceName || 'A paired device';
+  const messages = {
+    offline: {
+      title: `${name}'s detector is offline`,
+      body: `No heartbeat since ${new Date(lastSeenAt).toUTCString()}. Crashes may not be detected until it reconnects.`,
+    },
+    online: {
+      title: `${name}'s detector is back online`,
+      body: '',
+    },
+    low_battery: {
+      title: `${name}'s detector battery is low`,
+      body: `Battery at ${batteryLevel}%. It needs charging to keep detecting crashes.`,
+    },
+  };
+
+  return {
+    ...messages[kind],
+    data: {
+      type: 'device_status',
+      status: kind,
+      user_id: userId,
+      timestamp: new Date().toISOString(),
+    },
+    priority: kind === 'online' ? 'normal' : 'high',
+    sound: 'default',
+  };
+}
+
+// Build the push message telling paired users that an account is going to be
+// deleted, or that its deletion was cancelled
+function buildAccountDeletionMessage(deviceName, status, { userId, scheduledFor }) {
+  const name = deviceName || 'A paired device';
+  const messages = {
+    scheduled: {
+      title: `${name} is deleting their account`,
+      body: `You will be unpaired on ${new Date(scheduledFor).toUTCString()} unless they cancel.`,
+    },
+    cancelled: {
+      title: `${name} is keeping their account`,
+      body: 'Their account deletion was cancelled; you stay paired.',
+    },
+  };
+
+  return {
+    ...messages[status],
+    data: {
+      type: 'account_deletion',
+      status,
+      user_id: userId,
+      timestamp: new Date().toISOString(),
+    },
+    priority: 'normal',
+    sound: 'default',
+  };
+}
+
+module.exports = {
+  buildCrashMessage,
+  buildPingMessage,
+  buildZoneMessage,
+  buildPairingMessage,
+  buildDeviceStatusMessage,
+  buildAccountDeletionMessage,
+};
@@ -0,0 +1,162 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Requests looking up a pairing code, per IP and per user
+const CODE_LOOKUP_LIMIT = { name: 'code-lookup', max: 20, windowMs: 60 * 1000 };
+
+// Shared failure budget for guessing pairing codes: after 5 unknown codes in 15
+// minutes the client (IP and user) is locked out of code lookups for 15 minutes
+const INVALID_CODE_LOCKOUT = {
+  name: 'invalid-code',
+  maxFailures: 5,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+};
+
+// Refresh token exchanges per IP. Clients refresh once per access token
+// lifetime, so this only slows down guessing refresh tokens
+const REFRESH_LIMIT = { name: 'refresh', max: 20, windowMs: 60 * 1000 };
+
+const PRUNE_EVERY = 1000;
+
+// Fixed-window counters kept in process memory. Good for a single instance; run
+// several instances behind a load balancer with a shared store instead. A store
+// only needs three async methods:
+//   increment(key, windowMs) - add one to the counter, starting a window of
+//                              `windowMs` if there is none; resolves `{ count, resetAt }`
+//   get(key)                 - resolves `{ count, resetAt }` or null if expired/unknown
+//   reset(key)               - forget the counter
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  let operations = 0;
+
+  const prune = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      operations += 1;
+      if (operations % PRUNE_EVERY === 0) prune(now);
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { ...counter };
+    },
+    get: async (key) => {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+}
+
+const retryAfterSeconds = (resetAt) => Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+// The 429 contract shared by every limit: a Retry-After header in seconds and
+// the same number in the body, next to the usual `{ error, code }`
+function sendTooManyRequests(res, resetAt, error = 'Too many requests, please try again later', code = 'RATE_LIMITED') {
+  const retryAfter = retryAfterSeconds(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  res.locals.errorCode = code;
+  return res.status(429).json({ error, code, retryAfter });
+}
+
+// Keys identifying the caller: always the IP, plus the user once authenticated
+const clientKeys = (req) => [`ip:${req.ip}`, req.userId && `user:${req.userId}`].filter(Boolean);
+
+// Build rate limiting middleware on top of a counter store.
+// Set RATE_LIMIT_ENABLED=false to turn every limit off (e.g. for load tests).
+function createRateLimiter({ store = createMemoryRateLimitStore(), enabled = config.rateLimitEnabled } = {}) {
+  // Count one request against `max` per `windowMs` for a key. Resolves null if
+  // it is allowed, or `{ resetAt }` if the key is over its limit. For checks
+  // that can only run inside a handler, e.g. after authorization.
+  const consume = async ({ name, max, windowMs }, key) => {
+    if (!enabled) return null;
+
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      if (count > max) {
+        logger.warn('Rate limit exceeded', { limit: name, key });
+        return { resetAt };
+      }
+    } catch (error) {
+      // A broken limiter store must not take the API down with it
+      logger.error('Rate limit check failed', { limit: name, err: error });
+    }
+    return null;
+  };
+
+  // Middleware allowing at most `max` requests per `windowMs` for every key
+  // returned by `key(req)`; a request over the limit for any key is rejected.
+  // Keys resolving to null/undefined are skipped.
+  const limit = ({ name, max, windowMs, key = clientKeys, message }) => async (req, res, next) => {
+    for (const k of [].concat(key(req)).filter(Boolean)) {
+      const blocked = await consume({ name, max, windowMs }, k);
+      if (blocked) return sendTooManyRequests(res, blocked.resetAt, message);
+    }
+    next();
+  };
+
+  // Lock a client out after `maxFailures` failures within `windowMs`. Routes
+  // call `recordFailure(req)` when a request fails in a way worth counting (an
+  // unknown code, say) and put `check` in front of the handler.
+  const lockout = ({ name, maxFailures, windowMs, lockoutMs, key = clientKeys }) => {
+    const check = async (req, res, next) => {
+      if (!enabled) return next();
+
+      try {
+        for (const k of [].concat(key(req)).filter(Boolean)) {
+          const lock = await store.get(`${name}:lock:${k}`);
+          if (lock) {
+            return sendTooManyRequests(res, lock.resetAt, 'Too many failed attempts, please try again later', 'LOCKED_OUT');
+          }
+        }
+        next();
+      } catch (error) {
+        logger.error('Lockout check failed', { lockout: name, err: error });
+        next();
+      }
+    };
+
+    const recordFailure = async (req) => {
+      if (!enabled) return;
+
+      try {
+        for (const k of [].concat(key(req)).filter(Boolean)) {
+          const { count } = await store.increment(`${name}:fail:${k}`, windowMs);
+          if (count >= maxFailures) {
+            logger.warn('Lockout triggered', { lockout: name, key: k });
+            await store.increment(`${name}:lock:${k}`, lockoutMs);
+            await store.reset(`${name}:fail:${k}`);
+          }
+        }
+      } catch (error) {
+        logger.error('Lockout failure tracking failed', { lockout: name, err: error });
+      }
+    };
+
+    return { check, recordFailure };
+  };
+
+  return { consume, limit, lockout };
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryRateLimitStore,
+  sendTooManyRequests,
+  clientKeys,
+  CODE_LOOKUP_LIMIT,
+  INVALID_CODE_LOCKOUT,
+  REFRESH_LIMIT,
+};
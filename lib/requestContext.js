@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { logger, runWithContext } = require('./logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids passed in by a proxy or client are kept when they look sane
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// The route a request matched, as a template (`/api/users/:userId`), so logs
+// and metrics group requests without ids or codes in them
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  const { path } = req.route;
+  return `${req.baseUrl}${Array.isArray(path) ? path.join('|') : path}`;
+}
+
+// Middleware giving every request an id: taken from the X-Request-Id header or
+// generated, echoed in the response header and added to every log line written
+// while the request is handled. Each request is logged once it completes.
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        method: req.method,
+        route: routeLabel(req),
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        userId: req.userId,
+        errorCode: res.locals.errorCode,
+      };
+      runWithContext({ requestId: req.id }, () => {
+        if (res.statusCode >= 500) logger.error('Request failed', fields);
+        else logger.info('Request completed', fields);
+      });
+    });
+
+    runWithContext({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { requestContext, routeLabel, REQUEST_ID_HEADER };
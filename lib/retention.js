@@ -0,0 +1,46 @@
+const { config } = require('./config');
+
+// How often each retention job runs
+const RETENTION_INTERVAL_HOURS = config.retentionIntervalHours;
+
+const RETENTION_POLICIES = {
+  expired_pairing_codes: {
+    description: 'Pairing codes expired or revoked this many days ago, once their usage history is gone',
+    days: config.retentionExpiredCodesDays,
+    repository: 'pairingCodes',
+  },
+  read_pings: {
+    description: 'Pings read this many days ago, with their replies',
+    days: config.retentionReadPingsDays,
+    repository: 'pings',
+  },
+  code_usage: {
+    description: 'Code usage entries older than this many days',
+    days: config.retentionCodeUsageDays,
+    repository: 'codeUsage',
+  },
+  location_history: {
+    description: 'Location points recorded more than this many days ago',
+    days: config.retentionLocationDays,
+    repository: 'locations',
+  },
+};
+
+// One scheduler job per retention policy. Each run reports the cutoff and how
+// many rows it deleted, or in a dry run how many it would have deleted.
+function createRetentionJobs({ storage }) {
+  return Object.entries(RETENTION_POLICIES).map(([name, policy]) => ({
+    name,
+    description: policy.description,
+    enabled: policy.days > 0,
+    intervalMs: RETENTION_INTERVAL_HOURS * 60 * 60 * 1000,
+    settings: { retentionDays: policy.days },
+    run: async ({ dryRun }) => {
+      const cutoff = new Date(Date.now() - policy.days * 24 * 60 * 60 * 1000).toISOString();
+      const count = await storage[policy.repository].purge(cutoff, { dryRun });
+      return dryRun ? { cutoff, matched: count, deleted: 0 } : { cutoff, matched: count, deleted: count };
+    },
+  }));
+}
+
+module.exports = { createRetentionJobs, RETENTION_POLICIES };
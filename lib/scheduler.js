@@ -0,0 +1,122 @@
+const { ConflictError } = require('./storage');
+const { logger } = require('./logger');
+
+const SCHEDULER_POLL_INTERVAL_MS = 60 * 1000;
+// A run still `running` after this long was left behind by an instance that
+// died mid-run and no longer blocks the job
+const JOB_RUN_TIMEOUT_MS = 60 * 60 * 1000;
+
+const formatRun = (run) => ({
+  id: run.id,
+  job: run.job,
+  status: run.status,
+  dryRun: run.dry_run,
+  trigger: run.trigger,
+  startedAt: run.started_at,
+  finishedAt: run.finished_at,
+  result: run.result,
+  error: run.error,
+});
+
+// In-process scheduler for periodic maintenance jobs. A job is
+// `{ name, description, enabled, intervalMs, settings, run({ dryRun }) }`,
+// where `run` resolves to a JSON report. Every run is recorded in `job_runs`;
+// a job is due once `intervalMs` has passed since its last real (not dry) run,
+// so restarts do not rerun everything, and only one run of a job can be in
+// progress at a time across all instances.
+function createJobScheduler({ storage, jobs }) {
+  const jobsByName = new Map(jobs.map((job) => [job.name, job]));
+  let timer = null;
+
+  const find = (name) => jobsByName.get(name) || null;
+
+  // Run a job now. Resolves to the finished run, or null if the job is
+  // already running. A failing job is recorded as failed, not thrown.
+  const run = async (name, { dryRun = false, trigger = 'schedule' } = {}) => {
+    const job = find(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    await storage.jobRuns.failStale(name, new Date(Date.now() - JOB_RUN_TIMEOUT_MS).toISOString(), {
+      finished_at: new Date().toISOString(),
+      error: 'Run did not finish',
+    });
+
+    let started;
+    try {
+      started = await storage.jobRuns.create({
+        job: name,
+        status: 'running',
+        dry_run: dryRun,
+        trigger,
+        started_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      if (error instanceof ConflictError) return null;
+      throw error;
+    }
+
+    try {
+      const result = await job.run({ dryRun });
+      logger.info('Job finished', { job: name, dryRun, result });
+      return await storage.jobRuns.update(started.id, { status: 'succeeded', result, finished_at: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Job failed', { job: name, dryRun, err: error });
+      return storage.jobRuns.update(started.id, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+    }
+  };
+
+  // When a job is next due, from its last real run; null if it is disabled
+  const nextRunAt = (job, lastRun) => {
+    if (!job.enabled) return null;
+    if (!lastRun) return new Date().toISOString();
+    return new Date(new Date(lastRun.started_at).getTime() + job.intervalMs).toISOString();
+  };
+
+  // Every job with its settings, last runs and when it is due next
+  const list = async () => Promise.all(jobs.map(async (job) => {
+    const [lastRun, lastDryRun] = await Promise.all([
+      storage.jobRuns.findLatest(job.name),
+      storage.jobRuns.findLatest(job.name, { dryRun: true }),
+    ]);
+    return {
+      name: job.name,
+      description: job.description,
+      enabled: job.enabled,
+      intervalMs: job.intervalMs,
+      settings: job.settings,
+      nextRunAt: nextRunAt(job, lastRun),
+      lastRun: lastRun && formatRun(lastRun),
+      lastDryRun: lastDryRun && formatRun(lastDryRun),
+    };
+  }));
+
+  // Run every enabled job that is due, one after another
+  const sweep = async () => {
+    for (const job of jobs.filter((candidate) => candidate.enabled)) {
+      try {
+        const lastRun = await storage.jobRuns.findLatest(job.name);
+        if (new Date(nextRunAt(job, lastRun)) <= new Date()) {
+          await run(job.name);
+        }
+      } catch (error) {
+        logger.error('Error running scheduled job', { job: job.name, err: error });
+      }
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweep().catch((error) => logger.error('Job scheduler sweep failed', { err: error }));
+    }, SCHEDULER_POLL_INTERVAL_MS);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { find, run, list, sweep, start, stop };
+}
+
+module.exports = { createJobScheduler, formatRun };
@@ -0,0 +1,44 @@
+const { logger } = require('./logger');
+
+// Graceful shutdown of a running server. `services` is `app.locals.services`;
+// `closeClients` closes whatever the caller opened outside the app (Firebase).
+// Returns `shutdown(signal)`, which resolves once everything is closed; calling
+// it again returns the same promise.
+//
+// The instance first reports itself not ready and stops accepting connections.
+// Event streams are ended so clients reconnect elsewhere, background workers
+// stop, and requests in flight (crash reports included) finish. The outbox is
+// then drained so crash alerts being sent or due are delivered before exit.
+function createShutdown({ server, services, closeClients = async () => {} }) {
+  let shuttingDown = null;
+
+  const closeServer = () => new Promise((resolve) => {
+    server.close((error) => {
+      if (error) logger.warn('Error closing server', { err: error });
+      resolve();
+    });
+  });
+
+  const run = async (signal) => {
+    const { health, events, outbox, escalation, deviceMonitor, accountDeletion, scheduler } = services;
+    logger.info('Shutting down', { signal });
+
+    health.markShuttingDown();
+    const serverClosed = closeServer();
+    events.close();
+    [escalation, deviceMonitor, accountDeletion, scheduler].forEach((worker) => worker.stop());
+
+    await serverClosed;
+    logger.info('Requests drained, draining notifications');
+    await outbox.drain();
+    await closeClients();
+    logger.info('Shutdown complete');
+  };
+
+  return (signal) => {
+    if (!shuttingDown) shuttingDown = run(signal);
+    return shuttingDown;
+  };
+}
+
+module.exports = { createShutdown };
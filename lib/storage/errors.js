@@ -0,0 +1,10 @@
+// Thrown by every storage adapter when a write would break a unique constraint
+class ConflictError extends Error {
+  constructor(message = 'Record already exists') {
+    super(message);
+    this.name = 'ConflictError';
+    this.code = 'CONFLICT';
+  }
+}
+
+module.exports = { ConflictError };
@@ -0,0 +1,58 @@
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+const { ConflictError } = require('./errors');
+const { config } = require('../config');
+
+// Every storage adapter exposes the same repositories. All methods are async,
+// return plain rows using the Supabase column names, resolve to null (or an
+// empty list) when nothing matches, and throw ConflictError when a write breaks
+// a unique constraint. `ping()` resolves once the backing store answers.
+//
+//   users          findById, findByDeviceId, listByIds, create, update, delete,
+//                  clearPushToken
+//   sessions       create, findById, findByRefreshTokenHash, update, revoke,
+//                  revokeAllForUser
+//   pairingCodes   create, findById, findByCode, update, delete, claimUse,
+//                  listActiveForUser, purge
+//   pairingRequests create, findById, findPending, listForUser, transition
+//   connections    create, find, exists, update, listForUser, listConnectedUserIds,
+//                  delete
+//   codeUsage      findByCodeAndUser, create, update, listByUser, listByCode, delete,
+//                  purge
+//   pings          create, findById, update, listForUser, listForRecipient, countUnread,
+//                  markRead, purge
+//   locations      create, listForUser, findLatest, purge
+//   zones          create, findById, listForUser, update, delete, subscribe,
+//                  unsubscribe, listSubscriberIds, listSubscriptions
+//   crashEvents    create, findById, update, claimEscalation, listDueForEscalation,
+//                  addTimelineEntry, listTimeline
+//   notifications  createMany, findById, update, claim, listDue, listAwaitingReceipt
+//   circles        create, findById, update, delete, listForUser, addMember,
+//                  findMember, updateMember, removeMember, listMembers,
+//                  listMemberships
+//   circleInvites  create, findByCode, update, claimUse, listActiveForCircle
+//   deviceStatus   findByUserId, listByUserIds, upsert, listOverdue, claimOffline
+//   emergencyContacts
+//                  listForUser, findById, create, update, delete, setPriorities
+//   accountDeletions create, findPending, listDue, transition
+//   auditLog       append, findLatest, listForUser, listFrom, findBySequences
+//   jobRuns        create, update, findLatest, listForJob, failStale
+//
+// List methods taking a `limit` accept `Infinity` to read every matching row.
+//
+// `purge(before, { dryRun })` deletes the rows a retention policy has expired
+// and returns how many; a dry run only counts them.
+
+// Build the storage adapter named by STORAGE_DRIVER (`supabase` or `memory`)
+function createStorage(driver = config.storageDriver) {
+  switch (driver) {
+    case 'supabase':
+      return createSupabaseStorage();
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage, createSupabaseStorage, createMemoryStorage, ConflictError };
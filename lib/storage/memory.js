@@ -0,0 +1,609 @@
+const crypto = require('crypto');
+const { ConflictError } = require('./errors');
+
+const now = () => new Date().toISOString();
+const clone = (row) => (row ? structuredClone(row) : null);
+
+// A single in-memory table. Rows are copied on the way in and out so callers
+// can never mutate stored state, the same as with a real database.
+function createTable({ defaults = () => ({}), unique = [] } = {}) {
+  const rows = new Map();
+
+  const assertUnique = (candidate) => {
+    for (const columns of unique) {
+      if (columns.some((column) => candidate[column] === null || candidate[column] === undefined)) continue;
+
+      for (const row of rows.values()) {
+        if (row.id !== candidate.id && columns.every((column) => row[column] === candidate[column])) {
+          throw new ConflictError(`Duplicate value for ${columns.join(', ')}`);
+        }
+      }
+    }
+  };
+
+  return {
+    insert(fields) {
+      const row = { id: crypto.randomUUID(), created_at: now(), ...defaults(), ...fields };
+      assertUnique(row);
+      rows.set(row.id, clone(row));
+      return clone(row);
+    },
+    get(id) {
+      return clone(rows.get(id));
+    },
+    find(predicate) {
+      for (const row of rows.values()) {
+        if (predicate(row)) return clone(row);
+      }
+      return null;
+    },
+    filter(predicate) {
+      return [...rows.values()].filter(predicate).map(clone);
+    },
+    update(id, fields) {
+      const existing = rows.get(id);
+      if (!existing) return null;
+
+      const row = { ...existing, ...fields };
+      assertUnique(row);
+      rows.set(id, clone(row));
+      return clone(row);
+    },
+    // Delete matching rows and return them
+    remove(predicate) {
+      const removed = [];
+      for (const [id, row] of rows) {
+        if (predicate(row)) {
+          rows.delete(id);
+          removed.push(row);
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+const byNewest = (field) => (a, b) => (a[field] < b[field] ? 1 : a[field] > b[field] ? -1 : 0);
+const byOldest = (field) => (a, b) => -byNewest(field)(a, b);
+
+const isBetween = (row, userId, otherUserId) =>
+  (row.initiator_user_id === userId && row.paired_user_id === otherUserId) ||
+  (row.initiator_user_id === otherUserId && row.paired_user_id === userId);
+
+// Fully functional storage adapter that keeps everything in process memory.
+// Nothing survives a restart; it exists so the backend can run and be tested
+// without Supabase. Foreign-key cascades from the Supabase schema are applied
+// by hand when users, pairing codes and crash events are deleted.
+function createMemoryStorage() {
+  const tables = {
+    users: createTable({
+      defaults: () => ({ updated_at: now() }),
+      unique: [['device_id']],
+    }),
+    sessions: createTable({ unique: [['refresh_token_hash']] }),
+    pairingCodes: createTable({
+      defaults: () => ({
+        updated_at: now(),
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        max_uses: 1,
+        use_count: 0,
+        revoked_at: null,
+      }),
+      unique: [['code']],
+    }),
+    pairingRequests: createTable({ defaults: () => ({ status: 'pending', responded_at: null }) }),
+    connections: createTable({
+      defaults: () => ({ paired_at: now(), initiator_permissions: {}, paired_permissions: {} }),
+      unique: [['initiator_user_id', 'paired_user_id']],
+    }),
+    codeUsage: createTable({ defaults: () => ({ timestamp: now() }) }),
+    locationPoints: createTable(),
+    zones: createTable({
+      defaults: () => ({ updated_at: now(), state: null, state_changed_at: null, pending_state: null, pending_since: null }),
+    }),
+    zoneSubscriptions: createTable({ unique: [['zone_id', 'user_id']] }),
+    pings: createTable({ defaults: () => ({ type: 'ping', message: null, read_at: null }) }),
+    crashEvents: createTable({ defaults: () => ({ status: 'open', escalation_level: 0 }) }),
+    crashTimeline: createTable(),
+    notifications: createTable({ defaults: () => ({ updated_at: now() }) }),
+    circles: createTable({ defaults: () => ({ updated_at: now() }) }),
+    circleMembers: createTable({
+      defaults: () => ({ role: 'member', permissions: {}, joined_at: now() }),
+      unique: [['circle_id', 'user_id']],
+    }),
+    circleInvites: createTable({
+      defaults: () => ({ max_uses: 1, use_count: 0, revoked_at: null, updated_at: now() }),
+      unique: [['code']],
+    }),
+    emergencyContacts: createTable({
+      defaults: () => ({ relationship: null, preferred_channel: 'sms', verified_at: null, phone_needs_update: false, updated_at: now() }),
+      unique: [['user_id', 'phone']],
+    }),
+    // Kept when the user is deleted: completed rows are the account's tombstone
+    accountDeletions: createTable({ defaults: () => ({ status: 'pending', cancelled_at: null, completed_at: null, updated_at: now() }) }),
+    // Append-only and kept when users are deleted
+    auditLog: createTable({ unique: [['sequence']] }),
+    jobRuns: createTable({ defaults: () => ({ finished_at: null, result: null, error: null }) }),
+    deviceStatus: createTable({
+      defaults: () => ({ status: 'online', low_battery: false, offline_since: null, updated_at: now() }),
+      unique: [['user_id']],
+    }),
+  };
+
+  const deletePairingCodes = (predicate) => {
+    const removed = tables.pairingCodes.remove(predicate);
+    const ids = new Set(removed.map((row) => row.id));
+    tables.codeUsage.remove((row) => ids.has(row.pairing_code_id));
+    tables.pairingRequests
+      .filter((row) => ids.has(row.pairing_code_id))
+      .forEach((row) => tables.pairingRequests.update(row.id, { pairing_code_id: null }));
+    return removed.length;
+  };
+
+  // Count or delete the rows of a table matching a predicate
+  const purgeRows = (table, predicate, dryRun) => (dryRun
+    ? table.filter(predicate).length
+    : table.remove(predicate).length);
+
+  const deleteZones = (predicate) => {
+    const removed = tables.zones.remove(predicate);
+    const ids = new Set(removed.map((row) => row.id));
+    tables.zoneSubscriptions.remove((row) => ids.has(row.zone_id));
+  };
+
+  const deleteCrashEvents = (predicate) => {
+    const removed = tables.crashEvents.remove(predicate);
+    const ids = new Set(removed.map((row) => row.id));
+    tables.crashTimeline.remove((row) => ids.has(row.crash_event_id));
+    tables.notifications
+      .filter((row) => ids.has(row.crash_event_id))
+      .forEach((row) => tables.notifications.update(row.id, { crash_event_id: null }));
+  };
+
+  const deleteCircles = (predicate) => {
+    const removed = tables.circles.remove(predicate);
+    const ids = new Set(removed.map((row) => row.id));
+    tables.circleMembers.remove((row) => ids.has(row.circle_id));
+    tables.circleInvites.remove((row) => ids.has(row.circle_id));
+  };
+
+  const users = {
+    findById: async (id) => tables.users.get(id),
+    findByDeviceId: async (deviceId) => tables.users.find((row) => row.device_id === deviceId),
+    listByIds: async (ids) => tables.users.filter((row) => ids.includes(row.id)),
+    create: async (fields) => tables.users.insert(fields),
+    update: async (id, fields) => tables.users.update(id, fields),
+    delete: async (id) => {
+      const removed = tables.users.remove((row) => row.id === id);
+      if (removed.length === 0) return false;
+
+      tables.sessions.remove((row) => row.user_id === id);
+      deletePairingCodes((row) => row.user_id === id);
+      tables.pairingRequests.remove((row) => row.requester_user_id === id || row.owner_user_id === id);
+      tables.connections.remove((row) => row.initiator_user_id === id || row.paired_user_id === id);
+      tables.codeUsage.remove((row) => row.user_id === id || row.code_owner_id === id);
+      tables.pings.remove((row) => row.from_user_id === id || row.to_user_id === id);
+      tables.locationPoints.remove((row) => row.user_id === id);
+      deleteZones((row) => row.user_id === id);
+      tables.zoneSubscriptions.remove((row) => row.user_id === id);
+      deleteCrashEvents((row) => row.user_id === id);
+      tables.crashTimeline
+        .filter((row) => row.actor_user_id === id)
+        .forEach((row) => tables.crashTimeline.update(row.id, { actor_user_id: null }));
+      tables.notifications.remove((row) => row.recipient_user_id === id);
+      tables.notifications
+        .filter((row) => row.sender_user_id === id)
+        .forEach((row) => tables.notifications.update(row.id, { sender_user_id: null }));
+      tables.circleMembers.remove((row) => row.user_id === id);
+      tables.deviceStatus.remove((row) => row.user_id === id);
+      tables.emergencyContacts.remove((row) => row.user_id === id);
+      [tables.circles, tables.circleInvites].forEach((table) => table
+        .filter((row) => row.created_by === id)
+        .forEach((row) => table.update(row.id, { created_by: null })));
+      return true;
+    },
+    clearPushToken: async (id, tokenField, token) => {
+      const user = tables.users.get(id);
+      if (user && user[tokenField] === token) {
+        tables.users.update(id, { [tokenField]: null });
+      }
+    },
+  };
+
+  const sessions = {
+    create: async (fields) => tables.sessions.insert({ revoked_at: null, ...fields }),
+    findById: async (id) => tables.sessions.get(id),
+    findByRefreshTokenHash: async (hash) => tables.sessions.find((row) =>
+      row.refresh_token_hash === hash || row.previous_refresh_token_hash === hash),
+    update: async (id, fields) => tables.sessions.update(id, fields),
+    revoke: async (id) => {
+      const session = tables.sessions.get(id);
+      if (session && !session.revoked_at) {
+        tables.sessions.update(id, { revoked_at: now() });
+      }
+    },
+    revokeAllForUser: async (userId) => {
+      tables.sessions
+        .filter((row) => row.user_id === userId && !row.revoked_at)
+        .forEach((row) => tables.sessions.update(row.id, { revoked_at: now() }));
+    },
+  };
+
+  const pairingCodes = {
+    create: async (fields) => tables.pairingCodes.insert(fields),
+    findById: async (id) => tables.pairingCodes.get(id),
+    findByCode: async (code) => tables.pairingCodes.find((row) => row.code === code),
+    update: async (id, fields) => tables.pairingCodes.update(id, fields),
+    delete: async (id) => {
+      deletePairingCodes((row) => row.id === id);
+    },
+    claimUse: async (id, expectedUseCount) => {
+      const pairingCode = tables.pairingCodes.get(id);
+      if (!pairingCode || pairingCode.revoked_at || pairingCode.use_count !== expectedUseCount) return false;
+
+      tables.pairingCodes.update(id, { use_count: expectedUseCount + 1, updated_at: now() });
+      return true;
+    },
+    listActiveForUser: async (userId, at) => tables.pairingCodes
+      .filter((row) => row.user_id === userId && !row.revoked_at && row.expires_at > at && row.use_count < row.max_uses)
+      .sort(byNewest('created_at')),
+    purge: async (before, { dryRun = false } = {}) => {
+      const used = new Set(tables.codeUsage.filter(() => true).map((row) => row.pairing_code_id));
+      const purgeable = (row) => (row.expires_at < before || (row.revoked_at && row.revoked_at < before)) && !used.has(row.id);
+      return dryRun ? tables.pairingCodes.filter(purgeable).length : deletePairingCodes(purgeable);
+    },
+  };
+
+  const pairingRequests = {
+    create: async (fields) => {
+      if (tables.pairingRequests.find((row) => row.status === 'pending'
+        && row.requester_user_id === fields.requester_user_id && row.owner_user_id === fields.owner_user_id)) {
+        throw new ConflictError('A pending pairing request already exists');
+      }
+      return tables.pairingRequests.insert(fields);
+    },
+    findById: async (id) => tables.pairingRequests.get(id),
+    findPending: async (requesterUserId, ownerUserId) => tables.pairingRequests.find((row) => row.status === 'pending'
+      && row.requester_user_id === requesterUserId && row.owner_user_id === ownerUserId),
+    listForUser: async (userId, { direction, status }) => tables.pairingRequests
+      .filter((row) => row[direction === 'outgoing' ? 'requester_user_id' : 'owner_user_id'] === userId
+        && (!status || row.status === status))
+      .sort(byNewest('created_at'))
+      .slice(0, 100),
+    transition: async (id, fromStatus, fields) => {
+      const request = tables.pairingRequests.get(id);
+      if (!request || request.status !== fromStatus) return null;
+      return tables.pairingRequests.update(id, fields);
+    },
+  };
+
+  const connections = {
+    create: async (initiatorUserId, pairedUserId) =>
+      tables.connections.find((row) => isBetween(row, initiatorUserId, pairedUserId)) ||
+      tables.connections.insert({ initiator_user_id: initiatorUserId, paired_user_id: pairedUserId }),
+    find: async (userId, otherUserId) => tables.connections.find((row) => isBetween(row, userId, otherUserId)) || null,
+    exists: async (userId, otherUserId) => Boolean(tables.connections.find((row) => isBetween(row, userId, otherUserId))),
+    update: async (id, fields) => tables.connections.update(id, fields),
+    listForUser: async (userId) => tables.connections.filter((row) =>
+      row.initiator_user_id === userId || row.paired_user_id === userId),
+    listConnectedUserIds: async (userId) => {
+      const ids = tables.connections
+        .filter((row) => row.initiator_user_id === userId || row.paired_user_id === userId)
+        .map((row) => (row.initiator_user_id === userId ? row.paired_user_id : row.initiator_user_id));
+      return [...new Set(ids)];
+    },
+    delete: async (userId, otherUserId) => {
+      tables.connections.remove((row) => isBetween(row, userId, otherUserId));
+    },
+  };
+
+  const codeUsage = {
+    findByCodeAndUser: async (pairingCodeId, userId) => tables.codeUsage.find((row) =>
+      row.pairing_code_id === pairingCodeId && row.user_id === userId),
+    create: async (fields) => tables.codeUsage.insert(fields),
+    update: async (id, fields) => tables.codeUsage.update(id, fields),
+    listByUser: async (userId, { limit = 50 } = {}) => tables.codeUsage
+      .filter((row) => row.user_id === userId)
+      .sort(byNewest('timestamp'))
+      .slice(0, limit)
+      .map((row) => {
+        const pairingCode = tables.pairingCodes.get(row.pairing_code_id);
+        const owner = pairingCode && tables.users.get(pairingCode.user_id);
+        return {
+          id: row.id,
+          pairing_code_id: row.pairing_code_id,
+          timestamp: row.timestamp,
+          code: pairingCode?.code || null,
+          owner_device_name: owner?.device_name || null,
+        };
+      }),
+    listByCode: async (pairingCodeId) => tables.codeUsage
+      .filter((row) => row.pairing_code_id === pairingCodeId)
+      .sort(byNewest('timestamp'))
+      .map((row) => ({
+        id: row.id,
+        user_id: row.user_id,
+        device_id: row.device_id,
+        timestamp: row.timestamp,
+        device_name: tables.users.get(row.user_id)?.device_name || null,
+      })),
+    // Delete a usage entry and return it, or null if the code has no such entry
+    delete: async (id, pairingCodeId) =>
+      tables.codeUsage.remove((row) => row.id === id && row.pairing_code_id === pairingCodeId)[0] || null,
+    purge: async (before, { dryRun = false } = {}) => purgeRows(tables.codeUsage, (row) => row.timestamp < before, dryRun),
+  };
+
+  const pings = {
+    create: async (fields) => tables.pings.insert(fields),
+    findById: async (id) => tables.pings.get(id),
+    update: async (id, fields) => tables.pings.update(id, fields),
+    listForUser: async (userId, { limit }) => tables.pings
+      .filter((row) => row.from_user_id === userId || row.to_user_id === userId)
+      .sort(byNewest('created_at'))
+      .slice(0, limit),
+    listForRecipient: async (userId, { limit = 20, offset = 0 } = {}) => {
+      const received = tables.pings.filter((row) => row.to_user_id === userId).sort(byNewest('created_at'));
+      return {
+        total: received.length,
+        pings: received.slice(offset, offset + limit).map((row) => ({
+          ...row,
+          from_device_name: tables.users.get(row.from_user_id)?.device_name || null,
+        })),
+      };
+    },
+    countUnread: async (userId) => tables.pings.filter((row) => row.to_user_id === userId && !row.read_at).length,
+    markRead: async (userId, ids = null) => {
+      const readAt = now();
+      const unread = tables.pings.filter((row) => row.to_user_id === userId && !row.read_at && (!ids || ids.includes(row.id)));
+      unread.forEach((row) => tables.pings.update(row.id, { read_at: readAt }));
+      return unread.length;
+    },
+    // Replies go with the ping they answer
+    purge: async (before, { dryRun = false } = {}) => {
+      const isOld = (row) => row.read_at && row.read_at < before;
+      if (dryRun) return tables.pings.filter(isOld).length;
+
+      const ids = new Set(tables.pings.remove(isOld).map((row) => row.id));
+      tables.pings.remove((row) => ids.has(row.reply_to_ping_id));
+      return ids.size;
+    },
+  };
+
+  const locations = {
+    create: async (fields) => tables.locationPoints.insert(fields),
+    listForUser: async (userId, { from, to, limit }) => tables.locationPoints
+      .filter((row) => row.user_id === userId && row.recorded_at >= from && row.recorded_at <= to)
+      .sort(byNewest('recorded_at'))
+      .slice(0, limit)
+      .reverse()
+      .map(({ id, latitude, longitude, accuracy, recorded_at }) => ({ id, latitude, longitude, accuracy, recorded_at })),
+    findLatest: async (userId) => tables.locationPoints
+      .filter((row) => row.user_id === userId)
+      .sort(byNewest('recorded_at'))[0] || null,
+    purge: async (before, { dryRun = false } = {}) => purgeRows(tables.locationPoints, (row) => row.recorded_at < before, dryRun),
+  };
+
+  const zones = {
+    create: async (fields) => tables.zones.insert(fields),
+    findById: async (id) => tables.zones.get(id),
+    listForUser: async (userId) => tables.zones.filter((row) => row.user_id === userId).sort(byOldest('created_at')),
+    update: async (id, fields) => tables.zones.update(id, fields),
+    delete: async (id) => {
+      deleteZones((row) => row.id === id);
+    },
+    subscribe: async (zoneId, userId) => {
+      if (!tables.zoneSubscriptions.find((row) => row.zone_id === zoneId && row.user_id === userId)) {
+        tables.zoneSubscriptions.insert({ zone_id: zoneId, user_id: userId });
+      }
+    },
+    unsubscribe: async (zoneId, userId) => {
+      tables.zoneSubscriptions.remove((row) => row.zone_id === zoneId && row.user_id === userId);
+    },
+    listSubscriberIds: async (zoneId) => tables.zoneSubscriptions
+      .filter((row) => row.zone_id === zoneId)
+      .map((row) => row.user_id),
+    listSubscriptions: async (zoneIds) => tables.zoneSubscriptions
+      .filter((row) => zoneIds.includes(row.zone_id))
+      .map(({ zone_id, user_id }) => ({ zone_id, user_id })),
+  };
+
+  const crashEvents = {
+    create: async (fields) => tables.crashEvents.insert(fields),
+    findById: async (id) => tables.crashEvents.get(id),
+    update: async (id, fields) => tables.crashEvents.update(id, fields),
+    claimEscalation: async (id, expectedLevel, fields) => {
+      const crashEvent = tables.crashEvents.get(id);
+      if (!crashEvent || crashEvent.status !== 'open' || crashEvent.escalation_level !== expectedLevel) {
+        return false;
+      }
+      tables.crashEvents.update(id, fields);
+      return true;
+    },
+    listDueForEscalation: async (at) => tables.crashEvents.filter((row) =>
+      row.status === 'open' && row.next_escalation_at && row.next_escalation_at <= at),
+    addTimelineEntry: async (fields) => tables.crashTimeline.insert(fields),
+    listTimeline: async (crashEventId) => tables.crashTimeline
+      .filter((row) => row.crash_event_id === crashEventId)
+      .sort(byOldest('created_at')),
+  };
+
+  const notifications = {
+    createMany: async (rows) => rows.map((row) => tables.notifications.insert(row)),
+    findById: async (id) => tables.notifications.get(id),
+    update: async (id, fields) => tables.notifications.update(id, fields),
+    claim: async (id, at, lockedUntil) => {
+      const job = tables.notifications.get(id);
+      const claimable = job && (job.status === 'pending' || (job.status === 'processing' && job.locked_until < at));
+      if (!claimable) return false;
+
+      tables.notifications.update(id, { status: 'processing', locked_until: lockedUntil });
+      return true;
+    },
+    listDue: async (at, limit) => tables.notifications
+      .filter((row) =>
+        (row.status === 'pending' && row.next_attempt_at <= at) ||
+        (row.status === 'processing' && row.locked_until < at))
+      .sort(byOldest('next_attempt_at'))
+      .slice(0, limit),
+    listAwaitingReceipt: async (provider, sentBefore, limit) => tables.notifications
+      .filter((row) =>
+        row.provider === provider && row.status === 'sent' && !row.receipt_status && row.sent_at <= sentBefore)
+      .slice(0, limit),
+  };
+
+  const circles = {
+    create: async (fields) => tables.circles.insert(fields),
+    findById: async (id) => tables.circles.get(id),
+    update: async (id, fields) => tables.circles.update(id, fields),
+    delete: async (id) => {
+      deleteCircles((row) => row.id === id);
+    },
+    listForUser: async (userId) => tables.circleMembers
+      .filter((row) => row.user_id === userId)
+      .sort(byOldest('joined_at'))
+      .map((membership) => ({
+        ...tables.circles.get(membership.circle_id),
+        role: membership.role,
+        member_count: tables.circleMembers.filter((row) => row.circle_id === membership.circle_id).length,
+      })),
+    addMember: async (fields) => tables.circleMembers.insert(fields),
+    findMember: async (circleId, userId) => tables.circleMembers.find((row) =>
+      row.circle_id === circleId && row.user_id === userId),
+    updateMember: async (circleId, userId, fields) => {
+      const member = tables.circleMembers.find((row) => row.circle_id === circleId && row.user_id === userId);
+      return member && tables.circleMembers.update(member.id, fields);
+    },
+    removeMember: async (circleId, userId) =>
+      tables.circleMembers.remove((row) => row.circle_id === circleId && row.user_id === userId).length > 0,
+    listMembers: async (circleId) => tables.circleMembers
+      .filter((row) => row.circle_id === circleId)
+      .sort(byOldest('joined_at'))
+      .map((row) => ({ ...row, device_name: tables.users.get(row.user_id)?.device_name || null })),
+    listMemberships: async (userId) => tables.circleMembers.filter((row) => row.user_id === userId),
+  };
+
+  const circleInvites = {
+    create: async (fields) => tables.circleInvites.insert(fields),
+    findByCode: async (code) => tables.circleInvites.find((row) => row.code === code),
+    update: async (id, fields) => tables.circleInvites.update(id, fields),
+    claimUse: async (id, expectedUseCount) => {
+      const invite = tables.circleInvites.get(id);
+      if (!invite || invite.revoked_at || invite.use_count !== expectedUseCount) return false;
+
+      tables.circleInvites.update(id, { use_count: expectedUseCount + 1, updated_at: now() });
+      return true;
+    },
+    listActiveForCircle: async (circleId, at) => tables.circleInvites
+      .filter((row) => row.circle_id === circleId && !row.revoked_at && row.expires_at > at && row.use_count < row.max_uses)
+      .sort(byNewest('created_at')),
+  };
+
+  const emergencyContacts = {
+    listForUser: async (userId) => tables.emergencyContacts
+      .filter((row) => row.user_id === userId)
+      .sort(byOldest('priority')),
+    findById: async (id) => tables.emergencyContacts.get(id),
+    create: async (fields) => tables.emergencyContacts.insert(fields),
+    update: async (id, fields) => tables.emergencyContacts.update(id, fields),
+    delete: async (id) => tables.emergencyContacts.remove((row) => row.id === id).length > 0,
+    setPriorities: async (userId, orderedIds) => {
+      orderedIds.forEach((id, index) => {
+        const contact = tables.emergencyContacts.get(id);
+        if (contact?.user_id === userId) tables.emergencyContacts.update(id, { priority: index + 1, updated_at: now() });
+      });
+    },
+  };
+
+  const accountDeletions = {
+    create: async (fields) => tables.accountDeletions.insert(fields),
+    findPending: async (userId) => tables.accountDeletions.find((row) => row.user_id === userId && row.status === 'pending'),
+    listDue: async (at) => tables.accountDeletions.filter((row) => row.status === 'pending' && row.scheduled_for <= at),
+    transition: async (id, fromStatus, fields) => {
+      const deletion = tables.accountDeletions.get(id);
+      if (!deletion || deletion.status !== fromStatus) return null;
+      return tables.accountDeletions.update(id, fields);
+    },
+  };
+
+  const auditLog = {
+    append: async (entry) => tables.auditLog.insert(entry),
+    findLatest: async () => tables.auditLog.filter(() => true).sort(byNewest('sequence'))[0] || null,
+    listForUser: async (userId, { limit = 50, beforeSequence = null, action = null } = {}) => tables.auditLog
+      .filter((row) => (row.actor_user_id === userId || row.target_user_id === userId)
+        && (beforeSequence === null || row.sequence < beforeSequence)
+        && (!action || row.action === action))
+      .sort(byNewest('sequence'))
+      .slice(0, limit),
+    listFrom: async (fromSequence, limit) => tables.auditLog
+      .filter((row) => row.sequence >= fromSequence)
+      .sort(byOldest('sequence'))
+      .slice(0, limit),
+    findBySequences: async (sequences) => tables.auditLog.filter((row) => sequences.includes(row.sequence)),
+  };
+
+  const jobRuns = {
+    // Only one run of a job at a time, like the partial unique index in Supabase
+    create: async (fields) => {
+      if (tables.jobRuns.find((row) => row.job === fields.job && row.status === 'running')) {
+        throw new ConflictError(`Job ${fields.job} is already running`);
+      }
+      return tables.jobRuns.insert(fields);
+    },
+    update: async (id, fields) => tables.jobRuns.update(id, fields),
+    findLatest: async (job, { dryRun = false } = {}) => tables.jobRuns
+      .filter((row) => row.job === job && row.dry_run === dryRun)
+      .sort(byNewest('started_at'))[0] || null,
+    listForJob: async (job, { limit = 20 } = {}) => tables.jobRuns
+      .filter((row) => row.job === job)
+      .sort(byNewest('started_at'))
+      .slice(0, limit),
+    failStale: async (job, before, fields) => tables.jobRuns
+      .filter((row) => row.job === job && row.status === 'running' && row.started_at < before)
+      .map((row) => tables.jobRuns.update(row.id, { ...fields, status: 'failed' })),
+  };
+
+  const deviceStatus = {
+    findByUserId: async (userId) => tables.deviceStatus.find((row) => row.user_id === userId),
+    listByUserIds: async (userIds) => tables.deviceStatus.filter((row) => userIds.includes(row.user_id)),
+    upsert: async (userId, fields) => {
+      const existing = tables.deviceStatus.find((row) => row.user_id === userId);
+      return existing
+        ? tables.deviceStatus.update(existing.id, fields)
+        : tables.deviceStatus.insert({ ...fields, user_id: userId });
+    },
+    listOverdue: async (before) => tables.deviceStatus.filter((row) =>
+      row.status === 'online' && row.last_seen_at < before),
+    claimOffline: async (userId, lastSeenAt, fields) => {
+      const existing = tables.deviceStatus.find((row) => row.user_id === userId);
+      if (!existing || existing.status !== 'online' || existing.last_seen_at !== lastSeenAt) return false;
+
+      tables.deviceStatus.update(existing.id, { ...fields, status: 'offline' });
+      return true;
+    },
+  };
+
+  return {
+    driver: 'memory',
+    ping: async () => {},
+    users,
+    sessions,
+    pairingCodes,
+    pairingRequests,
+    connections,
+    codeUsage,
+    pings,
+    locations,
+    zones,
+    crashEvents,
+    notifications,
+    circles,
+    circleInvites,
+    deviceStatus,
+    emergencyContacts,
+    accountDeletions,
+    auditLog,
+    jobRuns,
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,701 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ConflictError } = require('./errors');
+const { config } = require('../config');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Unwrap a Supabase response, turning errors into exceptions
+function unwrap({ data, error }) {
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw new ConflictError(error.message);
+    }
+    throw error;
+  }
+  return data;
+}
+
+// Expired pairing codes looked at per query when purging; their ids go in the URL
+const PURGE_BATCH_SIZE = 200;
+// PostgREST answers with at most this many rows (its default `max-rows`),
+// whatever the query's limit
+const PAGE_SIZE = 1000;
+
+// Read up to `limit` rows (`Infinity` for all) page by page. `buildQuery`
+// returns a fresh, fully ordered query for each page.
+async function fetchRows(buildQuery, limit) {
+  const rows = [];
+  while (rows.length < limit) {
+    const size = Math.min(PAGE_SIZE, limit - rows.length);
+    const page = unwrap(await buildQuery().range(rows.length, rows.length + size - 1));
+    rows.push(...page);
+    if (page.length < size) break;
+  }
+  return rows;
+}
+
+// Count (dry run) or delete the rows of a table that `filter` narrows the query to
+async function purgeRows(db, table, filter, dryRun) {
+  const query = dryRun
+    ? db.from(table).select('*', { count: 'exact', head: true })
+    : db.from(table).delete({ count: 'exact' });
+  const { count, error } = await filter(query);
+  if (error) throw error;
+  return count;
+}
+
+// Filter matching a connection between two users in either direction
+const connectionBetween = (userId, otherUserId) =>
+  `and(initiator_user_id.eq.${userId},paired_user_id.eq.${otherUserId}),and(initiator_user_id.eq.${otherUserId},paired_user_id.eq.${userId})`;
+
+function createSupabaseStorage({ url = config.supabaseUrl, key = config.supabaseServiceRoleKey, client } = {}) {
+  if (!client && (!url || !key)) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for Supabase storage');
+  }
+  const db = client || createClient(url, key);
+
+  const users = {
+    findById: async (id) => unwrap(await db.from('users').select('*').eq('id', id).maybeSingle()),
+    findByDeviceId: async (deviceId) => unwrap(await db.from('users').select('*').eq('device_id', deviceId).maybeSingle()),
+    listByIds: async (ids) => (ids.length === 0 ? [] : unwrap(await db.from('users').select('*').in('id', ids))),
+    create: async (fields) => unwrap(await db.from('users').insert(fields).select().single()),
+    update: async (id, fields) => unwrap(await db.from('users').update(fields).eq('id', id).select().maybeSingle()),
+    delete: async (id) => {
+      const deleted = unwrap(await db.from('users').delete().eq('id', id).select('id'));
+      return deleted.length > 0;
+    },
+    // Clear a push token, but only if the user still has that exact token
+    clearPushToken: async (id, tokenField, token) => {
+      unwrap(await db.from('users').update({ [tokenField]: null }).eq('id', id).eq(tokenField, token));
+    },
+  };
+
+  const sessions = {
+    create: async (fields) => unwrap(await db.from('sessions').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('sessions').select('*').eq('id', id).maybeSingle()),
+    // Find the session whose current or previous refresh token has this hash
+    findByRefreshTokenHash: async (hash) => unwrap(await db
+      .from('sessions')
+      .select('*')
+      .or(`refresh_token_hash.eq.${hash},previous_refresh_token_hash.eq.${hash}`)
+      .maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('sessions').update(fields).eq('id', id).select().maybeSingle()),
+    revoke: async (id) => {
+      unwrap(await db.from('sessions').update({ revoked_at: new Date().toISOString() }).eq('id', id).is('revoked_at', null));
+    },
+    revokeAllForUser: async (userId) => {
+      unwrap(await db.from('sessions').update({ revoked_at: new Date().toISOString() }).eq('user_id', userId).is('revoked_at', null));
+    },
+  };
+
+  const pairingCodes = {
+    create: async (fields) => unwrap(await db.from('pairing_codes').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('pairing_codes').select('*').eq('id', id).maybeSingle()),
+    findByCode: async (code) => unwrap(await db.from('pairing_codes').select('*').eq('code', code).maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('pairing_codes').update(fields).eq('id', id).select().maybeSingle()),
+    delete: async (id) => {
+      unwrap(await db.from('pairing_codes').delete().eq('id', id));
+    },
+    // Count one use of a code, but only if nobody else used it since it was read
+    // and it has not been revoked. Returns false if the use was not counted.
+    claimUse: async (id, expectedUseCount) => {
+      const claimed = unwrap(await db
+        .from('pairing_codes')
+        .update({ use_count: expectedUseCount + 1, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('use_count', expectedUseCount)
+        .is('revoked_at', null)
+        .select('id'));
+      return claimed.length > 0;
+    },
+    // Codes of a user that are unrevoked, unexpired and have uses left, newest first
+    listActiveForUser: async (userId, now) => {
+      const rows = unwrap(await db
+        .from('pairing_codes')
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', now)
+        .order('created_at', { ascending: false }));
+      return rows.filter((row) => row.use_count < row.max_uses);
+    },
+    // Codes that expired or were revoked before `before` and have no usage
+    // entries left; the usage history of a code is purged on its own schedule
+    purge: async (before, { dryRun = false } = {}) => {
+      let purged = 0;
+      let offset = 0;
+
+      for (;;) {
+        const ids = unwrap(await db
+          .from('pairing_codes')
+          .select('id')
+          .or(`expires_at.lt.${before},revoked_at.lt.${before}`)
+          .order('id')
+          .range(offset, offset + PURGE_BATCH_SIZE - 1)).map((row) => row.id);
+        if (ids.length === 0) break;
+
+        const usage = unwrap(await db.from('code_usage').select('pairing_code_id').in('pairing_code_id', ids));
+        const used = new Set(usage.map((row) => row.pairing_code_id));
+        const unused = ids.filter((id) => !used.has(id));
+        if (!dryRun && unused.length > 0) {
+          unwrap(await db.from('pairing_codes').delete().in('id', unused));
+        }
+
+        purged += unused.length;
+        // Deleted codes drop out of the result, so only the kept ones move the window
+        offset += dryRun ? ids.length : ids.length - unused.length;
+        if (ids.length < PURGE_BATCH_SIZE) break;
+      }
+      return purged;
+    },
+  };
+
+  const pairingRequests = {
+    create: async (fields) => unwrap(await db.from('pairing_requests').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('pairing_requests').select('*').eq('id', id).maybeSingle()),
+    findPending: async (requesterUserId, ownerUserId) => unwrap(await db
+      .from('pairing_requests')
+      .select('*')
+      .eq('requester_user_id', requesterUserId)
+      .eq('owner_user_id', ownerUserId)
+      .eq('status', 'pending')
+      .maybeSingle()),
+    // Requests sent (`outgoing`) or received (`incoming`) by a user, newest first
+    listForUser: async (userId, { direction, status }) => {
+      let query = db
+        .from('pairing_requests')
+        .select('*')
+        .eq(direction === 'outgoing' ? 'requester_user_id' : 'owner_user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(100);
+      if (status) query = query.eq('status', status);
+      return unwrap(await query);
+    },
+    // Move a request out of `fromStatus`. Returns the updated request, or null if
+    // it was no longer in that status.
+    transition: async (id, fromStatus, fields) => unwrap(await db
+      .from('pairing_requests')
+      .update(fields)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select()
+      .maybeSingle()),
+  };
+
+  const connections = {
+    // Create a connection; connecting two users that are already connected is a no-op
+    create: async (initiatorUserId, pairedUserId) => {
+      const existing = unwrap(await db.from('device_connections').select('*').or(connectionBetween(initiatorUserId, pairedUserId)).limit(1));
+      if (existing.length > 0) return existing[0];
+
+      try {
+        return unwrap(await db
+          .from('device_connections')
+          .insert({ initiator_user_id: initiatorUserId, paired_user_id: pairedUserId })
+          .select()
+          .single());
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        return unwrap(await db.from('device_connections').select('*').or(connectionBetween(initiatorUserId, pairedUserId)).limit(1))[0];
+      }
+    },
+    find: async (userId, otherUserId) => {
+      const rows = unwrap(await db.from('device_connections').select('*').or(connectionBetween(userId, otherUserId)).limit(1));
+      return rows[0] || null;
+    },
+    exists: async (userId, otherUserId) => {
+      const rows = unwrap(await db.from('device_connections').select('id').or(connectionBetween(userId, otherUserId)).limit(1));
+      return rows.length > 0;
+    },
+    update: async (id, fields) => unwrap(await db
+      .from('device_connections')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .maybeSingle()),
+    listForUser: async (userId) => fetchRows(() => db
+      .from('device_connections')
+      .select('*')
+      .or(`initiator_user_id.eq.${userId},paired_user_id.eq.${userId}`)
+      .order('id', { ascending: true }), Infinity),
+    // Ids of every user sharing a connection with userId
+    listConnectedUserIds: async (userId) => {
+      const rows = unwrap(await db
+        .from('device_connections')
+        .select('initiator_user_id, paired_user_id')
+        .or(`initiator_user_id.eq.${userId},paired_user_id.eq.${userId}`));
+
+      const ids = rows.map((row) => (row.initiator_user_id === userId ? row.paired_user_id : row.initiator_user_id));
+      return [...new Set(ids)];
+    },
+    delete: async (userId, otherUserId) => {
+      unwrap(await db.from('device_connections').delete().or(connectionBetween(userId, otherUserId)));
+    },
+  };
+
+  const codeUsage = {
+    findByCodeAndUser: async (pairingCodeId, userId) => unwrap(await db
+      .from('code_usage')
+      .select('*')
+      .eq('pairing_code_id', pairingCodeId)
+      .eq('user_id', userId)
+      .maybeSingle()),
+    create: async (fields) => unwrap(await db.from('code_usage').insert(fields).select().single()),
+    update: async (id, fields) => unwrap(await db.from('code_usage').update(fields).eq('id', id).select().maybeSingle()),
+    // Codes a user has pasted, newest first, with the code and its owner's device name
+    listByUser: async (userId, { limit = 50 } = {}) => {
+      const rows = await fetchRows(() => db
+        .from('code_usage')
+        .select('id, pairing_code_id, timestamp, pairing_codes:pairing_code_id(code, users:user_id(device_name))')
+        .eq('user_id', userId)
+        .order('timestamp', { ascending: false })
+        .order('id', { ascending: true }), limit);
+
+      return rows.map((row) => ({
+        id: row.id,
+        pairing_code_id: row.pairing_code_id,
+        timestamp: row.timestamp,
+        code: row.pairing_codes?.code || null,
+        owner_device_name: row.pairing_codes?.users?.device_name || null,
+      }));
+    },
+    // Users who pasted a code, newest first, with their device name
+    listByCode: async (pairingCodeId) => {
+      const rows = unwrap(await db
+        .from('code_usage')
+        .select('id, user_id, device_id, timestamp, users:user_id(device_name)')
+        .eq('pairing_code_id', pairingCodeId)
+        .order('timestamp', { ascending: false }));
+
+      return rows.map((row) => ({
+        id: row.id,
+        user_id: row.user_id,
+        device_id: row.device_id,
+        timestamp: row.timestamp,
+        device_name: row.users?.device_name || null,
+      }));
+    },
+    // Delete a usage entry and return it, or null if the code has no such entry
+    delete: async (id, pairingCodeId) => unwrap(await db
+      .from('code_usage')
+      .delete()
+      .eq('id', id)
+      .eq('pairing_code_id', pairingCodeId)
+      .select()
+      .maybeSingle()),
+    purge: async (before, { dryRun = false } = {}) => purgeRows(db, 'code_usage', (query) => query.lt('timestamp', before), dryRun),
+  };
+
+  const pings = {
+    create: async (fields) => unwrap(await db.from('pings').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('pings').select('*').eq('id', id).maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('pings').update(fields).eq('id', id).select().maybeSingle()),
+    // Pings a user sent or received, newest first
+    listForUser: async (userId, { limit }) => fetchRows(() => db
+      .from('pings')
+      .select('*')
+      .or(`from_user_id.eq.${userId},to_user_id.eq.${userId}`)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: true }), limit),
+    // A page of pings received by a user, newest first, with the sender's
+    // device name and the total number of received pings
+    listForRecipient: async (userId, { limit = 20, offset = 0 } = {}) => {
+      const { data, count, error } = await db
+        .from('pings')
+        .select('*, sender:from_user_id(device_name)', { count: 'exact' })
+        .eq('to_user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw error;
+
+      return {
+        total: count,
+        pings: data.map(({ sender, ...row }) => ({ ...row, from_device_name: sender?.device_name || null })),
+      };
+    },
+    countUnread: async (userId) => {
+      const { count, error } = await db
+        .from('pings')
+        .select('*', { count: 'exact', head: true })
+        .eq('to_user_id', userId)
+        .is('read_at', null);
+      if (error) throw error;
+      return count;
+    },
+    // Mark a user's unread pings as read (only `ids` if given). Returns how many changed.
+    markRead: async (userId, ids = null) => {
+      let query = db.from('pings').update({ read_at: new Date().toISOString() }).eq('to_user_id', userId).is('read_at', null);
+      if (ids) query = query.in('id', ids);
+      return unwrap(await query.select('id')).length;
+    },
+    // Pings read before `before`; replies go with them through the foreign key
+    purge: async (before, { dryRun = false } = {}) => purgeRows(db, 'pings', (query) => query.lt('read_at', before), dryRun),
+  };
+
+  const locations = {
+    create: async (fields) => unwrap(await db.from('location_points').insert(fields).select().single()),
+    // The latest `limit` points recorded by a user within [from, to], oldest first
+    listForUser: async (userId, { from, to, limit }) => {
+      const newestFirst = await fetchRows(() => db
+        .from('location_points')
+        .select('id, latitude, longitude, accuracy, recorded_at')
+        .eq('user_id', userId)
+        .gte('recorded_at', from)
+        .lte('recorded_at', to)
+        .order('recorded_at', { ascending: false })
+        .order('id', { ascending: false }), limit);
+      return newestFirst.reverse();
+    },
+    findLatest: async (userId) => unwrap(await db
+      .from('location_points')
+      .select('id, latitude, longitude, accuracy, recorded_at')
+      .eq('user_id', userId)
+      .order('recorded_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()),
+    purge: async (before, { dryRun = false } = {}) => purgeRows(db, 'location_points', (query) => query.lt('recorded_at', before), dryRun),
+  };
+
+  const zones = {
+    create: async (fields) => unwrap(await db.from('zones').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('zones').select('*').eq('id', id).maybeSingle()),
+    listForUser: async (userId) => unwrap(await db
+      .from('zones')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })),
+    update: async (id, fields) => unwrap(await db.from('zones').update(fields).eq('id', id).select().maybeSingle()),
+    delete: async (id) => {
+      unwrap(await db.from('zones').delete().eq('id', id));
+    },
+    // Opt a paired user in to a zone's alerts (no-op if already subscribed)
+    subscribe: async (zoneId, userId) => {
+      unwrap(await db
+        .from('zone_subscriptions')
+        .upsert({ zone_id: zoneId, user_id: userId }, { onConflict: 'zone_id,user_id', ignoreDuplicates: true }));
+    },
+    unsubscribe: async (zoneId, userId) => {
+      unwrap(await db.from('zone_subscriptions').delete().eq('zone_id', zoneId).eq('user_id', userId));
+    },
+    listSubscriberIds: async (zoneId) => {
+      const rows = unwrap(await db.from('zone_subscriptions').select('user_id').eq('zone_id', zoneId));
+      return rows.map((row) => row.user_id);
+    },
+    // Subscriptions of any of the given zones, as `{ zone_id, user_id }` rows
+    listSubscriptions: async (zoneIds) => (zoneIds.length === 0 ? [] : unwrap(await db
+      .from('zone_subscriptions')
+      .select('zone_id, user_id')
+      .in('zone_id', zoneIds))),
+  };
+
+  const crashEvents = {
+    create: async (fields) => unwrap(await db.from('crash_events').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('crash_events').select('*').eq('id', id).maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('crash_events').update(fields).eq('id', id).select().maybeSingle()),
+    // Apply an escalation step only if the event is still open at the expected
+    // level. Returns false if another worker got there first.
+    claimEscalation: async (id, expectedLevel, fields) => {
+      const claimed = unwrap(await db
+        .from('crash_events')
+        .update(fields)
+        .eq('id', id)
+        .eq('status', 'open')
+        .eq('escalation_level', expectedLevel)
+        .select('id'));
+      return claimed.length > 0;
+    },
+    listDueForEscalation: async (now) => unwrap(await db
+      .from('crash_events')
+      .select('*')
+      .eq('status', 'open')
+      .lte('next_escalation_at', now)),
+    addTimelineEntry: async (fields) => unwrap(await db.from('crash_event_timeline').insert(fields).select().single()),
+    listTimeline: async (crashEventId) => unwrap(await db
+      .from('crash_event_timeline')
+      .select('*')
+      .eq('crash_event_id', crashEventId)
+      .order('created_at', { ascending: true })),
+  };
+
+  const notifications = {
+    createMany: async (rows) => unwrap(await db.from('notification_outbox').insert(rows).select()),
+    findById: async (id) => unwrap(await db.from('notification_outbox').select('*').eq('id', id).maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('notification_outbox').update(fields).eq('id', id).select().single()),
+    // Lock a job for sending if it is pending or its previous lock has expired.
+    // Returns false if another worker holds it.
+    claim: async (id, now, lockedUntil) => {
+      const claimed = unwrap(await db
+        .from('notification_outbox')
+        .update({ status: 'processing', locked_until: lockedUntil })
+        .eq('id', id)
+        .or(`status.eq.pending,and(status.eq.processing,locked_until.lt.${now})`)
+        .select('id'));
+      return claimed.length > 0;
+    },
+    listDue: async (now, limit) => unwrap(await db
+      .from('notification_outbox')
+      .select('*')
+      .or(`and(status.eq.pending,next_attempt_at.lte.${now}),and(status.eq.processing,locked_until.lt.${now})`)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit)),
+    listAwaitingReceipt: async (provider, sentBefore, limit) => unwrap(await db
+      .from('notification_outbox')
+      .select('*')
+      .eq('provider', provider)
+      .eq('status', 'sent')
+      .is('receipt_status', null)
+      .lte('sent_at', sentBefore)
+      .limit(limit)),
+  };
+
+  const circles = {
+    create: async (fields) => unwrap(await db.from('circles').insert(fields).select().single()),
+    findById: async (id) => unwrap(await db.from('circles').select('*').eq('id', id).maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('circles').update(fields).eq('id', id).select().maybeSingle()),
+    delete: async (id) => {
+      unwrap(await db.from('circles').delete().eq('id', id));
+    },
+    // Circles a user belongs to with their role and the member count, oldest membership first
+    listForUser: async (userId) => {
+      const memberships = unwrap(await db
+        .from('circle_members')
+        .select('role, circle:circle_id(*)')
+        .eq('user_id', userId)
+        .order('joined_at', { ascending: true }));
+      if (memberships.length === 0) return [];
+
+      const members = unwrap(await db
+        .from('circle_members')
+        .select('circle_id')
+        .in('circle_id', memberships.map(({ circle }) => circle.id)));
+
+      return memberships.map(({ role, circle }) => ({
+        ...circle,
+        role,
+        member_count: members.filter((row) => row.circle_id === circle.id).length,
+      }));
+    },
+    addMember: async (fields) => unwrap(await db.from('circle_members').insert(fields).select().single()),
+    findMember: async (circleId, userId) => unwrap(await db
+      .from('circle_members')
+      .select('*')
+      .eq('circle_id', circleId)
+      .eq('user_id', userId)
+      .maybeSingle()),
+    updateMember: async (circleId, userId, fields) => unwrap(await db
+      .from('circle_members')
+      .update(fields)
+      .eq('circle_id', circleId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle()),
+    removeMember: async (circleId, userId) => {
+      const removed = unwrap(await db
+        .from('circle_members')
+        .delete()
+        .eq('circle_id', circleId)
+        .eq('user_id', userId)
+        .select('id'));
+      return removed.length > 0;
+    },
+    listMembers: async (circleId) => {
+      const rows = unwrap(await db
+        .from('circle_members')
+        .select('*, user:user_id(device_name)')
+        .eq('circle_id', circleId)
+        .order('joined_at', { ascending: true }));
+      return rows.map(({ user, ...row }) => ({ ...row, device_name: user?.device_name || null }));
+    },
+    listMemberships: async (userId) => unwrap(await db.from('circle_members').select('*').eq('user_id', userId)),
+  };
+
+  const circleInvites = {
+    create: async (fields) => unwrap(await db.from('circle_invites').insert(fields).select().single()),
+    findByCode: async (code) => unwrap(await db.from('circle_invites').select('*').eq('code', code).maybeSingle()),
+    update: async (id, fields) => unwrap(await db.from('circle_invites').update(fields).eq('id', id).select().maybeSingle()),
+    // Same conditional update as pairingCodes.claimUse
+    claimUse: async (id, expectedUseCount) => {
+      const claimed = unwrap(await db
+        .from('circle_invites')
+        .update({ use_count: expectedUseCount + 1, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('use_count', expectedUseCount)
+        .is('revoked_at', null)
+        .select('id'));
+      return claimed.length > 0;
+    },
+    listActiveForCircle: async (circleId, now) => {
+      const rows = unwrap(await db
+        .from('circle_invites')
+        .select('*')
+        .eq('circle_id', circleId)
+        .is('revoked_at', null)
+        .gt('expires_at', now)
+        .order('created_at', { ascending: false }));
+      return rows.filter((row) => row.use_count < row.max_uses);
+    },
+  };
+
+  const emergencyContacts = {
+    listForUser: async (userId) => unwrap(await db
+      .from('emergency_contacts')
+      .select('*')
+      .eq('user_id', userId)
+      .order('priority', { ascending: true })),
+    findById: async (id) => unwrap(await db.from('emergency_contacts').select('*').eq('id', id).maybeSingle()),
+    create: async (fields) => unwrap(await db.from('emergency_contacts').insert(fields).select().single()),
+    update: async (id, fields) => unwrap(await db.from('emergency_contacts').update(fields).eq('id', id).select().maybeSingle()),
+    delete: async (id) => {
+      const removed = unwrap(await db.from('emergency_contacts').delete().eq('id', id).select('id'));
+      return removed.length > 0;
+    },
+    setPriorities: async (userId, orderedIds) => {
+      const updatedAt = new Date().toISOString();
+      for (const [index, id] of orderedIds.entries()) {
+        unwrap(await db
+          .from('emergency_contacts')
+          .update({ priority: index + 1, updated_at: updatedAt })
+          .eq('id', id)
+          .eq('user_id', userId));
+      }
+    },
+  };
+
+  const accountDeletions = {
+    create: async (fields) => unwrap(await db.from('account_deletions').insert(fields).select().single()),
+    findPending: async (userId) => unwrap(await db
+      .from('account_deletions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .maybeSingle()),
+    listDue: async (now) => unwrap(await db
+      .from('account_deletions')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('scheduled_for', now)),
+    // Move a deletion out of `fromStatus`; null if it already left it
+    transition: async (id, fromStatus, fields) => unwrap(await db
+      .from('account_deletions')
+      .update(fields)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select()
+      .maybeSingle()),
+  };
+
+  const auditLog = {
+    append: async (entry) => unwrap(await db.from('audit_log').insert(entry).select().single()),
+    findLatest: async () => unwrap(await db
+      .from('audit_log')
+      .select('*')
+      .order('sequence', { ascending: false })
+      .limit(1)
+      .maybeSingle()),
+    // Entries where the user is the actor or the target, newest first
+    listForUser: async (userId, { limit = 50, beforeSequence = null, action = null } = {}) => {
+      let query = db
+        .from('audit_log')
+        .select('*')
+        .or(`actor_user_id.eq.${userId},target_user_id.eq.${userId}`);
+      if (beforeSequence !== null) query = query.lt('sequence', beforeSequence);
+      if (action) query = query.eq('action', action);
+      return unwrap(await query.order('sequence', { ascending: false }).limit(limit));
+    },
+    listFrom: async (fromSequence, limit) => unwrap(await db
+      .from('audit_log')
+      .select('*')
+      .gte('sequence', fromSequence)
+      .order('sequence', { ascending: true })
+      .limit(limit)),
+    findBySequences: async (sequences) => unwrap(await db.from('audit_log').select('*').in('sequence', sequences)),
+  };
+
+  const jobRuns = {
+    // Throws ConflictError while another run of the job is in progress
+    create: async (fields) => unwrap(await db.from('job_runs').insert(fields).select().single()),
+    update: async (id, fields) => unwrap(await db.from('job_runs').update(fields).eq('id', id).select().maybeSingle()),
+    findLatest: async (job, { dryRun = false } = {}) => unwrap(await db
+      .from('job_runs')
+      .select('*')
+      .eq('job', job)
+      .eq('dry_run', dryRun)
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()),
+    listForJob: async (job, { limit = 20 } = {}) => unwrap(await db
+      .from('job_runs')
+      .select('*')
+      .eq('job', job)
+      .order('started_at', { ascending: false })
+      .limit(limit)),
+    // Fail runs left `running` by an instance that died mid-run
+    failStale: async (job, before, fields) => unwrap(await db
+      .from('job_runs')
+      .update({ ...fields, status: 'failed' })
+      .eq('job', job)
+      .eq('status', 'running')
+      .lt('started_at', before)
+      .select()),
+  };
+
+  const deviceStatus = {
+    findByUserId: async (userId) => unwrap(await db.from('device_status').select('*').eq('user_id', userId).maybeSingle()),
+    listByUserIds: async (userIds) => (userIds.length === 0
+      ? []
+      : unwrap(await db.from('device_status').select('*').in('user_id', userIds))),
+    upsert: async (userId, fields) => unwrap(await db
+      .from('device_status')
+      .upsert({ ...fields, user_id: userId }, { onConflict: 'user_id' })
+      .select()
+      .single()),
+    listOverdue: async (before) => unwrap(await db
+      .from('device_status')
+      .select('*')
+      .eq('status', 'online')
+      .lt('last_seen_at', before)),
+    // Only flips a device that has not sent a heartbeat since the sweep read it
+    claimOffline: async (userId, lastSeenAt, fields) => {
+      const claimed = unwrap(await db
+        .from('device_status')
+        .update({ ...fields, status: 'offline' })
+        .eq('user_id', userId)
+        .eq('status', 'online')
+        .eq('last_seen_at', lastSeenAt)
+        .select('id'));
+      return claimed.length > 0;
+    },
+  };
+
+  // Cheapest query that proves the database answers
+  const ping = async () => {
+    const { error } = await db.from('users').select('id', { head: true }).limit(1);
+    if (error) throw error;
+  };
+
+  return {
+    driver: 'supabase',
+    ping,
+    users,
+    sessions,
+    pairingCodes,
+    pairingRequests,
+    connections,
+    codeUsage,
+    pings,
+    locations,
+    zones,
+    crashEvents,
+    notifications,
+    circles,
+    circleInvites,
+    deviceStatus,
+    emergencyContacts,
+    accountDeletions,
+    auditLog,
+    jobRuns,
+  };
+}
+
+module.exports = { createSupabaseStorage };
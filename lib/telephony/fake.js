@@ -0,0 +1,34 @@
+const { logger } = require('../logger');
+
+// Only the last two digits of a number, for log lines
+const maskNumber = (to) => `${'*'.repeat(Math.max(String(to).length - 2, 0))}${String(to).slice(-2)}`;
+
+// In-process telephony provider for local development and tests. Nothing is
+// actually sent; messages and calls are kept in memory so they can be
+// inspected. Only the channel and a masked number are logged, since bodies
+// carry verification codes.
+function createFakeProvider() {
+  const sent = [];
+
+  const record = (channel, to, body) => {
+    const entry = {
+      id: `fake-${channel}-${sent.length + 1}`,
+      channel,
+      to,
+      body,
+      sentAt: new Date().toISOString(),
+    };
+    sent.push(entry);
+    logger.info('Fake telephony message', { id: entry.id, channel, to: maskNumber(to) });
+    return { id: entry.id };
+  };
+
+  return {
+    name: 'fake',
+    sent,
+    sendSms: async (to, body) => record('sms', to, body),
+    placeCall: async (to, message) => record('voice', to, message),
+  };
+}
+
+module.exports = { createFakeProvider };
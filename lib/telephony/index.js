@@ -0,0 +1,25 @@
+const { config } = require('../config');
+const { createFakeProvider } = require('./fake');
+const { createTwilioProvider } = require('./twilio');
+
+// Every telephony provider exposes the same interface:
+//   name                      - provider identifier
+//   sendSms(to, body)         - resolves to { id } once the message is accepted
+//   placeCall(to, message)    - resolves to { id } once the call is queued; the
+//                               message is read out with text-to-speech
+function createTelephonyProvider(name = config.telephonyProvider) {
+  switch (name) {
+    case 'twilio':
+      return createTwilioProvider({
+        accountSid: config.twilioAccountSid,
+        authToken: config.twilioAuthToken,
+        fromNumber: config.twilioFromNumber,
+      });
+    case 'fake':
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown telephony provider: ${name}`);
+  }
+}
+
+module.exports = { createTelephonyProvider };
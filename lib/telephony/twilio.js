@@ -0,0 +1,45 @@
+const TWILIO_API_BASE = 'https://api.twilio.com/2010-04-01';
+
+const escapeXml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Telephony provider backed by the Twilio REST API
+function createTwilioProvider({ accountSid, authToken, fromNumber }) {
+  if (!accountSid || !authToken || !fromNumber) {
+    throw new Error('Twilio provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+  }
+
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  const post = async (resource, params) => {
+    const response = await fetch(`${TWILIO_API_BASE}/Accounts/${accountSid}/${resource}.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: authorization,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams(params).toString(),
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Twilio ${resource} request failed: ${result.message || response.status}`);
+    }
+    return { id: result.sid };
+  };
+
+  return {
+    name: 'twilio',
+    sendSms: (to, body) => post('Messages', { To: to, From: fromNumber, Body: body }),
+    placeCall: (to, message) => post('Calls', {
+      To: to,
+      From: fromNumber,
+      Twiml: `<Response><Say loop="2">${escapeXml(message)}</Say></Response>`,
+    }),
+  };
+}
+
+module.exports = { createTwilioProvider };
@@ -0,0 +1,107 @@
+const { z } = require('zod');
+const { ApiError } = require('./errors');
+const { config } = require('./config');
+
+// Country calling code assumed for phone numbers entered without one, e.g. `1`
+// or `44`. Without it such numbers are rejected.
+const DEFAULT_PHONE_COUNTRY_CODE = config.defaultPhoneCountryCode || '';
+
+// Normalize a phone number to E.164 (`+` and 8 to 15 digits). Returns null if
+// it cannot be normalized.
+function normalizePhoneNumber(input) {
+  let number = String(input).trim().replace(/[\s().-]/g, '');
+
+  if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  } else if (!number.startsWith('+')) {
+    if (!DEFAULT_PHONE_COUNTRY_CODE) return null;
+    // Drop a national trunk prefix: 020 7946 0958 -> +44 20 7946 0958
+    number = `+${DEFAULT_PHONE_COUNTRY_CODE}${number.replace(/^0/, '')}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+}
+
+const uuid = z.string().uuid();
+const latitude = z.number().min(-90).max(90);
+const longitude = z.number().min(-180).max(180);
+const accuracy = z.number().min(0).max(100000);
+const dateTime = z.string().datetime({ offset: true });
+
+const phoneNumber = z.string().transform((value, ctx) => {
+  const normalized = normalizePhoneNumber(value);
+  if (!normalized) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Invalid phone number, expected international format such as +14155550123',
+    });
+    return z.NEVER;
+  }
+  return normalized;
+});
+
+// A calendar date (YYYY-MM-DD) that exists, is not in the future and is after 1900
+const birthday = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a date as YYYY-MM-DD')
+  .refine((value) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime())
+      && date.toISOString().startsWith(value)
+      && date.getUTCFullYear() >= 1900
+      && date <= new Date();
+  }, 'Invalid birthday');
+
+// Pairing codes are accepted with or without a dash and in any case
+const pairingCode = z.string()
+  .transform((value) => value.replace(/-/g, '').toUpperCase())
+  .pipe(z.string().regex(/^[A-Z0-9]{6}$/, 'Expected a 6 character code'));
+
+// Optional free text that may be cleared with null or an empty string
+const optionalText = (max) => z.string().trim().max(max).nullable().optional()
+  .transform((value) => (value === '' ? null : value));
+
+// Treat an empty string or null like an omitted field, for clients that send
+// blank form inputs
+const omitEmpty = (schema) => z.preprocess((value) => (value === '' || value === null ? undefined : value), schema.optional());
+
+// Like omitEmpty, but an explicit null is kept so the field can be cleared
+const clearable = (schema) => z.preprocess((value) => (value === '' ? undefined : value), schema.nullable().optional());
+
+const toDetails = (part, error) => error.issues.map((issue) => ({
+  field: [part, ...issue.path].join('.'),
+  message: issue.message,
+  code: issue.code,
+}));
+
+// Middleware validating `params`, `query` and `body` against zod schemas. On
+// success each part is replaced by its parsed value (with defaults applied and
+// unknown fields stripped); otherwise the request fails with VALIDATION_FAILED
+// and one detail per invalid field.
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+
+      const result = schemas[part].safeParse(req[part] ?? {});
+      if (result.success) {
+        req[part] = result.data;
+      } else {
+        details.push(...toDetails(part, result.error));
+      }
+    }
+
+    if (details.length > 0) {
+      return next(new ApiError(400, 'Request validation failed', { code: 'VALIDATION_FAILED', details }));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  z,
+  validate,
+  normalizePhoneNumber,
+  schemas: { uuid, latitude, longitude, accuracy, dateTime, phoneNumber, birthday, pairingCode, optionalText, omitEmpty, clearable },
+};
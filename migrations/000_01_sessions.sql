@@ -0,0 +1,26 @@
+-- Add refresh-token sessions, and stop exposing users through the anon key,
+-- which ships with clients. Both tables keep row level security with no
+-- policies, so only the service role the server connects with
+-- (SUPABASE_SERVICE_ROLE_KEY) can read or write them.
+
+BEGIN;
+
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id TEXT,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  previous_refresh_token_hash TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX idx_sessions_previous_refresh_token_hash ON sessions(previous_refresh_token_hash);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all operations on users" ON users;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Add crash events, and users.fcm_token, which FCM tokens were written to
+-- before it was in the schema. Databases that added it by hand keep theirs.
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS fcm_token TEXT;
+
+CREATE TABLE crash_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  occurred_at TIMESTAMP NOT NULL,
+  latitude FLOAT,
+  longitude FLOAT,
+  accuracy FLOAT,
+  sensor_summary JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_crash_events_user_id ON crash_events(user_id);
+
+ALTER TABLE crash_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on crash_events" ON crash_events FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
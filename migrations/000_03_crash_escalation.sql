@@ -0,0 +1,27 @@
+-- Add crash acknowledgement and escalation state, and the timeline of what
+-- happened to each crash event.
+
+BEGIN;
+
+ALTER TABLE crash_events
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'open',
+  ADD COLUMN escalation_level INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN next_escalation_at TIMESTAMP,
+  ADD COLUMN resolved_at TIMESTAMP;
+
+CREATE TABLE crash_event_timeline (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  crash_event_id UUID NOT NULL REFERENCES crash_events(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  detail JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_crash_events_next_escalation ON crash_events(status, next_escalation_at);
+CREATE INDEX idx_crash_event_timeline_event_id ON crash_event_timeline(crash_event_id);
+
+ALTER TABLE crash_event_timeline ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on crash_event_timeline" ON crash_event_timeline FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
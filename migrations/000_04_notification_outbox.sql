@@ -0,0 +1,31 @@
+-- Add the notification outbox that push notifications are delivered and
+-- retried from.
+
+BEGIN;
+
+CREATE TABLE notification_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL,
+  recipient_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sender_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  crash_event_id UUID REFERENCES crash_events(id) ON DELETE SET NULL,
+  token TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  next_attempt_at TIMESTAMP DEFAULT NOW(),
+  locked_until TIMESTAMP,
+  last_error TEXT,
+  provider_message_id TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  sent_at TIMESTAMP
+);
+
+CREATE INDEX idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on notification_outbox" ON notification_outbox FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Record which push provider each outbox job goes through, and the delivery
+-- receipt of providers that report one. Jobs queued before Expo support all
+-- went through FCM.
+
+BEGIN;
+
+ALTER TABLE notification_outbox
+  ADD COLUMN provider TEXT NOT NULL DEFAULT 'fcm',
+  ADD COLUMN receipt_status TEXT;
+ALTER TABLE notification_outbox ALTER COLUMN provider DROP DEFAULT;
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- Add pairing_codes.updated_at, which the storage repositories set when a code
+-- is redeemed.
+
+BEGIN;
+
+ALTER TABLE pairing_codes ADD COLUMN updated_at TIMESTAMP DEFAULT NOW();
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- Add ping messages, read state and are-you-ok replies. Inbox queries read a
+-- user's newest pings first.
+
+BEGIN;
+
+ALTER TABLE pings
+  ADD COLUMN type TEXT NOT NULL DEFAULT 'ping',
+  ADD COLUMN message TEXT,
+  ADD COLUMN read_at TIMESTAMP,
+  ADD COLUMN reply_to_ping_id UUID REFERENCES pings(id) ON DELETE CASCADE,
+  ADD COLUMN reply_status TEXT,
+  ADD COLUMN replied_at TIMESTAMP;
+
+DROP INDEX IF EXISTS idx_pings_to_user;
+CREATE INDEX idx_pings_to_user ON pings(to_user_id, created_at DESC);
+CREATE INDEX idx_pings_unread ON pings(to_user_id) WHERE read_at IS NULL;
+
+COMMIT;
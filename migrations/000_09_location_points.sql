@@ -0,0 +1,20 @@
+-- Add the location history that trails are exported from.
+
+BEGIN;
+
+CREATE TABLE location_points (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  latitude FLOAT NOT NULL,
+  longitude FLOAT NOT NULL,
+  accuracy FLOAT,
+  recorded_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_location_points_user_time ON location_points(user_id, recorded_at);
+
+ALTER TABLE location_points ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on location_points" ON location_points FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
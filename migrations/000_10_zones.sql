@@ -0,0 +1,39 @@
+-- Add safe zones and the paired users who opted in to their alerts. state and
+-- pending_* track the owner's position so enter/exit alerts can be debounced.
+
+BEGIN;
+
+CREATE TABLE zones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  shape TEXT NOT NULL CHECK (shape IN ('circle', 'polygon')),
+  center_latitude FLOAT,
+  center_longitude FLOAT,
+  radius_meters FLOAT,
+  polygon JSONB,
+  state TEXT,
+  state_changed_at TIMESTAMP,
+  pending_state TEXT,
+  pending_since TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE zone_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  zone_id UUID NOT NULL REFERENCES zones(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(zone_id, user_id)
+);
+
+CREATE INDEX idx_zones_user_id ON zones(user_id);
+CREATE INDEX idx_zone_subscriptions_zone_id ON zone_subscriptions(zone_id);
+
+ALTER TABLE zones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE zone_subscriptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on zones" ON zones FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations on zone_subscriptions" ON zone_subscriptions FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
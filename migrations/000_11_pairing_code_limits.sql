@@ -0,0 +1,10 @@
+-- Add multi-use pairing codes and revocation. Existing codes stay single-use.
+
+BEGIN;
+
+ALTER TABLE pairing_codes
+  ADD COLUMN max_uses INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN use_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN revoked_at TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Add pairing requests, which a code owner approves before devices are
+-- connected. The partial unique index allows one pending request per pair.
+
+BEGIN;
+
+CREATE TABLE pairing_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  pairing_code_id UUID REFERENCES pairing_codes(id) ON DELETE SET NULL,
+  requester_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  responded_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_pairing_requests_pending ON pairing_requests(requester_user_id, owner_user_id) WHERE status = 'pending';
+CREATE INDEX idx_pairing_requests_owner ON pairing_requests(owner_user_id, created_at DESC);
+
+ALTER TABLE pairing_requests ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on pairing_requests" ON pairing_requests FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
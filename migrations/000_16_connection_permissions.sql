@@ -0,0 +1,10 @@
+-- Add what each side of a connection shares with the other. Missing keys count
+-- as allowed, so existing connections keep sharing everything.
+
+BEGIN;
+
+ALTER TABLE device_connections
+  ADD COLUMN initiator_permissions JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN paired_permissions JSONB NOT NULL DEFAULT '{}';
+
+COMMIT;
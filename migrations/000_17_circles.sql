@@ -0,0 +1,47 @@
+-- Add circles, their members and invite codes. permissions holds what a member
+-- shares with the circle; missing keys mean not shared.
+
+BEGIN;
+
+CREATE TABLE circles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE circle_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  circle_id UUID NOT NULL REFERENCES circles(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+  permissions JSONB NOT NULL DEFAULT '{}',
+  joined_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(circle_id, user_id)
+);
+
+CREATE TABLE circle_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  circle_id UUID NOT NULL REFERENCES circles(id) ON DELETE CASCADE,
+  code TEXT UNIQUE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  max_uses INTEGER NOT NULL DEFAULT 1,
+  use_count INTEGER NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_circle_members_user_id ON circle_members(user_id);
+CREATE INDEX idx_circle_invites_circle_id ON circle_invites(circle_id);
+
+ALTER TABLE circles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE circle_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE circle_invites ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on circles" ON circles FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations on circle_members" ON circle_members FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all operations on circle_invites" ON circle_invites FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Add detector status, one row per user, updated by every heartbeat.
+
+BEGIN;
+
+CREATE TABLE device_status (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_id TEXT,
+  status TEXT NOT NULL DEFAULT 'online' CHECK (status IN ('online', 'offline')),
+  last_seen_at TIMESTAMP NOT NULL,
+  offline_since TIMESTAMP,
+  battery_level INTEGER,
+  low_battery BOOLEAN NOT NULL DEFAULT false,
+  firmware_version TEXT,
+  signal_strength INTEGER,
+  sensor_health JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_device_status_overdue ON device_status(status, last_seen_at);
+
+ALTER TABLE device_status ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on device_status" ON device_status FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
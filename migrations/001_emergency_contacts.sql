@@ -0,0 +1,51 @@
+-- Move emergency contacts from the fixed users columns into emergency_contacts.
+-- Run once against a database created before emergency_contacts existed.
+-- Contacts saved without a phone number could never be reached and are dropped.
+-- Numbers are copied as they were typed; 007 brings them into E.164.
+
+BEGIN;
+
+CREATE TABLE emergency_contacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  relationship TEXT,
+  priority INTEGER NOT NULL,
+  preferred_channel TEXT NOT NULL DEFAULT 'sms' CHECK (preferred_channel IN ('sms', 'voice', 'both')),
+  verified_at TIMESTAMP,
+  verification_code_hash TEXT,
+  verification_expires_at TIMESTAMP,
+  verification_attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, phone)
+);
+
+INSERT INTO emergency_contacts (user_id, name, phone, priority)
+SELECT id, COALESCE(NULLIF(TRIM(emergency_contact1_name), ''), 'Emergency contact 1'), emergency_contact1_phone, 1
+FROM users
+WHERE NULLIF(TRIM(emergency_contact1_phone), '') IS NOT NULL;
+
+-- The second contact keeps its place behind the first, or moves up if there was no first
+INSERT INTO emergency_contacts (user_id, name, phone, priority)
+SELECT
+  id,
+  COALESCE(NULLIF(TRIM(emergency_contact2_name), ''), 'Emergency contact 2'),
+  emergency_contact2_phone,
+  CASE WHEN NULLIF(TRIM(emergency_contact1_phone), '') IS NULL THEN 1 ELSE 2 END
+FROM users
+WHERE NULLIF(TRIM(emergency_contact2_phone), '') IS NOT NULL
+  AND emergency_contact2_phone IS DISTINCT FROM emergency_contact1_phone;
+
+CREATE INDEX idx_emergency_contacts_user_priority ON emergency_contacts(user_id, priority);
+ALTER TABLE emergency_contacts ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on emergency_contacts" ON emergency_contacts FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE users
+  DROP COLUMN emergency_contact1_name,
+  DROP COLUMN emergency_contact1_phone,
+  DROP COLUMN emergency_contact2_name,
+  DROP COLUMN emergency_contact2_phone;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Add account deletion requests. Rows have no foreign key to users on purpose:
+-- a completed request is kept as the deleted account's tombstone.
+
+BEGIN;
+
+CREATE TABLE account_deletions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cancelled', 'completed')),
+  reason TEXT,
+  requested_at TIMESTAMP NOT NULL,
+  scheduled_for TIMESTAMP NOT NULL,
+  cancelled_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  paired_user_count INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_account_deletions_pending ON account_deletions(user_id) WHERE status = 'pending';
+CREATE INDEX idx_account_deletions_due ON account_deletions(status, scheduled_for);
+ALTER TABLE account_deletions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on account_deletions" ON account_deletions FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- Add the audit log. Entries are hash-chained and append-only: the rules below
+-- turn updates and deletes into no-ops, and there are no foreign keys so
+-- entries outlive the users they mention.
+
+BEGIN;
+
+CREATE TABLE audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sequence BIGINT NOT NULL UNIQUE,
+  actor_user_id UUID,
+  target_user_id UUID,
+  action TEXT NOT NULL,
+  entity_type TEXT,
+  entity_id UUID,
+  changes JSONB,
+  metadata JSONB,
+  prev_hash TEXT NOT NULL,
+  hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE RULE audit_log_no_update AS ON UPDATE TO audit_log DO INSTEAD NOTHING;
+CREATE RULE audit_log_no_delete AS ON DELETE TO audit_log DO INSTEAD NOTHING;
+
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_user_id, sequence DESC);
+CREATE INDEX idx_audit_log_target ON audit_log(target_user_id, sequence DESC);
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow reading audit_log" ON audit_log FOR SELECT USING (true);
+CREATE POLICY "Allow appending to audit_log" ON audit_log FOR INSERT WITH CHECK (true);
+
+COMMIT;
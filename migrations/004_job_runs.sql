@@ -0,0 +1,28 @@
+-- Add the run history of maintenance jobs, and indexes on the columns the
+-- retention jobs delete by. The partial unique index allows one running run per job.
+
+BEGIN;
+
+CREATE TABLE job_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+  dry_run BOOLEAN NOT NULL DEFAULT false,
+  trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_job_runs_running ON job_runs(job) WHERE status = 'running';
+CREATE INDEX idx_job_runs_job ON job_runs(job, dry_run, started_at DESC);
+CREATE INDEX idx_pings_read_at ON pings(read_at) WHERE read_at IS NOT NULL;
+CREATE INDEX idx_code_usage_timestamp ON code_usage(timestamp);
+CREATE INDEX idx_location_points_recorded_at ON location_points(recorded_at);
+CREATE INDEX idx_pairing_codes_expires_at ON pairing_codes(expires_at);
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all operations on job_runs" ON job_runs FOR ALL USING (true) WITH CHECK (true);
+
+COMMIT;
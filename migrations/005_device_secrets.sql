@@ -0,0 +1,9 @@
+-- Add the hashed device secret that get-or-create requires before signing in to
+-- an existing device's account. Existing users have none until they sign in with
+-- a refresh token.
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN device_secret_hash TEXT;
+
+COMMIT;
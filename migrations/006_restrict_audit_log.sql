@@ -0,0 +1,11 @@
+-- Stop exposing the audit log through the anon key, which ships with clients.
+-- The table keeps row level security with no policies, so only the service
+-- role the server now connects with (SUPABASE_SERVICE_ROLE_KEY) can read or
+-- append entries.
+
+BEGIN;
+
+DROP POLICY IF EXISTS "Allow reading audit_log" ON audit_log;
+DROP POLICY IF EXISTS "Allow appending to audit_log" ON audit_log;
+
+COMMIT;
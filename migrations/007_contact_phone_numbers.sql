@@ -0,0 +1,40 @@
+-- Bring emergency contact numbers moved from the old users columns into E.164,
+-- the format SMS and calls need. Formatting is stripped and a leading 00 read
+-- as +, as the API does. Numbers that still do not fit (e.g. without a country
+-- code) are flagged with phone_needs_update and left unverified: escalation
+-- skips them until the user enters the number again.
+
+BEGIN;
+
+ALTER TABLE emergency_contacts ADD COLUMN phone_needs_update BOOLEAN NOT NULL DEFAULT false;
+
+-- Two numbers of one user that normalize to the same one keep only the first;
+-- the other is flagged below
+UPDATE emergency_contacts contact
+SET phone = normalized.phone, updated_at = NOW()
+FROM (
+  SELECT id, phone, ROW_NUMBER() OVER (PARTITION BY user_id, phone ORDER BY priority) AS position
+  FROM (
+    SELECT id, user_id, priority, regexp_replace(regexp_replace(phone, '[\s().-]', '', 'g'), '^00', '+') AS phone
+    FROM emergency_contacts
+  ) candidates
+) normalized
+WHERE contact.id = normalized.id
+  AND normalized.position = 1
+  AND normalized.phone <> contact.phone
+  AND normalized.phone ~ '^\+[1-9][0-9]{7,14}$'
+  AND NOT EXISTS (
+    SELECT 1 FROM emergency_contacts other
+    WHERE other.user_id = contact.user_id AND other.phone = normalized.phone
+  );
+
+UPDATE emergency_contacts
+SET
+  phone_needs_update = true,
+  verified_at = NULL,
+  verification_code_hash = NULL,
+  verification_expires_at = NULL,
+  updated_at = NOW()
+WHERE phone !~ '^\+[1-9][0-9]{7,14}$';
+
+COMMIT;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { z, validate, schemas } = require('../lib/validation');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function createAuditRouter({ storage, auth, audit }) {
+  const router = express.Router();
+  const { requireAuth, requireSelf } = auth;
+
+  // Who did what to the user's data, and what the user did to others', newest
+  // first. Page back with `before` set to the last entry's sequence.
+  router.get('/api/users/:userId/audit-log', requireAuth, validate({
+    params: z.object({ userId: schemas.uuid }),
+    query: z.object({
+      limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+      before: z.coerce.number().int().min(1).optional(),
+      action: z.string().trim().min(1).max(100).optional(),
+    }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { limit, before, action } = req.query;
+
+      const entries = await storage.auditLog.listForUser(userId, { limit, beforeSequence: before ?? null, action: action || null });
+      const intact = await audit.checkEntries(entries);
+
+      res.json({
+        count: entries.length,
+        nextBefore: entries.length === limit ? Number(entries[entries.length - 1].sequence) : null,
+        entries: entries.map((entry, index) => ({
+          id: entry.id,
+          sequence: Number(entry.sequence),
+          action: entry.action,
+          actorUserId: entry.actor_user_id,
+          targetUserId: entry.target_user_id,
+          entityType: entry.entity_type,
+          entityId: entry.entity_id,
+          changes: entry.changes,
+          // Another user's IP address and user agent are theirs, not the target's
+          metadata: entry.actor_user_id === userId ? entry.metadata : null,
+          createdAt: entry.created_at,
+          intact: intact[index],
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
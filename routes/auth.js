@@ -0,0 +1,51 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate } = require('../lib/validation');
+const { REFRESH_LIMIT } = require('../lib/rateLimit');
+
+function createAuthRouter({ auth, rateLimiter }) {
+  const router = express.Router();
+  const { refreshSession, revokeSession, revokeAllSessions, requireAuth } = auth;
+  const refreshLimit = rateLimiter.limit(REFRESH_LIMIT);
+
+  // Exchange a refresh token for a new access/refresh token pair
+  router.post('/api/auth/refresh', refreshLimit, validate({
+    body: z.object({ refreshToken: z.string().min(1) }),
+  }), async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const session = await refreshSession(refreshToken);
+      if (!session) {
+        throw new ApiError(401, 'Invalid or expired refresh token', { code: 'REFRESH_TOKEN_INVALID' });
+      }
+
+      res.json(session);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Revoke the current session, or every session of the user with allDevices
+  router.post('/api/auth/logout', requireAuth, validate({
+    body: z.object({ allDevices: z.boolean().optional() }),
+  }), async (req, res, next) => {
+    try {
+      const { allDevices } = req.body;
+
+      if (allDevices) {
+        await revokeAllSessions(req.userId);
+      } else {
+        await revokeSession(req.sessionId);
+      }
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,402 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate, schemas } = require('../lib/validation');
+const { createWithUniqueCode, unusableReason } = require('../lib/pairingCodes');
+const { PERMISSIONS, NEW_MEMBER_PERMISSIONS, grantedByMember } = require('../lib/connections');
+const { ConflictError } = require('../lib/storage');
+const { CODE_LOOKUP_LIMIT, INVALID_CODE_LOCKOUT } = require('../lib/rateLimit');
+
+const CIRCLE_ROLES = ['admin', 'member'];
+const MAX_CIRCLES_PER_USER = 10;
+const MAX_MEMBERS_PER_CIRCLE = 50;
+// Invite codes hand out membership of a whole group, so they are longer than pairing codes
+const INVITE_CODE_LENGTH = 8;
+const DEFAULT_INVITE_TTL_MINUTES = 7 * 24 * 60;
+const MAX_INVITE_TTL_MINUTES = 30 * 24 * 60;
+const DEFAULT_INVITE_MAX_USES = 10;
+
+const circleName = z.string().trim().min(1).max(100);
+const inviteCode = z.string()
+  .transform((value) => value.replace(/-/g, '').toUpperCase())
+  .pipe(z.string().regex(new RegExp(`^[A-Z0-9]{${INVITE_CODE_LENGTH}}$`), `Expected a ${INVITE_CODE_LENGTH} character code`));
+// Any of the permissions as booleans; unset ones are left as they are
+const permissionFlags = z.object(Object.fromEntries(PERMISSIONS.map((permission) => [permission, z.boolean().optional()])));
+const circleParams = z.object({ circleId: schemas.uuid });
+const memberParams = circleParams.extend({ userId: schemas.uuid });
+
+const formatCircle = (circle) => ({
+  id: circle.id,
+  name: circle.name,
+  createdBy: circle.created_by,
+  createdAt: circle.created_at,
+  role: circle.role,
+  memberCount: circle.member_count,
+});
+
+const formatMember = (member) => ({
+  userId: member.user_id,
+  deviceName: member.device_name,
+  role: member.role,
+  joinedAt: member.joined_at,
+  permissions: grantedByMember(member),
+});
+
+const setFlags = (flags = {}) => Object.fromEntries(Object.entries(flags).filter(([, value]) => value !== undefined));
+
+// What a new member shares with the circle: nothing but what they opted in to
+const newMemberPermissions = (flags) => ({ ...NEW_MEMBER_PERMISSIONS, ...setFlags(flags) });
+
+const formatInvite = (invite) => ({
+  code: invite.code,
+  createdAt: invite.created_at,
+  expiresAt: invite.expires_at,
+  maxUses: invite.max_uses,
+  useCount: invite.use_count,
+  revokedAt: invite.revoked_at,
+});
+
+function createCirclesRouter({ storage, auth, events, rateLimiter }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // Invite codes share the pairing code throttling and lockout
+  const codeLookupLimit = rateLimiter.limit(CODE_LOOKUP_LIMIT);
+  const codeLockout = rateLimiter.lockout(INVALID_CODE_LOCKOUT);
+
+  // Load a circle and the acting user's membership; 404 for non-members so
+  // circle ids cannot be probed, 403 if an admin is required
+  const loadCircle = async (circleId, userId, { admin = false } = {}) => {
+    const [circle, membership] = await Promise.all([
+      storage.circles.findById(circleId),
+      storage.circles.findMember(circleId, userId),
+    ]);
+
+    if (!circle || !membership) {
+      throw new ApiError(404, 'Circle not found');
+    }
+    if (admin && membership.role !== 'admin') {
+      throw new ApiError(403, 'Only circle admins can do this', { code: 'NOT_CIRCLE_ADMIN' });
+    }
+    return { circle, membership };
+  };
+
+  const publishToCircle = async (circleId, type, data) => {
+    const members = await storage.circles.listMembers(circleId);
+    events.publish(members.map((member) => member.user_id), type, { circleId, ...data });
+  };
+
+  // Create a circle; the creator is its first admin
+  router.post('/api/circles', requireAuth, validate({
+    body: z.object({ name: circleName, permissions: permissionFlags.optional() }),
+  }), async (req, res, next) => {
+    try {
+      const existing = await storage.circles.listForUser(req.userId);
+      if (existing.length >= MAX_CIRCLES_PER_USER) {
+        throw new ApiError(409, `A user can be in at most ${MAX_CIRCLES_PER_USER} circles`, { code: 'CIRCLE_LIMIT_REACHED' });
+      }
+
+      const circle = await storage.circles.create({ name: req.body.name, created_by: req.userId });
+      await storage.circles.addMember({
+        circle_id: circle.id,
+        user_id: req.userId,
+        role: 'admin',
+        permissions: newMemberPermissions(req.body.permissions),
+      });
+
+      res.status(201).json(formatCircle({ ...circle, role: 'admin', member_count: 1 }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List the acting user's circles
+  router.get('/api/circles', requireAuth, async (req, res, next) => {
+    try {
+      const circles = await storage.circles.listForUser(req.userId);
+      res.json({ count: circles.length, circles: circles.map(formatCircle) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get a circle with its members (members only)
+  router.get('/api/circles/:circleId', requireAuth, validate({ params: circleParams }), async (req, res, next) => {
+    try {
+      const { circle, membership } = await loadCircle(req.params.circleId, req.userId);
+      const members = await storage.circles.listMembers(circle.id);
+
+      res.json({
+        ...formatCircle({ ...circle, role: membership.role, member_count: members.length }),
+        members: members.map(formatMember),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rename a circle (admins only)
+  router.patch('/api/circles/:circleId', requireAuth, validate({
+    params: circleParams,
+    body: z.object({ name: circleName }),
+  }), async (req, res, next) => {
+    try {
+      const { circle, membership } = await loadCircle(req.params.circleId, req.userId, { admin: true });
+      const updated = await storage.circles.update(circle.id, { name: req.body.name, updated_at: new Date().toISOString() });
+
+      await publishToCircle(circle.id, 'circle.updated', { name: updated.name });
+      res.json(formatCircle({ ...updated, role: membership.role }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete a circle and all its memberships (admins only)
+  router.delete('/api/circles/:circleId', requireAuth, validate({ params: circleParams }), async (req, res, next) => {
+    try {
+      const { circle } = await loadCircle(req.params.circleId, req.userId, { admin: true });
+      const members = await storage.circles.listMembers(circle.id);
+
+      await storage.circles.delete(circle.id);
+      events.publish(members.map((member) => member.user_id), 'circle.deleted', { circleId: circle.id });
+      res.json({ message: 'Circle deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create an invite code for a circle (admins only)
+  router.post('/api/circles/:circleId/invites', requireAuth, validate({
+    params: circleParams,
+    body: z.object({
+      ttlMinutes: z.number().int().min(5).max(MAX_INVITE_TTL_MINUTES).default(DEFAULT_INVITE_TTL_MINUTES),
+      maxUses: z.number().int().min(1).max(MAX_MEMBERS_PER_CIRCLE).default(DEFAULT_INVITE_MAX_USES),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { circle } = await loadCircle(req.params.circleId, req.userId, { admin: true });
+      const { ttlMinutes, maxUses } = req.body;
+
+      const invite = await createWithUniqueCode(storage.circleInvites.create, {
+        circle_id: circle.id,
+        created_by: req.userId,
+        expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+        max_uses: maxUses,
+        use_count: 0,
+      }, INVITE_CODE_LENGTH);
+
+      res.status(201).json(formatInvite(invite));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List a circle's usable invite codes (admins only)
+  router.get('/api/circles/:circleId/invites', requireAuth, validate({ params: circleParams }), async (req, res, next) => {
+    try {
+      const { circle } = await loadCircle(req.params.circleId, req.userId, { admin: true });
+      const invites = await storage.circleInvites.listActiveForCircle(circle.id, new Date().toISOString());
+      res.json({ count: invites.length, invites: invites.map(formatInvite) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Revoke an invite code (admins only)
+  router.delete('/api/circles/:circleId/invites/:code', requireAuth, validate({
+    params: circleParams.extend({ code: inviteCode }),
+  }), async (req, res, next) => {
+    try {
+      const { circle } = await loadCircle(req.params.circleId, req.userId, { admin: true });
+      const invite = await storage.circleInvites.findByCode(req.params.code);
+
+      if (!invite || invite.circle_id !== circle.id) {
+        throw new ApiError(404, 'Invite not found');
+      }
+
+      const revoked = invite.revoked_at
+        ? invite
+        : await storage.circleInvites.update(invite.id, { revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() });
+
+      res.json({ message: 'Invite revoked successfully', ...formatInvite(revoked) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Join a circle with an invite code
+  router.post('/api/circles/join', requireAuth, codeLookupLimit, codeLockout.check, validate({
+    body: z.object({ code: inviteCode, permissions: permissionFlags.optional() }),
+  }), async (req, res, next) => {
+    try {
+      const invite = await storage.circleInvites.findByCode(req.body.code);
+
+      if (!invite) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid invite code', { code: 'INVALID_CODE' });
+      }
+
+      const circle = await storage.circles.findById(invite.circle_id);
+      if (!circle) {
+        throw new ApiError(400, 'Invalid invite code', { code: 'INVALID_CODE' });
+      }
+
+      if (await storage.circles.findMember(circle.id, req.userId)) {
+        throw new ApiError(409, 'Already a member of this circle', { code: 'ALREADY_MEMBER' });
+      }
+
+      const reason = unusableReason(invite, { label: 'Invite code' });
+      if (reason) {
+        throw new ApiError(400, reason.message, { code: reason.code });
+      }
+
+      const [members, circles] = await Promise.all([
+        storage.circles.listMembers(circle.id),
+        storage.circles.listForUser(req.userId),
+      ]);
+      if (members.length >= MAX_MEMBERS_PER_CIRCLE) {
+        throw new ApiError(409, `A circle can have at most ${MAX_MEMBERS_PER_CIRCLE} members`, { code: 'CIRCLE_FULL' });
+      }
+      if (circles.length >= MAX_CIRCLES_PER_USER) {
+        throw new ApiError(409, `A user can be in at most ${MAX_CIRCLES_PER_USER} circles`, { code: 'CIRCLE_LIMIT_REACHED' });
+      }
+
+      if (!(await storage.circleInvites.claimUse(invite.id, invite.use_count))) {
+        throw new ApiError(409, 'Invite code was just used or revoked, please try again', { code: 'CODE_CLAIM_CONFLICT' });
+      }
+
+      try {
+        await storage.circles.addMember({
+          circle_id: circle.id,
+          user_id: req.userId,
+          role: 'member',
+          permissions: newMemberPermissions(req.body.permissions),
+        });
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        throw new ApiError(409, 'Already a member of this circle', { code: 'ALREADY_MEMBER' });
+      }
+
+      const user = await storage.users.findById(req.userId);
+      await publishToCircle(circle.id, 'circle.member_joined', { userId: req.userId, deviceName: user?.device_name || null });
+
+      res.status(201).json(formatCircle({ ...circle, role: 'member', member_count: members.length + 1 }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Change what the acting user shares with the rest of a circle
+  router.patch('/api/circles/:circleId/permissions', requireAuth, validate({
+    params: circleParams,
+    body: permissionFlags
+      .refine((body) => Object.values(body).some((value) => value !== undefined), {
+        message: `Send at least one of: ${PERMISSIONS.join(', ')}`,
+      }),
+  }), async (req, res, next) => {
+    try {
+      const { circle, membership } = await loadCircle(req.params.circleId, req.userId);
+      const changes = setFlags(req.body);
+
+      const updated = await storage.circles.updateMember(circle.id, req.userId, {
+        permissions: { ...membership.permissions, ...changes },
+      });
+
+      res.json(formatMember(updated));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Change a member's role (admins only)
+  router.patch('/api/circles/:circleId/members/:userId', requireAuth, validate({
+    params: memberParams,
+    body: z.object({ role: z.enum(CIRCLE_ROLES) }),
+  }), async (req, res, next) => {
+    try {
+      const { circle } = await loadCircle(req.params.circleId, req.userId, { admin: true });
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      const members = await storage.circles.listMembers(circle.id);
+      const member = members.find((row) => row.user_id === userId);
+
+      if (!member) {
+        throw new ApiError(404, 'Member not found');
+      }
+      if (role === 'member' && member.role === 'admin' && members.filter((row) => row.role === 'admin').length === 1) {
+        throw new ApiError(409, 'A circle needs at least one admin', { code: 'LAST_ADMIN' });
+      }
+
+      const updated = await storage.circles.updateMember(circle.id, userId, { role });
+      await publishToCircle(circle.id, 'circle.member_updated', { userId, role });
+
+      res.json(formatMember({ ...updated, device_name: member.device_name }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Leave a circle (your own user id) or remove a member (admins only). When the
+  // last admin leaves, the longest-standing member becomes admin; when the last
+  // member leaves, the circle is deleted.
+  router.delete('/api/circles/:circleId/members/:userId', requireAuth, validate({ params: memberParams }), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const leaving = userId === req.userId;
+      const { circle } = await loadCircle(req.params.circleId, req.userId, { admin: !leaving });
+
+      if (!(await storage.circles.removeMember(circle.id, userId))) {
+        throw new ApiError(404, 'Member not found');
+      }
+
+      const remaining = await storage.circles.listMembers(circle.id);
+      events.publish([userId], 'circle.member_removed', { circleId: circle.id, userId });
+
+      if (remaining.length === 0) {
+        await storage.circles.delete(circle.id);
+        return res.json({ message: 'Left circle; it had no other members and was deleted' });
+      }
+
+      if (!remaining.some((member) => member.role === 'admin')) {
+        await storage.circles.updateMember(circle.id, remaining[0].user_id, { role: 'admin' });
+        await publishToCircle(circle.id, 'circle.member_updated', { userId: remaining[0].user_id, role: 'admin' });
+      }
+
+      await publishToCircle(circle.id, 'circle.member_removed', { userId });
+      res.json({ message: leaving ? 'Left circle successfully' : 'Member removed successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Latest known location of every member sharing their location with the circle
+  router.get('/api/circles/:circleId/locations', requireAuth, validate({ params: circleParams }), async (req, res, next) => {
+    try {
+      const { circle } = await loadCircle(req.params.circleId, req.userId);
+      const members = (await storage.circles.listMembers(circle.id))
+        .filter((member) => member.user_id === req.userId || grantedByMember(member).location);
+
+      const locations = await Promise.all(members.map(async (member) => {
+        const point = await storage.locations.findLatest(member.user_id);
+        return {
+          userId: member.user_id,
+          deviceName: member.device_name,
+          location: point && {
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy,
+            recordedAt: point.recorded_at,
+          },
+        };
+      }));
+
+      res.json({ circleId: circle.id, members: locations });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCirclesRouter };
@@ -0,0 +1,200 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { CODE_LOOKUP_LIMIT, INVALID_CODE_LOCKOUT } = require('../lib/rateLimit');
+const { z, validate, schemas } = require('../lib/validation');
+
+const codeParams = z.object({ code: schemas.pairingCode });
+const ownerBody = z.object({ userId: schemas.uuid.optional() });
+
+function createCodesRouter({ storage, auth, rateLimiter, audit }) {
+  const router = express.Router();
+  const { requireAuth, requireSelf } = auth;
+
+  // Same throttling and lockout as pairing code lookups
+  const codeLookupLimit = rateLimiter.limit(CODE_LOOKUP_LIMIT);
+  const codeLockout = rateLimiter.lockout(INVALID_CODE_LOCKOUT);
+
+  // Track code usage (when someone pastes a code)
+  router.post('/api/codes/:code/track-usage', requireAuth, codeLookupLimit, codeLockout.check, validate({
+    params: codeParams,
+    body: ownerBody.extend({ deviceId: schemas.omitEmpty(z.string().trim().max(200)) }),
+  }), requireSelf('userId', 'body'), async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      const { userId, deviceId } = req.body;
+      
+      // Find the pairing code
+      const pairingCode = await storage.pairingCodes.findByCode(code);
+
+      if (!pairingCode) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid code', { code: 'INVALID_CODE' });
+      }
+
+      // Check if this user already has a usage entry for this code
+      const existingUsage = await storage.codeUsage.findByCodeAndUser(pairingCode.id, userId);
+
+      if (existingUsage) {
+        // Update existing entry with new timestamp
+        await storage.codeUsage.update(existingUsage.id, {
+          timestamp: new Date().toISOString(),
+          device_id: deviceId || null,
+        });
+        res.json({ message: 'Code usage updated successfully' });
+      } else {
+        // Create new usage entry
+        await storage.codeUsage.create({
+          pairing_code_id: pairingCode.id,
+          user_id: userId,
+          device_id: deviceId || null,
+          code_owner_id: pairingCode.user_id,
+          timestamp: new Date().toISOString(),
+        });
+        res.json({ message: 'Code usage tracked successfully' });
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get user's pasted codes history
+  router.get('/api/users/:userId/pasted-codes', requireAuth, validate({ params: z.object({ userId: schemas.uuid }) }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const usage = await storage.codeUsage.listByUser(userId, { limit: 50 });
+
+      const pastedCodes = usage.map(item => ({
+        id: item.id,
+        code: item.code || 'Unknown',
+        usedAt: item.timestamp,
+        ownerDevice: item.owner_device_name || 'Unknown Device',
+      }));
+
+      res.json({
+        count: pastedCodes.length,
+        codes: pastedCodes,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get code usage list for generated code (owner only)
+  router.get('/api/codes/:code/who-used', requireAuth, codeLookupLimit, codeLockout.check, validate({ params: codeParams }), async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      
+      const pairingCode = await storage.pairingCodes.findByCode(code);
+
+      if (!pairingCode) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid code', { code: 'INVALID_CODE' });
+      }
+
+      if (pairingCode.user_id !== req.userId) {
+        throw new ApiError(403, 'Not authorized to view this code\'s usage');
+      }
+
+      const usage = await storage.codeUsage.listByCode(pairingCode.id);
+
+      const usageList = usage.map(item => ({
+        id: item.id,
+        device: item.device_name || 'Unknown Device',
+        usedAt: item.timestamp,
+      }));
+
+      res.json({
+        code,
+        count: usageList.length,
+        users: usageList,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get code usage history (owner only)
+  router.get('/api/codes/:code/usage-history', requireAuth, codeLookupLimit, codeLockout.check, validate({
+    params: codeParams,
+    query: ownerBody,
+  }), requireSelf('userId', 'query'), async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      const { userId } = req.query;
+      
+      // Find the pairing code and verify ownership
+      const pairingCode = await storage.pairingCodes.findByCode(code);
+
+      if (!pairingCode) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid code', { code: 'INVALID_CODE' });
+      }
+
+      if (pairingCode.user_id !== userId) {
+        throw new ApiError(403, 'Not authorized to view this code\'s usage');
+      }
+
+      // Get usage history with user details
+      const usage = await storage.codeUsage.listByCode(pairingCode.id);
+
+      const usageHistory = usage.map(item => ({
+        id: item.id,
+        userId: item.user_id,
+        deviceId: item.device_id,
+        timestamp: item.timestamp,
+        deviceName: item.device_name || 'Unknown Device',
+      }));
+
+      res.json({
+        code,
+        usageCount: usageHistory.length,
+        usage: usageHistory,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove user from code (owner only)
+  router.delete('/api/codes/:code/usage/:usageId', requireAuth, codeLookupLimit, codeLockout.check, validate({
+    params: codeParams.extend({ usageId: schemas.uuid }),
+    body: ownerBody,
+  }), requireSelf('userId', 'body'), async (req, res, next) => {
+    try {
+      const { code, usageId } = req.params;
+      const { userId } = req.body;
+      
+      // Find the pairing code and verify ownership
+      const pairingCode = await storage.pairingCodes.findByCode(code);
+
+      if (!pairingCode) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid code', { code: 'INVALID_CODE' });
+      }
+
+      if (pairingCode.user_id !== userId) {
+        throw new ApiError(403, 'Not authorized to remove users from this code');
+      }
+
+      // Delete the usage entry
+      const removed = await storage.codeUsage.delete(usageId, pairingCode.id);
+      if (removed) {
+        audit.record(req, {
+          action: 'code_usage.removed',
+          targetUserId: removed.user_id,
+          entityType: 'code_usage',
+          entityId: removed.id,
+          changes: { code: { from: pairingCode.code, to: null } },
+        });
+      }
+      res.json({ message: 'User removed successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCodesRouter };
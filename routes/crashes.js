@@ -0,0 +1,290 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { ACKNOWLEDGEMENT_STATUSES } = require('../lib/escalation');
+const { buildCrashMessage } = require('../lib/push');
+const { downsample, sendTrail, TRAIL_FORMATS } = require('../lib/locations');
+const { z, validate, schemas } = require('../lib/validation');
+const { isAllowed, listGrantees } = require('../lib/connections');
+const { logger } = require('../lib/logger');
+
+// Default and maximum minutes of location history shown before a crash
+const TRAIL_DEFAULT_MINUTES = 30;
+const TRAIL_MAX_MINUTES = 24 * 60;
+// Points after the crash are included too, in case the device kept moving
+const TRAIL_AFTER_MS = 5 * 60 * 1000;
+const TRAIL_MAX_POINTS = 2000;
+
+const eventParams = z.object({ eventId: schemas.uuid });
+
+// Contact details older timeline entries stored inline
+const CONTACT_DETAIL_KEYS = ['contactName', 'contactPhone'];
+
+function createCrashesRouter({ storage, auth, push, outbox, escalation, events, audit }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // Load a crash event the acting user may see: their own, or one of a paired
+  // user who shares crash alerts with them
+  const findVisibleCrashEvent = async (eventId, userId) => {
+    const crashEvent = await storage.crashEvents.findById(eventId);
+    if (!crashEvent) return { status: 404 };
+
+    if (crashEvent.user_id !== userId && !(await isAllowed(storage, crashEvent.user_id, userId, 'crash_alerts'))) {
+      return { status: 403 };
+    }
+    return { crashEvent };
+  };
+
+  // Record a crash reported by the detector and alert every paired user the
+  // reporter shares crash alerts with
+  router.post('/api/crashes', requireAuth, validate({
+    body: z.object({
+      deviceId: z.string().trim().min(1).max(200),
+      timestamp: schemas.dateTime.optional(),
+      location: z.object({
+        latitude: schemas.latitude,
+        longitude: schemas.longitude,
+        accuracy: schemas.accuracy.optional(),
+      }).nullable().optional(),
+      sensorSummary: z.record(z.unknown()).nullable().optional(),
+      message: schemas.omitEmpty(z.string().trim().max(500)),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { deviceId, timestamp, location, sensorSummary, message } = req.body;
+      const occurredAt = timestamp ? new Date(timestamp) : new Date();
+
+      const reporter = await storage.users.findById(req.userId);
+
+      if (!reporter) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      // Crashes come from the reporter's phone or from the detector their
+      // heartbeats come from, never from another user's device
+      const detector = await storage.deviceStatus.findByUserId(req.userId);
+      if (deviceId !== reporter.device_id && deviceId !== detector?.device_id) {
+        throw new ApiError(403, 'Device does not belong to this user', { code: 'DEVICE_MISMATCH' });
+      }
+
+      const crashEvent = await storage.crashEvents.create({
+        user_id: req.userId,
+        device_id: deviceId,
+        occurred_at: occurredAt.toISOString(),
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        accuracy: location?.accuracy ?? null,
+        sensor_summary: sensorSummary || null,
+        status: 'open',
+        escalation_level: 0,
+        next_escalation_at: escalation.acknowledgementDeadline(),
+      });
+
+      logger.info('Crash event recorded', { crashEventId: crashEvent.id });
+      await escalation.recordTimeline(crashEvent.id, 'reported', { actorUserId: req.userId });
+
+      const recipients = await storage.users.listByIds(await listGrantees(storage, req.userId, 'crash_alerts'));
+
+      events.publish(recipients.map((recipient) => recipient.id), 'crash.reported', {
+        crashEventId: crashEvent.id,
+        userId: req.userId,
+        deviceName: reporter.device_name,
+        occurredAt: crashEvent.occurred_at,
+        latitude: crashEvent.latitude,
+        longitude: crashEvent.longitude,
+      });
+
+      const extraData = {
+        crash_event_id: crashEvent.id,
+        occurred_at: crashEvent.occurred_at,
+      };
+      if (crashEvent.latitude !== null && crashEvent.longitude !== null) {
+        extraData.latitude = String(crashEvent.latitude);
+        extraData.longitude = String(crashEvent.longitude);
+      }
+      const payload = buildCrashMessage(reporter.device_name, message, extraData);
+
+      const jobs = await outbox.enqueueAndSend(recipients
+        .map((recipient) => push.jobFor(recipient, {
+          kind: 'crash',
+          senderUserId: req.userId,
+          crashEventId: crashEvent.id,
+          payload,
+        }))
+        .filter(Boolean));
+      const jobsByRecipient = new Map(jobs.map((job) => [job.recipient_user_id, job]));
+
+      const deliveries = [];
+      for (const recipient of recipients) {
+        const job = jobsByRecipient.get(recipient.id);
+        const report = { userId: recipient.id, deviceName: recipient.device_name };
+
+        if (!job) {
+          deliveries.push({ ...report, status: 'no_token' });
+          await escalation.recordTimeline(crashEvent.id, 'alert_failed', {
+            detail: { userId: recipient.id, error: 'No push token registered' },
+          });
+          continue;
+        }
+
+        deliveries.push({ ...report, status: job.status, notificationId: job.id, error: job.last_error || undefined });
+        if (job.status === 'pending') {
+          await escalation.recordTimeline(crashEvent.id, 'alert_queued', {
+            detail: { userId: recipient.id, notificationId: job.id, error: job.last_error },
+          });
+        }
+      }
+
+      const deliveredCount = deliveries.filter((delivery) => delivery.status === 'sent').length;
+      // Alerts still being retried may yet be acknowledged, so only an event
+      // nobody can be alerted about skips the acknowledgement window
+      const reachableCount = deliveries.filter((delivery) => delivery.status === 'sent' || delivery.status === 'pending').length;
+      await escalation.escalateIfUnreachable(crashEvent, reachableCount);
+      audit.record(req, { action: 'crash.reported', targetUserId: req.userId, entityType: 'crash_event', entityId: crashEvent.id });
+
+      res.status(201).json({
+        crashEventId: crashEvent.id,
+        occurredAt: crashEvent.occurred_at,
+        recipientCount: deliveries.length,
+        deliveredCount,
+        deliveries,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get a crash event with its full alert, acknowledgement and escalation timeline
+  router.get('/api/crashes/:eventId', requireAuth, validate({ params: eventParams }), async (req, res, next) => {
+    try {
+      const { crashEvent, status } = await findVisibleCrashEvent(req.params.eventId, req.userId);
+
+      if (status === 404) {
+        throw new ApiError(404, 'Crash event not found');
+      }
+      if (status === 403) {
+        throw new ApiError(403, 'Not authorized to view this crash event');
+      }
+
+      const timeline = await storage.crashEvents.listTimeline(crashEvent.id);
+
+      // Escalation entries name emergency contacts by id. The owner sees who was
+      // contacted; paired users only that a contact was.
+      const contacts = crashEvent.user_id === req.userId
+        ? new Map((await storage.emergencyContacts.listForUser(req.userId)).map((contact) => [contact.id, contact]))
+        : null;
+      const timelineDetail = (detail) => {
+        if (!detail) return detail;
+        if (!contacts) return Object.fromEntries(Object.entries(detail).filter(([key]) => !CONTACT_DETAIL_KEYS.includes(key)));
+
+        const contact = detail.contactId && contacts.get(detail.contactId);
+        return contact ? { ...detail, contactName: contact.name, contactPhone: contact.phone } : detail;
+      };
+
+      res.json({
+        ...crashEvent,
+        timeline: timeline.map(({ id, type, actor_user_id, detail, created_at }) => ({
+          id, type, actor_user_id, detail: timelineDetail(detail), created_at,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the route leading up to a crash as JSON, GeoJSON or GPX
+  router.get('/api/crashes/:eventId/trail', requireAuth, validate({
+    params: eventParams,
+    query: z.object({
+      format: z.enum(TRAIL_FORMATS).default('json'),
+      minutes: z.coerce.number().int().min(1).max(TRAIL_MAX_MINUTES).default(TRAIL_DEFAULT_MINUTES),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { format, minutes } = req.query;
+
+      const { crashEvent, status } = await findVisibleCrashEvent(req.params.eventId, req.userId);
+
+      if (status === 404) {
+        throw new ApiError(404, 'Crash event not found');
+      }
+      if (status === 403) {
+        throw new ApiError(403, 'Not authorized to view this crash event');
+      }
+
+      const occurredAt = new Date(crashEvent.occurred_at).getTime();
+      const from = new Date(occurredAt - minutes * 60 * 1000).toISOString();
+      const to = new Date(occurredAt + TRAIL_AFTER_MS).toISOString();
+      const points = downsample(
+        await storage.locations.listForUser(crashEvent.user_id, { from, to, limit: TRAIL_MAX_POINTS * 10 }),
+        TRAIL_MAX_POINTS,
+      );
+
+      sendTrail(res, format, points, {
+        name: `Crash ${crashEvent.id}`,
+        filename: `crash-${crashEvent.id}`,
+        json: {
+          crashEventId: crashEvent.id,
+          occurredAt: crashEvent.occurred_at,
+          from,
+          to,
+          points: points.map((point) => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy,
+            recordedAt: point.recorded_at,
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Acknowledge a crash alert (acknowledged / responding / false_alarm)
+  router.post('/api/crashes/:eventId/acknowledge', requireAuth, validate({
+    params: eventParams,
+    body: z.object({
+      status: z.enum(ACKNOWLEDGEMENT_STATUSES),
+      note: schemas.omitEmpty(z.string().trim().max(500)),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { status, note } = req.body;
+
+      const { crashEvent, status: lookupStatus } = await findVisibleCrashEvent(req.params.eventId, req.userId);
+
+      if (lookupStatus === 404) {
+        throw new ApiError(404, 'Crash event not found');
+      }
+      if (lookupStatus === 403) {
+        throw new ApiError(403, 'Not authorized to acknowledge this crash event');
+      }
+
+      // The person who crashed can only call off the alert, not respond to it
+      if (crashEvent.user_id === req.userId && status !== 'false_alarm') {
+        throw new ApiError(403, 'Only paired users can acknowledge or respond to a crash alert');
+      }
+
+      if (crashEvent.status === 'false_alarm') {
+        throw new ApiError(409, 'Crash event has already been marked as a false alarm', { code: 'ALREADY_FALSE_ALARM' });
+      }
+
+      const updated = await escalation.acknowledge(crashEvent, req.userId, status, note);
+      logger.info('Crash acknowledged', { crashEventId: crashEvent.id, status });
+      await events.publishToConnections(crashEvent.user_id, 'crash.acknowledged', {
+        crashEventId: crashEvent.id,
+        status,
+        actorUserId: req.userId,
+        note: note || null,
+      }, { includeSelf: true, permission: 'crash_alerts' });
+      res.json({ message: 'Crash event updated successfully', crashEvent: updated });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCrashesRouter };
@@ -0,0 +1,162 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate, schemas } = require('../lib/validation');
+const { PERMISSIONS, permissionsColumn, otherUserId, formatConnection } = require('../lib/connections');
+const { formatDeviceStatus, DEVICE_OFFLINE_AFTER_SECONDS } = require('../lib/deviceStatus');
+const { diff } = require('../lib/audit');
+
+const SENSOR_HEALTH_STATES = ['ok', 'degraded', 'failed'];
+
+const pairedUserParams = z.object({ pairedUserId: schemas.uuid });
+
+function createDevicesRouter({ storage, auth, events, rateLimiter, deviceMonitor, audit }) {
+  const router = express.Router();
+  const { requireAuth, requireSelf } = auth;
+
+  const heartbeatLimit = rateLimiter.limit({ name: 'heartbeat', max: 12, windowMs: 60 * 1000 });
+
+  // Heartbeat from the user's ESP32 detector. Every field is optional so older
+  // firmware that only pings still counts as alive.
+  router.post('/api/devices/heartbeat', requireAuth, heartbeatLimit, validate({
+    body: z.object({
+      deviceId: z.string().trim().min(1).max(200).nullable().default(null),
+      batteryLevel: z.number().int().min(0).max(100).nullable().default(null),
+      firmwareVersion: z.string().trim().min(1).max(50).nullable().default(null),
+      // Wi-Fi/cellular RSSI in dBm
+      signalStrength: z.number().int().min(-150).max(0).nullable().default(null),
+      sensorHealth: z.record(z.string().max(50), z.enum(SENSOR_HEALTH_STATES))
+        .refine((sensors) => Object.keys(sensors).length <= 20, { message: 'At most 20 sensors' })
+        .nullable()
+        .default(null),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const row = await deviceMonitor.recordHeartbeat(req.userId, req.body);
+      res.json({ ...formatDeviceStatus(row), deviceId: row.device_id, offlineAfterSeconds: DEVICE_OFFLINE_AFTER_SECONDS });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get paired devices, whichever side of the connection the user is on, with
+  // the permissions granted in each direction and, for paired users sharing
+  // crash alerts, the status of their detector
+  router.get('/api/devices/paired/:userId', requireAuth, validate({ params: z.object({ userId: schemas.uuid }) }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const connections = await storage.connections.listForUser(userId);
+      const pairedUserIds = connections.map((connection) => otherUserId(connection, userId));
+      const [users, statuses] = await Promise.all([
+        storage.users.listByIds(pairedUserIds),
+        storage.deviceStatus.listByUserIds(pairedUserIds),
+      ]);
+      const usersById = new Map(users.map((user) => [user.id, user]));
+      const statusesByUserId = new Map(statuses.map((row) => [row.user_id, row]));
+
+      const pairedDevices = [];
+      connections.forEach((connection) => {
+        const user = usersById.get(otherUserId(connection, userId));
+        if (user) {
+          const { pairedAt, granted, received } = formatConnection(connection, userId);
+          pairedDevices.push({
+            id: user.id,
+            device_name: user.device_name,
+            paired_at: pairedAt,
+            permissions: { granted, received },
+            device_status: received.crash_alerts ? formatDeviceStatus(statusesByUserId.get(user.id)) : null,
+          });
+        }
+      });
+
+      res.json(pairedDevices);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Disconnect paired device
+  router.delete('/api/devices/disconnect', requireAuth, validate({
+    body: z.object({ userId: schemas.uuid.optional(), pairedUserId: schemas.uuid }),
+  }), requireSelf('userId', 'body'), async (req, res, next) => {
+    try {
+      const { userId, pairedUserId } = req.body;
+
+      const connection = await storage.connections.find(userId, pairedUserId);
+      await storage.connections.delete(userId, pairedUserId);
+      if (connection) {
+        audit.record(req, { action: 'connection.removed', targetUserId: pairedUserId, entityType: 'connection', entityId: connection.id });
+      }
+      events.publish([userId, pairedUserId], 'connection.removed', { userIds: [userId, pairedUserId] });
+      res.json({ message: 'Device disconnected successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the acting user's connection to a paired user: what each side allows the other
+  router.get('/api/connections/:pairedUserId', requireAuth, validate({ params: pairedUserParams }), async (req, res, next) => {
+    try {
+      const connection = await storage.connections.find(req.userId, req.params.pairedUserId);
+
+      if (!connection) {
+        throw new ApiError(404, 'Connection not found');
+      }
+
+      res.json(formatConnection(connection, req.userId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Change what the acting user allows a paired user to do. Only the acting
+  // user's own grants can be changed; the other direction is the other user's.
+  router.patch('/api/connections/:pairedUserId/permissions', requireAuth, validate({
+    params: pairedUserParams,
+    body: z.object(Object.fromEntries(PERMISSIONS.map((permission) => [permission, z.boolean().optional()])))
+      .refine((body) => Object.values(body).some((value) => value !== undefined), {
+        message: `Send at least one of: ${PERMISSIONS.join(', ')}`,
+      }),
+  }), async (req, res, next) => {
+    try {
+      const { pairedUserId } = req.params;
+      const connection = await storage.connections.find(req.userId, pairedUserId);
+
+      if (!connection) {
+        throw new ApiError(404, 'Connection not found');
+      }
+
+      const column = permissionsColumn(connection, req.userId);
+      const changes = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined));
+      const updated = await storage.connections.update(connection.id, {
+        [column]: { ...connection[column], ...changes },
+      });
+
+      const permissionChanges = diff(connection[column], updated[column], PERMISSIONS);
+      if (permissionChanges) {
+        audit.record(req, {
+          action: 'connection.permissions_updated',
+          targetUserId: pairedUserId,
+          entityType: 'connection',
+          entityId: connection.id,
+          changes: permissionChanges,
+        });
+      }
+
+      const view = formatConnection(updated, req.userId);
+      events.publish([req.userId, pairedUserId], 'connection.updated', {
+        userIds: [req.userId, pairedUserId],
+        grantorUserId: req.userId,
+        permissions: view.granted,
+      });
+
+      res.json(view);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDevicesRouter };
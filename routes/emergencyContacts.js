@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate, schemas } = require('../lib/validation');
+const { assertAllowed } = require('../lib/connections');
+const { ConflictError } = require('../lib/storage');
+const { sendTooManyRequests } = require('../lib/rateLimit');
+const { CONTACT_CHANNELS, formatContact } = require('../lib/emergencyContacts');
+const { diff } = require('../lib/audit');
+const { logger } = require('../lib/logger');
+
+const VERIFICATION_CODE_TTL_MS = 10 * 60 * 1000;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+// Verification texts go to numbers the user typed in, so they are capped per
+// contact and, since contacts can be removed and added again, per user
+const VERIFICATION_SMS_LIMIT = { name: 'contact-verification', max: 3, windowMs: 60 * 60 * 1000 };
+const VERIFICATION_SMS_USER_LIMIT = { name: 'contact-verification-user', max: 10, windowMs: 24 * 60 * 60 * 1000 };
+const MAX_CONTACTS_PER_USER = 10;
+
+const contactName = z.string().trim().min(1).max(200);
+const relationship = z.string().trim().min(1).max(100);
+
+const userIdParams = z.object({ userId: schemas.uuid });
+const contactParams = userIdParams.extend({ contactId: schemas.uuid });
+
+const hashVerificationCode = (contactId, code) =>
+  crypto.createHash('sha256').update(`${contactId}:${code}`).digest('hex');
+
+// Columns that reset a contact's verification, used when it is created or its number changes
+const unverified = () => ({
+  phone_needs_update: false,
+  verified_at: null,
+  verification_code_hash: null,
+  verification_expires_at: null,
+  verification_attempts: 0,
+});
+
+function createEmergencyContactsRouter({ storage, auth, telephony, rateLimiter, audit }) {
+  const router = express.Router();
+  const { requireAuth, requireSelf } = auth;
+
+  // Load one of the user's contacts
+  const findContact = async (userId, contactId) => {
+    const contact = await storage.emergencyContacts.findById(contactId);
+    if (!contact || contact.user_id !== userId) {
+      throw new ApiError(404, 'Emergency contact not found');
+    }
+    return contact;
+  };
+
+  const recordChange = (req, action, contactId, changes = null) => audit.record(req, {
+    action,
+    targetUserId: req.params.userId,
+    entityType: 'emergency_contact',
+    entityId: contactId,
+    changes,
+  });
+
+  const duplicateContact = () => new ApiError(409, 'This number is already one of your emergency contacts', { code: 'DUPLICATE_CONTACT' });
+
+  // List a user's emergency contacts in escalation order (self or paired users sharing their profile)
+  router.get('/api/users/:userId/emergency-contacts', requireAuth, validate({ params: userIdParams }), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      if (userId !== req.userId) {
+        await assertAllowed(storage, userId, req.userId, 'profile', 'Not authorized to view these emergency contacts');
+        audit.record(req, { action: 'emergency_contacts.viewed', targetUserId: userId });
+      }
+
+      const contacts = await storage.emergencyContacts.listForUser(userId);
+      res.json({ count: contacts.length, contacts: contacts.map(formatContact) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add an emergency contact; it is tried after the existing ones
+  router.post('/api/users/:userId/emergency-contacts', requireAuth, validate({
+    params: userIdParams,
+    body: z.object({
+      name: contactName,
+      phone: schemas.phoneNumber,
+      relationship: relationship.nullable().default(null),
+      preferredChannel: z.enum(CONTACT_CHANNELS).default('sms'),
+    }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { name, phone, preferredChannel } = req.body;
+
+      const existing = await storage.emergencyContacts.listForUser(userId);
+      if (existing.length >= MAX_CONTACTS_PER_USER) {
+        throw new ApiError(409, `A user can have at most ${MAX_CONTACTS_PER_USER} emergency contacts`, { code: 'CONTACT_LIMIT_REACHED' });
+      }
+      const priority = existing.reduce((max, contact) => Math.max(max, contact.priority), 0) + 1;
+
+      let contact;
+      try {
+        contact = await storage.emergencyContacts.create({
+          user_id: userId,
+          name,
+          phone,
+          relationship: req.body.relationship,
+          priority,
+          preferred_channel: preferredChannel,
+          ...unverified(),
+        });
+      } catch (error) {
+        if (error instanceof ConflictError) throw duplicateContact();
+        throw error;
+      }
+
+      recordChange(req, 'emergency_contact.created', contact.id, diff(null, contact));
+      res.status(201).json(formatContact(contact));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update a contact. `relationship: null` clears it; a new phone number must be verified again.
+  router.patch('/api/users/:userId/emergency-contacts/:contactId', requireAuth, validate({
+    params: contactParams,
+    body: z.object({
+      name: contactName.optional(),
+      phone: schemas.phoneNumber.optional(),
+      relationship: relationship.nullable().optional(),
+      preferredChannel: z.enum(CONTACT_CHANNELS).optional(),
+    }).refine((body) => Object.values(body).some((value) => value !== undefined), {
+      message: 'Send at least one of: name, phone, relationship, preferredChannel',
+    }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId, contactId } = req.params;
+      const { name, phone, preferredChannel } = req.body;
+
+      const contact = await findContact(userId, contactId);
+      const updateData = { updated_at: new Date().toISOString() };
+
+      if (name !== undefined) updateData.name = name;
+      if (req.body.relationship !== undefined) updateData.relationship = req.body.relationship;
+      if (preferredChannel !== undefined) updateData.preferred_channel = preferredChannel;
+      if (phone !== undefined && phone !== contact.phone) {
+        Object.assign(updateData, { phone }, unverified());
+      }
+
+      let updated;
+      try {
+        updated = await storage.emergencyContacts.update(contact.id, updateData);
+      } catch (error) {
+        if (error instanceof ConflictError) throw duplicateContact();
+        throw error;
+      }
+
+      const changes = diff(contact, updated);
+      if (changes) recordChange(req, 'emergency_contact.updated', contact.id, changes);
+      res.json(formatContact(updated));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove a contact; the ones after it move up
+  router.delete('/api/users/:userId/emergency-contacts/:contactId', requireAuth, validate({ params: contactParams }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId, contactId } = req.params;
+
+      const contact = await findContact(userId, contactId);
+      await storage.emergencyContacts.delete(contactId);
+      recordChange(req, 'emergency_contact.deleted', contactId, diff(contact, null));
+
+      const remaining = await storage.emergencyContacts.listForUser(userId);
+      await storage.emergencyContacts.setPriorities(userId, remaining.map((contact) => contact.id));
+
+      res.json({ message: 'Emergency contact deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Set the escalation order. Every contact must be listed exactly once.
+  router.put('/api/users/:userId/emergency-contacts/order', requireAuth, validate({
+    params: userIdParams,
+    body: z.object({ contactIds: z.array(schemas.uuid).min(1) }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { contactIds } = req.body;
+
+      const contacts = await storage.emergencyContacts.listForUser(userId);
+      const known = new Set(contacts.map((contact) => contact.id));
+      if (contactIds.length !== known.size || new Set(contactIds).size !== known.size || !contactIds.every((id) => known.has(id))) {
+        throw new ApiError(400, 'contactIds must list each of your emergency contacts exactly once', { code: 'INVALID_ORDER' });
+      }
+
+      await storage.emergencyContacts.setPriorities(userId, contactIds);
+
+      const reordered = await storage.emergencyContacts.listForUser(userId);
+      const order = (list) => list.map((contact) => contact.id);
+      if (order(contacts).join() !== order(reordered).join()) {
+        audit.record(req, {
+          action: 'emergency_contacts.reordered',
+          targetUserId: userId,
+          changes: { order: { from: order(contacts), to: order(reordered) } },
+        });
+      }
+      res.json({ count: reordered.length, contacts: reordered.map(formatContact) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Text a verification code to a contact, who passes it back to the user
+  router.post('/api/users/:userId/emergency-contacts/:contactId/verification', requireAuth, validate({ params: contactParams }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId, contactId } = req.params;
+      const contact = await findContact(userId, contactId);
+
+      if (contact.verified_at) {
+        throw new ApiError(409, 'Emergency contact is already verified', { code: 'ALREADY_VERIFIED' });
+      }
+
+      if (contact.phone_needs_update) {
+        throw new ApiError(409, 'Enter this contact\'s phone number again first', { code: 'PHONE_NEEDS_UPDATE' });
+      }
+
+      const overLimit = await rateLimiter.consume(VERIFICATION_SMS_LIMIT, contact.id);
+      if (overLimit) {
+        return sendTooManyRequests(res, overLimit.resetAt, 'Too many verification codes sent to this contact, please try again later');
+      }
+      const overUserLimit = await rateLimiter.consume(VERIFICATION_SMS_USER_LIMIT, userId);
+      if (overUserLimit) {
+        return sendTooManyRequests(res, overUserLimit.resetAt, 'Too many verification codes sent, please try again later');
+      }
+
+      const user = await storage.users.findById(userId);
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      const expiresAt = new Date(Date.now() + VERIFICATION_CODE_TTL_MS).toISOString();
+
+      try {
+        await telephony.sendSms(contact.phone, `${user?.full_name || user?.device_name || 'Someone'} added you as an emergency contact for crash alerts. `
+          + `To confirm this number, give them this code: ${code}`);
+      } catch (error) {
+        logger.error('Error sending contact verification SMS', { contactId: contact.id, err: error });
+        throw new ApiError(502, 'Failed to send verification code', { code: 'SMS_FAILED' });
+      }
+
+      await storage.emergencyContacts.update(contact.id, {
+        verification_code_hash: hashVerificationCode(contact.id, code),
+        verification_expires_at: expiresAt,
+        verification_attempts: 0,
+        updated_at: new Date().toISOString(),
+      });
+
+      res.json({ message: 'Verification code sent', expiresAt });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Confirm a contact's number with the code they received
+  router.post('/api/users/:userId/emergency-contacts/:contactId/verification/confirm', requireAuth, validate({
+    params: contactParams,
+    body: z.object({ code: z.string().trim().regex(/^\d{6}$/, 'Expected a 6 digit code') }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId, contactId } = req.params;
+      const contact = await findContact(userId, contactId);
+
+      if (contact.verified_at) {
+        return res.json(formatContact(contact));
+      }
+      if (!contact.verification_code_hash) {
+        throw new ApiError(400, 'No verification code has been sent to this contact', { code: 'VERIFICATION_NOT_STARTED' });
+      }
+      if (new Date(contact.verification_expires_at) < new Date()) {
+        throw new ApiError(400, 'Verification code has expired, request a new one', { code: 'VERIFICATION_EXPIRED' });
+      }
+
+      const expected = Buffer.from(contact.verification_code_hash);
+      const actual = Buffer.from(hashVerificationCode(contact.id, req.body.code));
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        // Too many wrong guesses burn the code
+        const attempts = contact.verification_attempts + 1;
+        const attemptsLeft = VERIFICATION_MAX_ATTEMPTS - attempts;
+        await storage.emergencyContacts.update(contact.id, attemptsLeft > 0
+          ? { verification_attempts: attempts }
+          : { verification_attempts: attempts, verification_code_hash: null, verification_expires_at: null });
+
+        throw new ApiError(400, attemptsLeft > 0 ? 'Incorrect verification code' : 'Incorrect verification code, request a new one', {
+          code: 'VERIFICATION_CODE_INVALID',
+          details: { attemptsLeft },
+        });
+      }
+
+      const verified = await storage.emergencyContacts.update(contact.id, {
+        ...unverified(),
+        verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+      recordChange(req, 'emergency_contact.verified', contact.id, diff(contact, verified));
+
+      res.json(formatContact(verified));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEmergencyContactsRouter };
@@ -0,0 +1,61 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { config } = require('../lib/config');
+
+const HEARTBEAT_INTERVAL_MS = config.eventStreamHeartbeatMs;
+
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, createdAt: event.createdAt })}\n\n`;
+
+function createEventsRouter({ auth, events }) {
+  const router = express.Router();
+  const { requireStreamAuth } = auth;
+
+  // Server-sent event stream of everything happening to the user and their
+  // paired users. Reconnecting clients send `Last-Event-ID` (EventSource does
+  // this automatically) or `?lastEventId=` to receive what they missed.
+  router.get('/api/events/stream', requireStreamAuth, (req, res) => {
+    const rawLastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = rawLastEventId === undefined || rawLastEventId === '' ? null : Number(rawLastEventId);
+
+    if (lastEventId !== null && !Number.isInteger(lastEventId)) {
+      throw new ApiError(400, 'Invalid Last-Event-ID');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // On shutdown the stream is ended; the client reconnects to another instance
+    const { missed, resumed, unsubscribe } = events.subscribe(req.userId, (event) => res.write(formatEvent(event)), {
+      lastEventId,
+      onClose: () => {
+        clearInterval(heartbeat);
+        res.end();
+      },
+    });
+
+    res.write(`retry: 5000\n\n`);
+    if (!resumed) {
+      // Too far behind (or the server restarted): the client should refetch state
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    }
+    missed.forEach((event) => res.write(formatEvent(event)));
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { config } = require('../lib/config');
+
+const METRICS_TOKEN = config.metricsToken;
+
+function createHealthRouter({ health, metrics }) {
+  const router = express.Router();
+
+  // Scrapers must send METRICS_TOKEN as a bearer token when one is set
+  const requireMetricsToken = (req, res, next) => {
+    if (!METRICS_TOKEN) return next();
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const hash = (value) => crypto.createHash('sha256').update(value || '').digest();
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(hash(token), hash(METRICS_TOKEN))) {
+      return next(new ApiError(401, 'Invalid metrics token', { code: 'TOKEN_INVALID' }));
+    }
+    next();
+  };
+
+  // Liveness: the process is up and serving requests. Dependencies are not
+  // checked, so an outage elsewhere does not get every instance restarted.
+  const live = (req, res) => {
+    res.json({ status: 'ok', message: 'Backend is running' });
+  };
+  router.get('/api/health', live);
+  router.get('/api/health/live', live);
+
+  // Readiness: storage answers and push providers can send
+  router.get('/api/health/ready', async (req, res) => {
+    const { ready, status, checks } = await health.check();
+    if (ready) {
+      return res.json({ status, checks });
+    }
+
+    res.locals.errorCode = 'NOT_READY';
+    res.status(503).json({ error: 'Service is not ready', code: 'NOT_READY', status, checks });
+  });
+
+  // Prometheus metrics
+  router.get('/metrics', requireMetricsToken, metrics.handler);
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,75 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate } = require('../lib/validation');
+const { formatRun } = require('../lib/scheduler');
+
+const jobParams = z.object({ job: z.string().trim().min(1).max(100) });
+
+// Operator endpoints for the maintenance job scheduler
+function createJobsRouter({ storage, auth, scheduler, audit }) {
+  const router = express.Router();
+  const { requireOperator } = auth;
+
+  const findJob = (name) => {
+    const job = scheduler.find(name);
+    if (!job) {
+      throw new ApiError(404, 'Job not found');
+    }
+    return job;
+  };
+
+  // List jobs with their settings, last runs and next scheduled run
+  router.get('/api/jobs', requireOperator, async (req, res, next) => {
+    try {
+      const jobs = await scheduler.list();
+      res.json({ count: jobs.length, jobs });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Run history of a job, newest first
+  router.get('/api/jobs/:job/runs', requireOperator, validate({
+    params: jobParams,
+    query: z.object({ limit: z.coerce.number().int().min(1).max(100).default(20) }),
+  }), async (req, res, next) => {
+    try {
+      const job = findJob(req.params.job);
+      const runs = await storage.jobRuns.listForJob(job.name, { limit: req.query.limit });
+      res.json({ count: runs.length, runs: runs.map(formatRun) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Run a job now and wait for it. A dry run only reports what it would do.
+  router.post('/api/jobs/:job/run', requireOperator, validate({
+    params: jobParams,
+    body: z.object({ dryRun: z.boolean().default(false) }),
+  }), async (req, res, next) => {
+    try {
+      const job = findJob(req.params.job);
+
+      if (!job.enabled) {
+        throw new ApiError(409, 'Job is disabled', { code: 'JOB_DISABLED' });
+      }
+
+      const run = await scheduler.run(job.name, { dryRun: req.body.dryRun, trigger: 'manual' });
+      if (!run) {
+        throw new ApiError(409, 'Job is already running', { code: 'JOB_RUNNING' });
+      }
+
+      if (!run.dry_run) {
+        audit.record(req, { action: 'job.run', entityType: 'job_run', entityId: run.id });
+      }
+
+      res.json(formatRun(run));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
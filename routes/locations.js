@@ -0,0 +1,131 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { downsample, sendTrail, TRAIL_FORMATS } = require('../lib/locations');
+const { z, validate, schemas } = require('../lib/validation');
+const { assertAllowed } = require('../lib/connections');
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_POINTS = 500;
+const MAX_POINTS_LIMIT = 5000;
+// Upper bound on raw points read for one request, before downsampling
+const QUERY_LIMIT = 20000;
+
+// Resolve validated `from`/`to` query params, defaulting to the last 24 hours
+const parseRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_MS);
+
+  if (start > end) {
+    return { error: '`from` must be before `to`' };
+  }
+  return { from: start.toISOString(), to: end.toISOString() };
+};
+
+function createLocationsRouter({ storage, auth, events, geofences, audit }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // Record a location point for the acting user
+  router.post('/api/locations', requireAuth, validate({
+    body: z.object({
+      latitude: schemas.latitude,
+      longitude: schemas.longitude,
+      accuracy: schemas.accuracy.optional(),
+      recordedAt: schemas.dateTime.optional(),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { latitude, longitude, accuracy, recordedAt } = req.body;
+      const recorded = recordedAt ? new Date(recordedAt) : new Date();
+
+      const point = await storage.locations.create({
+        user_id: req.userId,
+        latitude,
+        longitude,
+        accuracy: accuracy ?? null,
+        recorded_at: recorded.toISOString(),
+      });
+
+      await events.publishToConnections(req.userId, 'location.updated', {
+        userId: req.userId,
+        code: null,
+        latitude,
+        longitude,
+        accuracy: point.accuracy,
+      }, { permission: 'location' });
+      await geofences.evaluateSafely(req.userId, point);
+
+      res.status(201).json({ message: 'Location recorded successfully', id: point.id, recordedAt: point.recorded_at });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get a user's location history (self or paired users sharing their location), optionally as a GeoJSON or GPX export
+  router.get(['/api/users/:userId/locations', '/api/users/:userId/locations/export'], requireAuth, validate({
+    params: z.object({ userId: schemas.uuid }),
+    query: z.object({
+      format: z.enum(TRAIL_FORMATS).optional(),
+      from: schemas.dateTime.optional(),
+      to: schemas.dateTime.optional(),
+      maxPoints: z.coerce.number().int().min(2).optional(),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const isExport = req.path.endsWith('/export');
+      const format = req.query.format || (isExport ? 'geojson' : 'json');
+
+      const range = parseRange(req.query);
+      if (range.error) {
+        throw new ApiError(400, range.error, { code: 'INVALID_RANGE' });
+      }
+
+      if (userId !== req.userId) {
+        await assertAllowed(storage, userId, req.userId, 'location', 'Not authorized to view this location history');
+      }
+
+      const user = await storage.users.findById(userId);
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      if (userId !== req.userId) {
+        audit.record(req, { action: isExport ? 'locations.exported' : 'locations.viewed', targetUserId: userId });
+      }
+
+      const maxPoints = Math.min(req.query.maxPoints || (isExport ? MAX_POINTS_LIMIT : DEFAULT_MAX_POINTS), MAX_POINTS_LIMIT);
+      // One point more than the limit tells whether older points were left out
+      const fetched = await storage.locations.listForUser(userId, { ...range, limit: QUERY_LIMIT + 1 });
+      const truncated = fetched.length > QUERY_LIMIT;
+      const rawPoints = truncated ? fetched.slice(1) : fetched;
+      const points = downsample(rawPoints, maxPoints);
+
+      sendTrail(res, format, points, {
+        name: `${user.device_name} ${range.from} - ${range.to}`,
+        filename: `locations-${userId}`,
+        json: {
+          userId,
+          from: range.from,
+          to: range.to,
+          totalPoints: rawPoints.length,
+          truncated,
+          downsampled: points.length < rawPoints.length,
+          points: points.map((point) => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy,
+            recordedAt: point.recorded_at,
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLocationsRouter };
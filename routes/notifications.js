@@ -0,0 +1,149 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { buildCrashMessage } = require('../lib/push');
+const { sendTooManyRequests } = require('../lib/rateLimit');
+const { z, validate, schemas } = require('../lib/validation');
+const { assertAllowed } = require('../lib/connections');
+const { logger } = require('../lib/logger');
+
+// How many general notifications one user may receive per hour, from all senders
+const RECIPIENT_QUOTA = { name: 'notification-recipient', max: 30, windowMs: 60 * 60 * 1000 };
+
+function createNotificationsRouter({ storage, auth, push, outbox, rateLimiter, audit }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  const senderLimit = rateLimiter.limit({ name: 'notification-sender', max: 20, windowMs: 60 * 1000 });
+  // Crash alerts are never held back by recipient quotas, only by a generous sender limit
+  const crashSenderLimit = rateLimiter.limit({ name: 'crash-notification-sender', max: 30, windowMs: 60 * 1000 });
+
+  // Send crash notification to user
+  router.post('/api/notifications/send-crash', requireAuth, crashSenderLimit, validate({
+    body: z.object({
+      toUserId: schemas.uuid,
+      deviceName: z.string().trim().min(1).max(200),
+      message: schemas.omitEmpty(z.string().trim().max(500)),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { toUserId, deviceName, message } = req.body;
+
+      // The sender must share their crash alerts with the recipient
+      await assertAllowed(storage, req.userId, toUserId, 'crash_alerts', 'Not authorized to notify this user');
+
+      const user = await storage.users.findById(toUserId);
+
+      if (!user) {
+        logger.warn('Crash notification recipient not found', { toUserId });
+        throw new ApiError(404, 'User not found or no push token registered');
+      }
+
+      const pushJob = push.jobFor(user, {
+        kind: 'crash',
+        senderUserId: req.userId,
+        payload: buildCrashMessage(deviceName, message),
+      });
+
+      if (!pushJob) {
+        logger.warn('Crash notification recipient has no push token', { toUserId });
+        throw new ApiError(400, 'User does not have a push token registered', { code: 'NO_PUSH_TOKEN' });
+      }
+
+      // Queue the alert and let the outbox worker deliver it, so the client is
+      // never blocked on the push provider and a failed send is retried rather than lost
+      const [job] = await outbox.enqueue([pushJob]);
+      outbox.processDue().catch((error) => logger.error('Error processing notification outbox', { err: error }));
+      audit.record(req, { action: 'crash_notification.sent', targetUserId: toUserId, entityType: 'notification', entityId: job.id });
+
+      res.status(202).json({ message: 'Crash notification queued', notificationId: job.id, status: job.status });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send general notification to user
+  router.post('/api/notifications/send', requireAuth, senderLimit, validate({
+    body: z.object({
+      toUserId: schemas.uuid,
+      title: z.string().trim().min(1).max(200),
+      body: z.string().trim().min(1).max(2000),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { toUserId, title, body } = req.body;
+
+      // The recipient must accept pings and notifications from the sender
+      await assertAllowed(storage, toUserId, req.userId, 'pings', 'Not authorized to notify this user');
+
+      // Counted only after the permission check, so strangers cannot use up someone's quota
+      const overQuota = await rateLimiter.consume(RECIPIENT_QUOTA, toUserId);
+      if (overQuota) {
+        return sendTooManyRequests(res, overQuota.resetAt, 'This user has received too many notifications, please try again later');
+      }
+
+      const user = await storage.users.findById(toUserId);
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      const pushJob = push.jobFor(user, {
+        kind: 'general',
+        senderUserId: req.userId,
+        payload: {
+          title,
+          body,
+          data: {
+            type: 'general',
+            timestamp: new Date().toISOString(),
+          },
+          priority: 'high',
+        },
+      });
+
+      if (!pushJob) {
+        throw new ApiError(400, 'User does not have a push token registered', { code: 'NO_PUSH_TOKEN' });
+      }
+
+      const [job] = await outbox.enqueueAndSend([pushJob]);
+
+      if (job.status === 'sent') {
+        return res.json({ message: 'Notification sent successfully', notificationId: job.id, messageId: job.provider_message_id });
+      }
+      if (job.status === 'dead') {
+        throw new ApiError(502, 'Failed to send notification', {
+          code: 'PUSH_FAILED',
+          details: { notificationId: job.id, reason: job.last_error },
+        });
+      }
+      res.status(202).json({ message: 'Notification queued for delivery', notificationId: job.id, status: job.status });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get delivery status of a notification (sender or recipient only)
+  router.get('/api/notifications/:notificationId/status', requireAuth, validate({
+    params: z.object({ notificationId: schemas.uuid }),
+  }), async (req, res, next) => {
+    try {
+      const notification = await outbox.getStatus(req.params.notificationId);
+
+      if (!notification) {
+        throw new ApiError(404, 'Notification not found');
+      }
+
+      if (notification.sender_user_id !== req.userId && notification.recipient_user_id !== req.userId) {
+        throw new ApiError(403, 'Not authorized to view this notification');
+      }
+
+      res.json(notification);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,532 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { createPairingCode, unusableReason } = require('../lib/pairingCodes');
+const { buildPairingMessage } = require('../lib/push');
+const { ConflictError } = require('../lib/storage');
+const { CODE_LOOKUP_LIMIT, INVALID_CODE_LOCKOUT } = require('../lib/rateLimit');
+const { renderQrCode, QR_FORMATS, QR_DEFAULT_SIZE } = require('../lib/pairingLinks');
+const { z, validate, schemas } = require('../lib/validation');
+const { isAllowed } = require('../lib/connections');
+const { logger } = require('../lib/logger');
+
+const DEFAULT_TTL_MINUTES = 24 * 60;
+const MIN_TTL_MINUTES = 5;
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+const MAX_USES_LIMIT = 50;
+// Pending pairing requests the code owner has not answered lapse after this long
+const REQUEST_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REQUEST_DIRECTIONS = ['incoming', 'outgoing'];
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'expired'];
+
+const codeParams = z.object({ code: schemas.pairingCode });
+const requestParams = z.object({ requestId: schemas.uuid });
+
+const formatCode = (pairingCode) => ({
+  code: pairingCode.code,
+  createdAt: pairingCode.created_at,
+  expiresAt: pairingCode.expires_at,
+  maxUses: pairingCode.max_uses,
+  useCount: pairingCode.use_count,
+  revokedAt: pairingCode.revoked_at,
+});
+
+// Pending requests past their expiry are reported as expired
+const requestStatus = (request) =>
+  (request.status === 'pending' && new Date(request.expires_at) < new Date() ? 'expired' : request.status);
+
+const formatRequest = (request, usersById) => ({
+  id: request.id,
+  status: requestStatus(request),
+  requesterUserId: request.requester_user_id,
+  requesterDeviceName: usersById?.get(request.requester_user_id)?.device_name,
+  ownerUserId: request.owner_user_id,
+  ownerDeviceName: usersById?.get(request.owner_user_id)?.device_name,
+  createdAt: request.created_at,
+  expiresAt: request.expires_at,
+  respondedAt: request.responded_at,
+});
+
+function createPairingRouter({ storage, auth, events, geofences, push, outbox, rateLimiter, pairingLinks, audit }) {
+  const router = express.Router();
+  const { requireAuth, requireSelf } = auth;
+
+  // Codes are short, so looking them up is throttled and unknown codes count
+  // towards a lockout shared with the code usage routes
+  const codeLookupLimit = rateLimiter.limit(CODE_LOOKUP_LIMIT);
+  const codeLockout = rateLimiter.lockout(INVALID_CODE_LOCKOUT);
+
+  // Push a pairing request or its answer to the other side. Failing to push must
+  // not fail the request: the app also lists requests and gets stream events.
+  const notifyPairing = async (toUserId, fromUser, request) => {
+    try {
+      const recipient = await storage.users.findById(toUserId);
+      const pushJob = recipient && push.jobFor(recipient, {
+        kind: 'pairing',
+        senderUserId: fromUser.id,
+        payload: buildPairingMessage(fromUser.device_name, request),
+      });
+      if (pushJob) await outbox.enqueueAndSend([pushJob]);
+    } catch (error) {
+      logger.error('Error sending pairing notification', { err: error });
+    }
+  };
+
+  // Load a pending request addressed to the acting user
+  const findPendingRequest = async (requestId, userId, role) => {
+    const request = await storage.pairingRequests.findById(requestId);
+    if (!request || request[role] !== userId) return { status: 404 };
+    if (requestStatus(request) !== 'pending') return { status: 409, request };
+    return { request };
+  };
+
+  // Generate pairing code with location
+  router.post('/api/pairing/generate', requireAuth, validate({
+    body: z.object({
+      userId: schemas.uuid.optional(),
+      latitude: schemas.latitude.optional(),
+      longitude: schemas.longitude.optional(),
+      accuracy: schemas.accuracy.optional(),
+      deviceName: schemas.omitEmpty(z.string().trim().max(200)),
+      ttlMinutes: z.number().int().min(MIN_TTL_MINUTES).max(MAX_TTL_MINUTES).default(DEFAULT_TTL_MINUTES),
+      maxUses: z.number().int().min(1).max(MAX_USES_LIMIT).default(1),
+    }).refine((body) => (body.latitude === undefined) === (body.longitude === undefined), {
+      message: 'latitude and longitude must be sent together',
+      path: ['longitude'],
+    }),
+  }), requireSelf('userId', 'body'), async (req, res, next) => {
+    try {
+      const { userId, latitude, longitude, accuracy, deviceName, ttlMinutes, maxUses } = req.body;
+
+      // Update user with custom device name if provided
+      if (deviceName) {
+        await storage.users.update(userId, { device_name: deviceName });
+      }
+
+      const pairingCode = await createPairingCode(storage, {
+        user_id: userId,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
+        accuracy: accuracy ?? null,
+        expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+        max_uses: maxUses,
+        use_count: 0,
+      });
+
+      res.json({ ...formatCode(pairingCode), link: pairingLinks.build(pairingCode) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Validate a pairing code, typed in or scanned as a deep link, and ask its
+  // owner for consent to pair. Nothing about the owner except their device name
+  // is shared until they approve.
+  router.post('/api/pairing/validate', requireAuth, codeLookupLimit, codeLockout.check, validate({
+    body: z.object({
+      code: schemas.pairingCode.optional(),
+      link: z.string().max(500).optional(),
+      initiatorUserId: schemas.uuid.optional(),
+    }).refine((body) => Boolean(body.code) !== Boolean(body.link), {
+      message: 'Send either code or link',
+      path: ['code'],
+    }),
+  }), requireSelf('initiatorUserId', 'body'), async (req, res, next) => {
+    try {
+      const { initiatorUserId } = req.body;
+      let { code } = req.body;
+
+      if (req.body.link) {
+        const parsed = pairingLinks.parse(req.body.link);
+        if (parsed.error) {
+          // A forged link is as much a guess as an unknown code
+          if (!parsed.expired) await codeLockout.recordFailure(req);
+          throw new ApiError(400, parsed.error, { code: parsed.expired ? 'CODE_EXPIRED' : 'INVALID_LINK' });
+        }
+        code = parsed.code;
+      }
+
+      // Find pairing code
+      const pairingCode = await storage.pairingCodes.findByCode(code);
+
+      if (!pairingCode) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid or expired pairing code', { code: 'INVALID_CODE' });
+      }
+
+      if (pairingCode.user_id === initiatorUserId) {
+        throw new ApiError(400, 'Cannot pair with your own code', { code: 'OWN_CODE' });
+      }
+
+      // Get the user who generated the code
+      const pairingUser = await storage.users.findById(pairingCode.user_id);
+
+      if (!pairingUser) {
+        throw new ApiError(400, 'User not found', { code: 'INVALID_CODE' });
+      }
+
+      if (await storage.connections.exists(initiatorUserId, pairingUser.id)) {
+        throw new ApiError(409, 'Already paired with this user', { code: 'ALREADY_PAIRED' });
+      }
+
+      // Asking twice just returns the request that is already waiting
+      const existing = await storage.pairingRequests.findPending(initiatorUserId, pairingUser.id);
+      if (existing && requestStatus(existing) === 'pending') {
+        return res.status(202).json({ requestId: existing.id, status: 'pending', ownerDeviceName: pairingUser.device_name });
+      }
+      if (existing) {
+        await storage.pairingRequests.transition(existing.id, 'pending', { status: 'expired' });
+      }
+
+      // Check if code is revoked, expired or used up
+      const reason = unusableReason(pairingCode);
+      if (reason) {
+        throw new ApiError(400, reason.message, { code: reason.code });
+      }
+
+      // Count the use before asking, so a single-use code cannot be redeemed twice
+      if (!(await storage.pairingCodes.claimUse(pairingCode.id, pairingCode.use_count))) {
+        throw new ApiError(409, 'Pairing code was just used or revoked, please try again', { code: 'CODE_CLAIM_CONFLICT' });
+      }
+
+      let request;
+      try {
+        request = await storage.pairingRequests.create({
+          pairing_code_id: pairingCode.id,
+          requester_user_id: initiatorUserId,
+          owner_user_id: pairingUser.id,
+          status: 'pending',
+          expires_at: new Date(Date.now() + REQUEST_TTL_MS).toISOString(),
+        });
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        request = await storage.pairingRequests.findPending(initiatorUserId, pairingUser.id);
+        return res.status(202).json({ requestId: request.id, status: 'pending', ownerDeviceName: pairingUser.device_name });
+      }
+
+      const requester = await storage.users.findById(initiatorUserId);
+      events.publish([pairingUser.id], 'pairing.requested', {
+        requestId: request.id,
+        requesterUserId: initiatorUserId,
+        requesterDeviceName: requester?.device_name || null,
+      });
+      await notifyPairing(pairingUser.id, requester, request);
+
+      res.status(202).json({ requestId: request.id, status: 'pending', ownerDeviceName: pairingUser.device_name });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List pairing requests received (`incoming`, default) or sent (`outgoing`) by the acting user
+  router.get('/api/pairing/requests', requireAuth, validate({
+    query: z.object({
+      direction: z.enum(REQUEST_DIRECTIONS).default('incoming'),
+      status: z.enum(REQUEST_STATUSES).optional(),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { direction, status } = req.query;
+
+      const requests = (await storage.pairingRequests.listForUser(req.userId, { direction }))
+        .filter((request) => !status || requestStatus(request) === status);
+      const users = await storage.users.listByIds([...new Set(requests.flatMap((request) => [request.requester_user_id, request.owner_user_id]))]);
+      const usersById = new Map(users.map((user) => [user.id, user]));
+
+      res.json({ count: requests.length, requests: requests.map((request) => formatRequest(request, usersById)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Approve a pairing request (code owner only); this creates the connection
+  router.post('/api/pairing/requests/:requestId/approve', requireAuth, validate({ params: requestParams }), async (req, res, next) => {
+    try {
+      const { request, status } = await findPendingRequest(req.params.requestId, req.userId, 'owner_user_id');
+
+      if (status === 404) {
+        throw new ApiError(404, 'Pairing request not found');
+      }
+      if (status === 409) {
+        throw new ApiError(409, `Pairing request is already ${requestStatus(request)}`, { code: 'REQUEST_ANSWERED' });
+      }
+
+      const approved = await storage.pairingRequests.transition(request.id, 'pending', {
+        status: 'approved',
+        responded_at: new Date().toISOString(),
+      });
+
+      if (!approved) {
+        throw new ApiError(409, 'Pairing request was already answered', { code: 'REQUEST_ANSWERED' });
+      }
+
+      // Mutual requests leave the users connected once the first is approved;
+      // approving the other one just answers it
+      let created = false;
+      if (!(await storage.connections.exists(request.requester_user_id, request.owner_user_id))) {
+        try {
+          const connection = await storage.connections.create(request.requester_user_id, request.owner_user_id);
+          audit.record(req, { action: 'connection.created', targetUserId: request.requester_user_id, entityType: 'connection', entityId: connection.id });
+          created = true;
+        } catch (error) {
+          // Connected by a concurrent approval in the meantime
+          if (!(error instanceof ConflictError)) {
+            // Put the request back so the owner can approve it again
+            await storage.pairingRequests.transition(request.id, 'approved', { status: 'pending', responded_at: null });
+            throw error;
+          }
+        }
+      }
+
+      const [owner, requester] = await Promise.all([
+        storage.users.findById(request.owner_user_id),
+        storage.users.findById(request.requester_user_id),
+      ]);
+
+      if (created) {
+        events.publish([request.requester_user_id, request.owner_user_id], 'connection.created', {
+          userIds: [request.requester_user_id, request.owner_user_id],
+        });
+      }
+      events.publish([request.requester_user_id], 'pairing.approved', { requestId: request.id, ownerUserId: request.owner_user_id });
+      await notifyPairing(request.requester_user_id, owner, approved);
+
+      res.json({
+        message: 'Pairing request approved',
+        request: formatRequest(approved),
+        pairedUser: requester && { id: requester.id, device_name: requester.device_name },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Reject a pairing request (code owner only)
+  router.post('/api/pairing/requests/:requestId/reject', requireAuth, validate({ params: requestParams }), async (req, res, next) => {
+    try {
+      const { request, status } = await findPendingRequest(req.params.requestId, req.userId, 'owner_user_id');
+
+      if (status === 404) {
+        throw new ApiError(404, 'Pairing request not found');
+      }
+      if (status === 409) {
+        throw new ApiError(409, `Pairing request is already ${requestStatus(request)}`, { code: 'REQUEST_ANSWERED' });
+      }
+
+      const rejected = await storage.pairingRequests.transition(request.id, 'pending', {
+        status: 'rejected',
+        responded_at: new Date().toISOString(),
+      });
+
+      if (!rejected) {
+        throw new ApiError(409, 'Pairing request was already answered', { code: 'REQUEST_ANSWERED' });
+      }
+
+      events.publish([request.requester_user_id], 'pairing.rejected', { requestId: request.id });
+      await notifyPairing(request.requester_user_id, await storage.users.findById(req.userId), rejected);
+
+      res.json({ message: 'Pairing request rejected', request: formatRequest(rejected) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Withdraw a pairing request (requester only)
+  router.delete('/api/pairing/requests/:requestId', requireAuth, validate({ params: requestParams }), async (req, res, next) => {
+    try {
+      const { request, status } = await findPendingRequest(req.params.requestId, req.userId, 'requester_user_id');
+
+      if (status === 404) {
+        throw new ApiError(404, 'Pairing request not found');
+      }
+      if (status === 409) {
+        throw new ApiError(409, `Pairing request is already ${requestStatus(request)}`, { code: 'REQUEST_ANSWERED' });
+      }
+
+      const cancelled = await storage.pairingRequests.transition(request.id, 'pending', {
+        status: 'cancelled',
+        responded_at: new Date().toISOString(),
+      });
+
+      if (!cancelled) {
+        throw new ApiError(409, 'Pairing request was already answered', { code: 'REQUEST_ANSWERED' });
+      }
+
+      events.publish([request.owner_user_id], 'pairing.cancelled', { requestId: request.id });
+      res.json({ message: 'Pairing request cancelled', request: formatRequest(cancelled) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List a user's active pairing codes (unrevoked, unexpired, uses left)
+  router.get('/api/pairing/codes/:userId', requireAuth, validate({ params: z.object({ userId: schemas.uuid }) }), requireSelf(), async (req, res, next) => {
+    try {
+      const codes = await storage.pairingCodes.listActiveForUser(req.params.userId, new Date().toISOString());
+      res.json({
+        count: codes.length,
+        codes: codes.map((pairingCode) => ({ ...formatCode(pairingCode), link: pairingLinks.build(pairingCode) })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Render a pairing code's deep link as a QR image to scan (owner only)
+  router.get('/api/pairing/codes/:code/qr', requireAuth, validate({
+    params: codeParams,
+    query: z.object({
+      format: z.enum(QR_FORMATS).default('png'),
+      size: z.coerce.number().int().min(128).max(1024).default(QR_DEFAULT_SIZE),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const pairingCode = await storage.pairingCodes.findByCode(req.params.code);
+
+      if (!pairingCode) {
+        throw new ApiError(404, 'Pairing code not found');
+      }
+
+      if (pairingCode.user_id !== req.userId) {
+        throw new ApiError(403, 'Not authorized to share this code');
+      }
+
+      const reason = unusableReason(pairingCode);
+      if (reason) {
+        throw new ApiError(400, reason.message, { code: reason.code });
+      }
+
+      const { format, size } = req.query;
+      const image = await renderQrCode(pairingLinks.build(pairingCode), format, size);
+
+      // The image is only good until the code expires or is revoked
+      res.set('Cache-Control', 'private, no-store');
+      res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Revoke a pairing code (owner only). Existing connections are kept.
+  router.post('/api/pairing/codes/:code/revoke', requireAuth, validate({ params: codeParams }), async (req, res, next) => {
+    try {
+      const pairingCode = await storage.pairingCodes.findByCode(req.params.code);
+
+      if (!pairingCode) {
+        throw new ApiError(404, 'Pairing code not found');
+      }
+
+      if (pairingCode.user_id !== req.userId) {
+        throw new ApiError(403, 'Not authorized to revoke this code');
+      }
+
+      const revoked = pairingCode.revoked_at
+        ? pairingCode
+        : await storage.pairingCodes.update(pairingCode.id, { revoked_at: new Date().toISOString(), updated_at: new Date().toISOString() });
+
+      res.json({ message: 'Pairing code revoked successfully', ...formatCode(revoked) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get location by pairing code
+  router.get('/api/pairing/location/:code', requireAuth, codeLookupLimit, codeLockout.check, validate({ params: codeParams }), async (req, res, next) => {
+    try {
+      const pairingCode = await storage.pairingCodes.findByCode(req.params.code);
+
+      if (!pairingCode) {
+        await codeLockout.recordFailure(req);
+        throw new ApiError(400, 'Invalid pairing code', { code: 'INVALID_CODE' });
+      }
+
+      if (pairingCode.user_id !== req.userId) {
+        if (!(await storage.connections.exists(req.userId, pairingCode.user_id))) {
+          // Someone else's code is as much a guess as an unknown one
+          await codeLockout.recordFailure(req);
+          throw new ApiError(403, 'Not authorized to view this location', { code: 'NOT_PAIRED' });
+        }
+        if (!(await isAllowed(storage, pairingCode.user_id, req.userId, 'location'))) {
+          throw new ApiError(403, 'Not authorized to view this location', { code: 'PERMISSION_DENIED' });
+        }
+      }
+
+      if (pairingCode.latitude == null || pairingCode.longitude == null) {
+        throw new ApiError(400, 'Location data not available for this code', { code: 'LOCATION_UNAVAILABLE' });
+      }
+
+      const owner = await storage.users.findById(pairingCode.user_id);
+      if (pairingCode.user_id !== req.userId) {
+        audit.record(req, { action: 'location.viewed', targetUserId: pairingCode.user_id, entityType: 'pairing_code', entityId: pairingCode.id });
+      }
+
+      res.json({
+        code: pairingCode.code,
+        latitude: pairingCode.latitude,
+        longitude: pairingCode.longitude,
+        accuracy: pairingCode.accuracy,
+        deviceName: owner?.device_name,
+        createdAt: pairingCode.created_at,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update location for pairing code (periodic updates)
+  router.post('/api/pairing/update-location/:code', requireAuth, validate({
+    params: codeParams,
+    body: z.object({
+      latitude: schemas.latitude,
+      longitude: schemas.longitude,
+      accuracy: schemas.accuracy.optional(),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      const { latitude, longitude, accuracy } = req.body;
+
+      const pairingCode = await storage.pairingCodes.findByCode(code);
+
+      if (!pairingCode) {
+        throw new ApiError(400, 'Invalid pairing code', { code: 'INVALID_CODE' });
+      }
+
+      if (pairingCode.user_id !== req.userId) {
+        throw new ApiError(403, 'Not authorized to update this location');
+      }
+
+      await storage.pairingCodes.update(pairingCode.id, {
+        latitude: latitude,
+        longitude: longitude,
+        accuracy: accuracy ?? null,
+        updated_at: new Date().toISOString(),
+      });
+
+      // Keep every update as a point in the user's location history
+      const point = await storage.locations.create({
+        user_id: req.userId,
+        latitude,
+        longitude,
+        accuracy: accuracy ?? null,
+        recorded_at: new Date().toISOString(),
+      });
+
+      await events.publishToConnections(req.userId, 'location.updated', {
+        userId: req.userId,
+        code,
+        latitude,
+        longitude,
+        accuracy: accuracy ?? null,
+      }, { permission: 'location' });
+      await geofences.evaluateSafely(req.userId, point);
+
+      res.json({ message: 'Location updated successfully', code });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPairingRouter };
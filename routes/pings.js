@@ -0,0 +1,234 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { buildPingMessage } = require('../lib/push');
+const { sendTooManyRequests } = require('../lib/rateLimit');
+const { z, validate, schemas } = require('../lib/validation');
+const { assertAllowed, grantedByMember } = require('../lib/connections');
+
+// Pings a user can send; `status_reply` is only created by answering an `are_you_ok`
+const PING_TYPES = ['ping', 'are_you_ok'];
+const PING_REPLY_STATUSES = ['ok', 'need_help'];
+const INBOX_PAGE_SIZE = 20;
+const INBOX_MAX_PAGE_SIZE = 100;
+// How many pings one user may receive per hour, from all senders
+const RECIPIENT_QUOTA = { name: 'ping-recipient', max: 60, windowMs: 60 * 60 * 1000 };
+const MAX_MESSAGE_LENGTH = 500;
+
+const pingMessage = schemas.omitEmpty(z.string().trim().max(MAX_MESSAGE_LENGTH));
+
+function createPingsRouter({ storage, auth, push, outbox, events, rateLimiter }) {
+  const router = express.Router();
+  const { requireAuth, requireSelf } = auth;
+
+  const senderLimit = rateLimiter.limit({ name: 'ping-sender', max: 30, windowMs: 60 * 1000 });
+
+  // Push a ping to its recipient and their event stream. Returns the push
+  // delivery status, or `no_token` if the recipient has no push token (the ping
+  // is still in their inbox).
+  const deliverPing = async (ping, sender) => {
+    events.publish([ping.to_user_id], 'ping.received', {
+      pingId: ping.id,
+      type: ping.type,
+      fromUserId: ping.from_user_id,
+      fromDeviceName: sender?.device_name || null,
+      message: ping.message,
+      replyToPingId: ping.reply_to_ping_id || null,
+      replyStatus: ping.reply_status || null,
+    });
+
+    const recipient = await storage.users.findById(ping.to_user_id);
+    const pushJob = recipient && push.jobFor(recipient, {
+      kind: 'ping',
+      senderUserId: ping.from_user_id,
+      payload: buildPingMessage(sender?.device_name, ping),
+    });
+
+    if (!pushJob) {
+      return { status: 'no_token' };
+    }
+
+    const [job] = await outbox.enqueueAndSend([pushJob]);
+    return { status: job.status, notificationId: job.id };
+  };
+
+  // Send a ping to a paired user, or to every other member of a circle
+  router.post('/api/pings/send', requireAuth, senderLimit, validate({
+    body: z.object({
+      fromUserId: schemas.uuid.optional(),
+      toUserId: schemas.uuid.optional(),
+      circleId: schemas.uuid.optional(),
+      type: z.enum(PING_TYPES).default('ping'),
+      message: pingMessage,
+    }).refine((body) => (body.toUserId === undefined) !== (body.circleId === undefined), {
+      message: 'Send exactly one of toUserId or circleId',
+    }),
+  }), requireSelf('fromUserId', 'body'), async (req, res, next) => {
+    try {
+      const { fromUserId, toUserId, circleId, type, message } = req.body;
+
+      const createPing = (recipientId) => storage.pings.create({
+        from_user_id: fromUserId,
+        to_user_id: recipientId,
+        type,
+        message: message || null,
+      });
+
+      if (circleId) {
+        if (!(await storage.circles.findMember(circleId, fromUserId))) {
+          throw new ApiError(404, 'Circle not found');
+        }
+
+        // Members who opted out of circle pings, or are over their quota, are skipped
+        const members = (await storage.circles.listMembers(circleId))
+          .filter((member) => member.user_id !== fromUserId);
+        const sender = await storage.users.findById(fromUserId);
+
+        const recipients = [];
+        for (const member of members) {
+          if (!grantedByMember(member).pings) {
+            recipients.push({ userId: member.user_id, status: 'not_accepted' });
+          } else if (await rateLimiter.consume(RECIPIENT_QUOTA, member.user_id)) {
+            recipients.push({ userId: member.user_id, status: 'over_quota' });
+          } else {
+            const ping = await createPing(member.user_id);
+            recipients.push({ userId: member.user_id, status: 'sent', pingId: ping.id, delivery: await deliverPing(ping, sender) });
+          }
+        }
+
+        return res.json({
+          message: 'Circle ping sent',
+          circleId,
+          sent: recipients.filter((recipient) => recipient.status === 'sent').length,
+          recipients,
+        });
+      }
+
+      await assertAllowed(storage, toUserId, fromUserId, 'pings', 'Can only ping paired users that accept pings from you');
+
+      const overQuota = await rateLimiter.consume(RECIPIENT_QUOTA, toUserId);
+      if (overQuota) {
+        return sendTooManyRequests(res, overQuota.resetAt, 'This user has received too many pings, please try again later');
+      }
+
+      const ping = await createPing(toUserId);
+
+      const sender = await storage.users.findById(fromUserId);
+      const delivery = await deliverPing(ping, sender);
+
+      res.json({ message: 'Ping sent successfully', pingId: ping.id, delivery });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get pings received by a user, newest first
+  router.get('/api/pings/inbox/:userId', requireAuth, validate({
+    params: z.object({ userId: schemas.uuid }),
+    query: z.object({
+      limit: z.coerce.number().int().min(1).default(INBOX_PAGE_SIZE).transform((value) => Math.min(value, INBOX_MAX_PAGE_SIZE)),
+      offset: z.coerce.number().int().min(0).default(0),
+    }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { limit, offset } = req.query;
+
+      const [{ pings, total }, unreadCount] = await Promise.all([
+        storage.pings.listForRecipient(userId, { limit, offset }),
+        storage.pings.countUnread(userId),
+      ]);
+
+      res.json({
+        total,
+        unreadCount,
+        limit,
+        offset,
+        nextOffset: offset + pings.length < total ? offset + pings.length : null,
+        pings: pings.map((ping) => ({
+          id: ping.id,
+          type: ping.type,
+          fromUserId: ping.from_user_id,
+          fromDeviceName: ping.from_device_name || 'Unknown Device',
+          message: ping.message,
+          createdAt: ping.created_at,
+          readAt: ping.read_at,
+          replyToPingId: ping.reply_to_ping_id || null,
+          replyStatus: ping.reply_status || null,
+          repliedAt: ping.replied_at || null,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Mark received pings as read (all unread pings if no ids are given)
+  router.post('/api/pings/read', requireAuth, validate({
+    body: z.object({ pingIds: z.array(schemas.uuid).max(INBOX_MAX_PAGE_SIZE).optional() }),
+  }), async (req, res, next) => {
+    try {
+      const { pingIds } = req.body;
+
+      const updated = await storage.pings.markRead(req.userId, pingIds || null);
+      const unreadCount = await storage.pings.countUnread(req.userId);
+
+      res.json({ message: 'Pings marked as read', updated, unreadCount });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Answer an "Are you OK?" ping; the reply is delivered back to the sender as a ping
+  router.post('/api/pings/:pingId/reply', requireAuth, validate({
+    params: z.object({ pingId: schemas.uuid }),
+    body: z.object({ status: z.enum(PING_REPLY_STATUSES), message: pingMessage }),
+  }), async (req, res, next) => {
+    try {
+      const { status, message } = req.body;
+
+      const ping = await storage.pings.findById(req.params.pingId);
+
+      if (!ping || ping.to_user_id !== req.userId) {
+        throw new ApiError(404, 'Ping not found');
+      }
+
+      if (ping.type !== 'are_you_ok') {
+        throw new ApiError(400, 'Only "Are you OK?" pings can be replied to', { code: 'NOT_REPLYABLE' });
+      }
+
+      if (ping.replied_at) {
+        throw new ApiError(409, 'Ping has already been replied to', { code: 'ALREADY_REPLIED' });
+      }
+
+      // The reply is a ping of its own, so the sender must still accept pings
+      await assertAllowed(storage, ping.from_user_id, req.userId, 'pings', 'Can only reply to paired users that accept pings from you');
+
+      const repliedAt = new Date().toISOString();
+      await storage.pings.update(ping.id, {
+        reply_status: status,
+        replied_at: repliedAt,
+        read_at: ping.read_at || repliedAt,
+      });
+
+      const reply = await storage.pings.create({
+        from_user_id: req.userId,
+        to_user_id: ping.from_user_id,
+        type: 'status_reply',
+        message: message || null,
+        reply_to_ping_id: ping.id,
+        reply_status: status,
+      });
+
+      const sender = await storage.users.findById(req.userId);
+      const delivery = await deliverPing(reply, sender);
+
+      res.json({ message: 'Reply sent successfully', pingId: reply.id, delivery });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPingsRouter };
@@ -0,0 +1,302 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate, schemas } = require('../lib/validation');
+const { assertAllowed } = require('../lib/connections');
+const { formatContact } = require('../lib/emergencyContacts');
+const { buildExport, sendExportZip, EXPORT_FORMATS } = require('../lib/dataExport');
+const { formatDeletion } = require('../lib/accountDeletion');
+const { diff } = require('../lib/audit');
+const { logger } = require('../lib/logger');
+
+const { omitEmpty, clearable } = schemas;
+const name = omitEmpty(z.string().trim().min(1).max(200));
+
+const userIdParams = z.object({ userId: schemas.uuid });
+
+// Profile columns whose changes are audited
+const PROFILE_FIELDS = ['device_name', 'full_name', 'birthday', 'address'];
+
+// A user's own row as returned to them, without credential hashes
+const formatOwnUser = ({ device_secret_hash: deviceSecretHash, ...user }) => user;
+
+function createUsersRouter({ storage, auth, rateLimiter, accountDeletion, audit }) {
+  const router = express.Router();
+  const { issueSession, refreshSession, createDeviceSecret, verifyDeviceSecret, requireAuth, requireSelf } = auth;
+
+  const exportLimit = rateLimiter.limit({ name: 'data-export', max: 5, windowMs: 60 * 60 * 1000 });
+
+  // Get or create user. A new device gets a device secret, returned once; signing
+  // in to an existing device's account takes that secret or a refresh token of
+  // one of the account's sessions, since device ids are not secret.
+  router.post('/api/users/get-or-create', validate({
+    body: z.object({
+      deviceId: z.string().trim().min(1).max(200),
+      deviceName: z.string().trim().min(1).max(200),
+      deviceSecret: z.string().min(1).max(200).optional(),
+      refreshToken: z.string().min(1).max(200).optional(),
+      expoPushToken: omitEmpty(z.string().max(500)),
+      fullName: name,
+      birthday: omitEmpty(schemas.birthday),
+      address: omitEmpty(z.string().trim().max(500)),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { deviceId, deviceName, deviceSecret, refreshToken, expoPushToken, fullName, birthday, address } = req.body;
+
+      // Check if user already exists
+      const existingUser = await storage.users.findByDeviceId(deviceId);
+
+      if (existingUser) {
+        let session = null;
+        if (verifyDeviceSecret(existingUser, deviceSecret)) {
+          session = await issueSession(existingUser.id, deviceId);
+        } else if (refreshToken) {
+          session = await refreshSession(refreshToken, { userId: existingUser.id });
+        }
+        if (!session) {
+          throw new ApiError(401, 'Device secret or refresh token missing or invalid', { code: 'DEVICE_AUTH_FAILED' });
+        }
+
+        // Update user info if provided
+        const updateData = {};
+        if (expoPushToken && expoPushToken !== existingUser.expo_push_token) {
+          updateData.expo_push_token = expoPushToken;
+        }
+        if (deviceName) updateData.device_name = deviceName;
+        if (fullName) updateData.full_name = fullName;
+        if (birthday) updateData.birthday = birthday;
+        if (address) updateData.address = address;
+
+        // Accounts registered before device secrets existed get one once they
+        // have signed in with a refresh token
+        const issued = existingUser.device_secret_hash ? null : createDeviceSecret();
+        if (issued) updateData.device_secret_hash = issued.deviceSecretHash;
+
+        let user = existingUser;
+        if (Object.keys(updateData).length > 0) {
+          user = await storage.users.update(existingUser.id, updateData);
+          const changes = diff(existingUser, user, PROFILE_FIELDS);
+          if (changes) {
+            audit.record(req, { action: 'profile.updated', actorUserId: existingUser.id, targetUserId: existingUser.id, entityType: 'user', entityId: existingUser.id, changes });
+          }
+        }
+
+        return res.json({ ...formatOwnUser(user), session, ...(issued && { deviceSecret: issued.deviceSecret }) });
+      }
+
+      // Create new user
+      const { deviceSecret: newDeviceSecret, deviceSecretHash } = createDeviceSecret();
+      const newUser = await storage.users.create({
+        device_id: deviceId,
+        device_secret_hash: deviceSecretHash,
+        device_name: deviceName,
+        full_name: fullName || null,
+        birthday: birthday || null,
+        address: address || null,
+        expo_push_token: expoPushToken || null,
+      });
+      audit.record(req, { action: 'user.created', actorUserId: newUser.id, targetUserId: newUser.id, entityType: 'user', entityId: newUser.id });
+
+      const session = await issueSession(newUser.id, deviceId);
+      res.json({ ...formatOwnUser(newUser), session, deviceSecret: newDeviceSecret });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get user profile including emergency contacts (self or paired users sharing their profile)
+  router.get('/api/users/:userId', requireAuth, validate({ params: userIdParams }), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      if (userId !== req.userId) {
+        await assertAllowed(storage, userId, req.userId, 'profile', 'Not authorized to view this profile');
+      }
+
+      const [user, contacts] = await Promise.all([
+        storage.users.findById(userId),
+        storage.emergencyContacts.listForUser(userId),
+      ]);
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      if (userId !== req.userId) {
+        audit.record(req, { action: 'profile.viewed', targetUserId: userId, entityType: 'user', entityId: userId });
+      }
+
+      res.json({
+        id: user.id,
+        // Only shown to its owner; paired users have no use for it
+        ...(userId === req.userId && { device_id: user.device_id }),
+        device_name: user.device_name,
+        full_name: user.full_name,
+        birthday: user.birthday,
+        address: user.address,
+        emergency_contacts: contacts.map(formatContact),
+        created_at: user.created_at,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update complete user profile
+  router.patch('/api/users/:userId/update-profile', requireAuth, validate({
+    params: userIdParams,
+    body: z.object({
+      // null clears an optional field; the device name can only be replaced
+      full_name: clearable(z.string().trim().min(1).max(200)),
+      birthday: clearable(schemas.birthday),
+      address: clearable(z.string().trim().max(500)),
+      device_name: name,
+    }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+
+      const updateData = Object.fromEntries(PROFILE_FIELDS
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field]]));
+
+      if (Object.keys(updateData).length === 0) {
+        throw new ApiError(400, 'No fields to update', { code: 'NOTHING_TO_UPDATE' });
+      }
+
+      const before = await storage.users.findById(userId);
+      const user = before && (await storage.users.update(userId, updateData));
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      const changes = diff(before, user, PROFILE_FIELDS);
+      if (changes) {
+        audit.record(req, { action: 'profile.updated', targetUserId: userId, entityType: 'user', entityId: userId, changes });
+      }
+
+      logger.info('User profile updated', { userId });
+      res.json({ message: 'Profile updated successfully', user: formatOwnUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Ask for the account to be deleted. Nothing is removed until the grace
+  // period is over, and the request can be cancelled until then.
+  router.delete('/api/users/:userId', requireAuth, validate({
+    params: userIdParams,
+    body: z.object({ reason: schemas.optionalText(500) }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const user = await storage.users.findById(req.params.userId);
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      const pending = await storage.accountDeletions.findPending(user.id);
+      const deletion = pending || (await accountDeletion.schedule(user, { reason: req.body.reason || null }));
+      if (!pending) {
+        audit.record(req, { action: 'account.deletion_scheduled', targetUserId: user.id, entityType: 'account_deletion', entityId: deletion.id });
+      }
+      res.status(202).json({ message: 'Account deletion scheduled', deletion: formatDeletion(deletion) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the pending deletion of an account
+  router.get('/api/users/:userId/deletion', requireAuth, validate({ params: userIdParams }), requireSelf(), async (req, res, next) => {
+    try {
+      const deletion = await storage.accountDeletions.findPending(req.params.userId);
+
+      if (!deletion) {
+        throw new ApiError(404, 'No account deletion is pending');
+      }
+
+      res.json(formatDeletion(deletion));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Cancel a pending account deletion
+  router.delete('/api/users/:userId/deletion', requireAuth, validate({ params: userIdParams }), requireSelf(), async (req, res, next) => {
+    try {
+      const [user, deletion] = await Promise.all([
+        storage.users.findById(req.params.userId),
+        storage.accountDeletions.findPending(req.params.userId),
+      ]);
+
+      const cancelled = user && deletion && (await accountDeletion.cancel(user, deletion));
+      if (!cancelled) {
+        throw new ApiError(404, 'No account deletion is pending');
+      }
+      audit.record(req, { action: 'account.deletion_cancelled', targetUserId: user.id, entityType: 'account_deletion', entityId: cancelled.id });
+
+      res.json({ message: 'Account deletion cancelled', deletion: formatDeletion(cancelled) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Download everything stored about the user, as JSON or as a zip of CSV files
+  router.get('/api/users/:userId/export', requireAuth, exportLimit, validate({
+    params: userIdParams,
+    query: z.object({ format: z.enum(EXPORT_FORMATS).default('json') }),
+  }), requireSelf(), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const bundle = await buildExport(storage, userId);
+
+      if (!bundle) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      audit.record(req, { action: 'data.exported', targetUserId: userId, entityType: 'user', entityId: userId });
+
+      const filename = `export-${userId}-${bundle.exportedAt.slice(0, 10)}`;
+      if (req.query.format === 'zip') {
+        return await sendExportZip(res, bundle, filename);
+      }
+
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      res.json(bundle);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update FCM token
+  router.post('/api/users/update-fcm-token', requireAuth, validate({
+    body: z.object({
+      deviceId: z.string().trim().min(1).max(200),
+      fcmToken: z.string().min(1).max(4096),
+    }),
+  }), async (req, res, next) => {
+    try {
+      const { deviceId, fcmToken } = req.body;
+
+      const user = await storage.users.findByDeviceId(deviceId);
+
+      if (user && user.id !== req.userId) {
+        throw new ApiError(403, 'Not authorized to update this device\'s token');
+      }
+
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      await storage.users.update(user.id, { fcm_token: fcmToken });
+      res.json({ message: 'FCM token updated successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
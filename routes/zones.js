@@ -0,0 +1,208 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { z, validate, schemas } = require('../lib/validation');
+const { assertAllowed } = require('../lib/connections');
+
+const ZONE_SHAPES = ['circle', 'polygon'];
+const MAX_ZONES_PER_USER = 20;
+const MIN_RADIUS_METERS = 25;
+const MAX_RADIUS_METERS = 50000;
+const MAX_POLYGON_POINTS = 100;
+
+const coordinate = z.object({ latitude: schemas.latitude, longitude: schemas.longitude });
+const zoneName = z.string().trim().min(1).max(100);
+
+// Zone geometry: a circle around a center, or a polygon
+const geometry = z.discriminatedUnion('shape', [
+  z.object({
+    shape: z.literal('circle'),
+    center: coordinate,
+    radiusMeters: z.number().min(MIN_RADIUS_METERS).max(MAX_RADIUS_METERS),
+  }),
+  z.object({
+    shape: z.literal('polygon'),
+    points: z.array(coordinate).min(3).max(MAX_POLYGON_POINTS),
+  }),
+], { errorMap: () => ({ message: `Invalid shape, expected one of: ${ZONE_SHAPES.join(', ')}` }) });
+
+const zoneParams = z.object({ zoneId: schemas.uuid });
+
+// Turn validated geometry from a request body into zone columns
+const toGeometryColumns = ({ shape, center, radiusMeters, points }) => {
+  if (shape === 'circle') {
+    return {
+      shape,
+      center_latitude: center.latitude,
+      center_longitude: center.longitude,
+      radius_meters: radiusMeters,
+      polygon: null,
+    };
+  }
+
+  return {
+    shape,
+    center_latitude: null,
+    center_longitude: null,
+    radius_meters: null,
+    polygon: points.map(({ latitude, longitude }) => ({ latitude, longitude })),
+  };
+};
+
+const formatZone = (zone) => ({
+  id: zone.id,
+  userId: zone.user_id,
+  name: zone.name,
+  shape: zone.shape,
+  center: zone.shape === 'circle' ? { latitude: zone.center_latitude, longitude: zone.center_longitude } : undefined,
+  radiusMeters: zone.radius_meters ?? undefined,
+  points: zone.polygon ?? undefined,
+  state: zone.state,
+  stateChangedAt: zone.state_changed_at,
+  createdAt: zone.created_at,
+});
+
+function createZonesRouter({ storage, auth }) {
+  const router = express.Router();
+  const { requireAuth } = auth;
+
+  // Load a zone owned by the acting user
+  const findOwnZone = async (zoneId, userId) => {
+    const zone = await storage.zones.findById(zoneId);
+    if (!zone) return { status: 404 };
+    if (zone.user_id !== userId) return { status: 403 };
+    return { zone };
+  };
+
+  // Create a zone for the acting user
+  router.post('/api/zones', requireAuth, validate({
+    body: z.object({ name: zoneName }).and(geometry),
+  }), async (req, res, next) => {
+    try {
+      const { name } = req.body;
+
+      const existing = await storage.zones.listForUser(req.userId);
+      if (existing.length >= MAX_ZONES_PER_USER) {
+        throw new ApiError(409, `A user can have at most ${MAX_ZONES_PER_USER} zones`, { code: 'ZONE_LIMIT_REACHED' });
+      }
+
+      const zone = await storage.zones.create({ user_id: req.userId, name, ...toGeometryColumns(req.body) });
+      res.status(201).json(formatZone(zone));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List a user's zones (self or paired users sharing their location). The owner sees who is subscribed
+  // to each zone; paired users see whether they are.
+  router.get('/api/users/:userId/zones', requireAuth, validate({
+    params: z.object({ userId: schemas.uuid }),
+  }), async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const isOwner = userId === req.userId;
+
+      if (!isOwner) {
+        await assertAllowed(storage, userId, req.userId, 'location', 'Not authorized to view these zones');
+      }
+
+      const zones = await storage.zones.listForUser(userId);
+      const subscriptions = await storage.zones.listSubscriptions(zones.map((zone) => zone.id));
+
+      res.json(zones.map((zone) => {
+        const subscriberIds = subscriptions.filter((row) => row.zone_id === zone.id).map((row) => row.user_id);
+        return isOwner
+          ? { ...formatZone(zone), subscriberIds }
+          : { ...formatZone(zone), subscribed: subscriberIds.includes(req.userId) };
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rename a zone or change its geometry (owner only)
+  router.patch('/api/zones/:zoneId', requireAuth, validate({
+    params: zoneParams,
+    body: z.object({ name: zoneName.optional() }).and(z.union([geometry, z.object({ shape: z.undefined() })])),
+  }), async (req, res, next) => {
+    try {
+      const { zone, status } = await findOwnZone(req.params.zoneId, req.userId);
+
+      if (status === 404) {
+        throw new ApiError(404, 'Zone not found');
+      }
+      if (status === 403) {
+        throw new ApiError(403, 'Not authorized to update this zone');
+      }
+
+      const updateData = { updated_at: new Date().toISOString() };
+
+      if (req.body.name !== undefined) {
+        updateData.name = req.body.name;
+      }
+
+      if (req.body.shape !== undefined) {
+        // The old inside/outside state says nothing about the new shape
+        Object.assign(updateData, toGeometryColumns(req.body), { state: null, state_changed_at: null, pending_state: null, pending_since: null });
+      }
+
+      const updated = await storage.zones.update(zone.id, updateData);
+      res.json(formatZone(updated));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete a zone (owner only)
+  router.delete('/api/zones/:zoneId', requireAuth, validate({ params: zoneParams }), async (req, res, next) => {
+    try {
+      const { zone, status } = await findOwnZone(req.params.zoneId, req.userId);
+
+      if (status === 404) {
+        throw new ApiError(404, 'Zone not found');
+      }
+      if (status === 403) {
+        throw new ApiError(403, 'Not authorized to delete this zone');
+      }
+
+      await storage.zones.delete(zone.id);
+      res.json({ message: 'Zone deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Opt in to enter/exit alerts for a paired user's zone
+  router.post('/api/zones/:zoneId/subscription', requireAuth, validate({ params: zoneParams }), async (req, res, next) => {
+    try {
+      const zone = await storage.zones.findById(req.params.zoneId);
+
+      if (!zone) {
+        throw new ApiError(404, 'Zone not found');
+      }
+
+      if (zone.user_id === req.userId) {
+        throw new ApiError(403, 'Only paired users can subscribe to this zone');
+      }
+      await assertAllowed(storage, zone.user_id, req.userId, 'location', 'Only paired users sharing their location can subscribe to this zone');
+
+      await storage.zones.subscribe(zone.id, req.userId);
+      res.json({ message: 'Subscribed to zone alerts', zoneId: zone.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Opt out of a zone's alerts
+  router.delete('/api/zones/:zoneId/subscription', requireAuth, validate({ params: zoneParams }), async (req, res, next) => {
+    try {
+      await storage.zones.unsubscribe(req.params.zoneId, req.userId);
+      res.json({ message: 'Unsubscribed from zone alerts', zoneId: req.params.zoneId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createZonesRouter };
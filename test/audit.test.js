@@ -0,0 +1,67 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// Quiets the logs before lib/config is read
+require('./helpers');
+const { createMemoryStorage } = require('../lib/storage');
+const { createAuditLog, createAuditChainJob } = require('../lib/audit');
+
+let storage;
+let audit;
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+  audit = createAuditLog({ storage });
+});
+
+const recordActions = (count) => Promise.all(Array.from({ length: count }, (_, index) =>
+  audit.record(null, { action: `test.action_${index + 1}`, actorUserId: null })));
+
+// Serve the stored entries through `change`, as if someone edited the table directly
+const tamper = (change) => {
+  const { listFrom } = storage.auditLog;
+  storage.auditLog.listFrom = async (...args) => change(await listFrom(...args));
+};
+
+test('concurrent records form one unbroken chain', async () => {
+  const entries = await recordActions(5);
+
+  assert.deepEqual(entries.map((entry) => entry.sequence), [1, 2, 3, 4, 5]);
+  assert.deepEqual(await audit.verify(), { ok: true, checked: 5 });
+});
+
+test('an edited entry breaks the chain at that entry', async () => {
+  await recordActions(3);
+  tamper((entries) => entries.map((entry) => (entry.sequence === 2 ? { ...entry, action: 'test.rewritten' } : entry)));
+
+  const report = await audit.verify();
+  assert.equal(report.ok, false);
+  assert.equal(report.brokenAt, 2);
+  assert.equal(report.checked, 1);
+  assert.match(report.reason, /hash does not match/);
+});
+
+test('a removed entry breaks the chain after the gap', async () => {
+  await recordActions(3);
+  tamper((entries) => entries.filter((entry) => entry.sequence !== 2));
+
+  const report = await audit.verify();
+  assert.equal(report.ok, false);
+  assert.equal(report.brokenAt, 3);
+  assert.match(report.reason, /missing entries before sequence 3/);
+});
+
+test('checking entries flags only the edited ones', async () => {
+  const entries = await recordActions(3);
+  entries[1] = { ...entries[1], changes: { name: { from: 'A', to: 'B' } } };
+
+  assert.deepEqual(await audit.checkEntries(entries), [true, false, true]);
+});
+
+test('the chain job fails the run when the chain is broken', async () => {
+  const job = createAuditChainJob({ audit });
+  await recordActions(2);
+  assert.deepEqual(await job.run(), { ok: true, checked: 2 });
+
+  tamper((entries) => entries.map((entry) => (entry.sequence === 1 ? { ...entry, prev_hash: entry.hash } : entry)));
+  await assert.rejects(job.run(), /Chain broken at sequence 1/);
+});
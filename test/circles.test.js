@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+// A circle created by `admin` that `member` joined, each with their own permissions
+const createCircle = async (admin, member, { adminPermissions, memberPermissions } = {}) => {
+  const created = await ctx.request('POST', '/api/circles', {
+    token: admin.session.accessToken,
+    body: { name: 'Family', permissions: adminPermissions },
+  });
+  const invite = await ctx.request('POST', `/api/circles/${created.body.id}/invites`, { token: admin.session.accessToken, body: {} });
+  const joined = await ctx.request('POST', '/api/circles/join', {
+    token: member.session.accessToken,
+    body: { code: invite.body.code, permissions: memberPermissions },
+  });
+  assert.equal(joined.status, 201);
+  return created.body.id;
+};
+
+const profileOf = (viewer, user) => ctx.request('GET', `/api/users/${user.id}`, { token: viewer.session.accessToken });
+
+test('new circle members share nothing until they opt in', async () => {
+  const admin = await ctx.register('circle-admin');
+  const member = await ctx.register('circle-member');
+  const circleId = await createCircle(admin, member);
+
+  const denied = await profileOf(admin, member);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'PERMISSION_DENIED');
+
+  const { body } = await ctx.request('GET', `/api/circles/${circleId}`, { token: admin.session.accessToken });
+  const membership = body.members.find((entry) => entry.userId === member.id);
+  assert.deepEqual(membership.permissions, { location: false, crash_alerts: false, profile: false, pings: false });
+
+  const optedIn = await ctx.request('PATCH', `/api/circles/${circleId}/permissions`, {
+    token: member.session.accessToken,
+    body: { profile: true },
+  });
+  assert.equal(optedIn.status, 200);
+  assert.equal((await profileOf(admin, member)).status, 200);
+});
+
+test('permissions a membership does not set are not shared', async () => {
+  const admin = await ctx.register('circle-admin-2');
+  const member = await ctx.register('circle-member-2');
+  const circleId = await createCircle(admin, member, { memberPermissions: { pings: true } });
+
+  // A row written without explicit permissions, as the column default leaves it
+  await ctx.storage.circles.updateMember(circleId, member.id, { permissions: {} });
+
+  assert.equal((await profileOf(admin, member)).status, 403);
+
+  const ping = await ctx.request('POST', '/api/pings/send', {
+    token: admin.session.accessToken,
+    body: { fromUserId: admin.id, toUserId: member.id },
+  });
+  assert.equal(ping.status, 403);
+  assert.equal(ping.body.code, 'PERMISSION_DENIED');
+});
+
+test('circle pings only reach members who accept them', async () => {
+  const admin = await ctx.register('circle-admin-3');
+  const accepting = await ctx.register('circle-accepting');
+  const circleId = await createCircle(admin, accepting, { memberPermissions: { pings: true } });
+  const quiet = await ctx.register('circle-quiet');
+  const invite = await ctx.request('POST', `/api/circles/${circleId}/invites`, { token: admin.session.accessToken, body: {} });
+  await ctx.request('POST', '/api/circles/join', { token: quiet.session.accessToken, body: { code: invite.body.code } });
+
+  const { status, body } = await ctx.request('POST', '/api/pings/send', {
+    token: admin.session.accessToken,
+    body: { fromUserId: admin.id, circleId },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.sent, 1);
+  assert.equal(body.recipients.find((recipient) => recipient.userId === quiet.id).status, 'not_accepted');
+});
+
+test('non-members cannot see a circle', async () => {
+  const admin = await ctx.register('circle-admin-4');
+  const member = await ctx.register('circle-member-4');
+  const outsider = await ctx.register('circle-outsider');
+  const circleId = await createCircle(admin, member);
+
+  const { status } = await ctx.request('GET', `/api/circles/${circleId}`, { token: outsider.session.accessToken });
+  assert.equal(status, 404);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+// Quiets the logs before lib/config is read
+require('./helpers');
+const { loadConfig, checkConfig } = require('../lib/config');
+
+const problemsFor = (env) => checkConfig(loadConfig({ env }));
+
+// A complete production setup
+const production = {
+  NODE_ENV: 'production',
+  SESSION_SECRET: 'production-secret',
+  SUPABASE_URL: 'https://project.supabase.co',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+  TELEPHONY_PROVIDER: 'twilio',
+  TWILIO_ACCOUNT_SID: 'AC123',
+  TWILIO_AUTH_TOKEN: 'twilio-token',
+  TWILIO_FROM_NUMBER: '+14155550100',
+  METRICS_TOKEN: 'metrics-token',
+};
+
+test('a complete production config has no problems', () => {
+  assert.deepEqual(problemsFor(production), []);
+});
+
+test('production requires a metrics token', () => {
+  const { METRICS_TOKEN, ...withoutToken } = production;
+  assert.deepEqual(problemsFor(withoutToken), ['METRICS_TOKEN is required for metrics in production (NODE_ENV=production)']);
+
+  // Outside production metrics may stay public
+  assert.deepEqual(problemsFor({ ...withoutToken, NODE_ENV: 'development' }), []);
+});
+
+test('fake telephony is refused in production', () => {
+  const problems = problemsFor({ ...production, TELEPHONY_PROVIDER: 'fake' });
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /TELEPHONY_PROVIDER: fake cannot be used/);
+});
+
+test('settings required by enabled features are reported', () => {
+  const problems = problemsFor({ STORAGE_DRIVER: 'supabase', TELEPHONY_PROVIDER: 'twilio' });
+
+  assert.ok(problems.includes('SESSION_SECRET is required for Session tokens'));
+  assert.ok(problems.includes('SUPABASE_URL is required for Supabase storage (STORAGE_DRIVER=supabase)'));
+  assert.ok(problems.includes('TWILIO_AUTH_TOKEN is required for Twilio telephony (TELEPHONY_PROVIDER=twilio)'));
+});
+
+test('invalid values are reported by setting name', () => {
+  const problems = problemsFor({ ...production, PORT: 'not-a-port', RATE_LIMIT_ENABLED: 'maybe' });
+
+  assert.equal(problems.length, 2);
+  assert.ok(problems.some((problem) => problem.startsWith('PORT:')));
+  assert.ok(problems.some((problem) => problem.startsWith('RATE_LIMIT_ENABLED:')));
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+const reportCrash = (user, body = {}) => ctx.request('POST', '/api/crashes', {
+  token: user.session.accessToken,
+  body: { deviceId: user.device_id, location: { latitude: 52.37, longitude: 4.89 }, ...body },
+});
+
+const addContact = (user, phone) => ctx.request('POST', `/api/users/${user.id}/emergency-contacts`, {
+  token: user.session.accessToken,
+  body: { name: 'Contact', phone },
+});
+
+const timelineTypes = async (user, crashEventId) => {
+  const { body } = await ctx.request('GET', `/api/crashes/${crashEventId}`, { token: user.session.accessToken });
+  return body.timeline.map((entry) => entry.type);
+};
+
+test('a crash alerts paired users and waits for them to acknowledge', async () => {
+  const reporter = await ctx.register('crash-reporter');
+  const friend = await ctx.register('crash-friend', { expoPushToken: 'ExponentPushToken[crash-friend]' });
+  await ctx.pair(reporter, friend);
+  await addContact(reporter, '+14155550101');
+
+  const { status, body } = await reportCrash(reporter);
+  assert.equal(status, 201);
+  assert.equal(body.deliveredCount, 1);
+  assert.ok(ctx.pushProvider.sent.some((entry) => entry.token === 'ExponentPushToken[crash-friend]'));
+  assert.ok(!(await timelineTypes(reporter, body.crashEventId)).includes('escalated'));
+
+  const acknowledged = await ctx.request('POST', `/api/crashes/${body.crashEventId}/acknowledge`, {
+    token: friend.session.accessToken,
+    body: { status: 'responding' },
+  });
+  assert.equal(acknowledged.status, 200);
+  assert.equal(acknowledged.body.crashEvent.next_escalation_at, null);
+});
+
+test('a crash nobody can be alerted about escalates straight away', async () => {
+  const reporter = await ctx.register('crash-alone');
+  await addContact(reporter, '+14155550102');
+
+  const { body } = await reportCrash(reporter);
+
+  assert.equal(body.recipientCount, 0);
+  assert.ok((await timelineTypes(reporter, body.crashEventId)).includes('escalated'));
+  assert.ok(ctx.telephony.sent.some((entry) => entry.to === '+14155550102'));
+});
+
+test('an alert still being retried waits out the acknowledgement window', async () => {
+  const reporter = await ctx.register('crash-retry');
+  const friend = await ctx.register('crash-retry-friend', { expoPushToken: 'ExponentPushToken[crash-retry-friend]' });
+  await ctx.pair(reporter, friend);
+  await addContact(reporter, '+14155550103');
+
+  // The first attempt fails and is queued for a retry
+  const sendBatch = ctx.pushProvider.sendBatch;
+  ctx.pushProvider.sendBatch = async (entries) => entries.map(() => ({ ok: false, error: { message: 'Temporary outage', permanent: false } }));
+  let crash;
+  try {
+    crash = (await reportCrash(reporter)).body;
+  } finally {
+    ctx.pushProvider.sendBatch = sendBatch;
+  }
+
+  assert.equal(crash.deliveredCount, 0);
+  assert.equal(crash.deliveries[0].status, 'pending');
+  assert.ok(!(await timelineTypes(reporter, crash.crashEventId)).includes('escalated'));
+  assert.ok(!ctx.telephony.sent.some((entry) => entry.to === '+14155550103'));
+});
+
+test("a crash cannot be reported for another user's device", async () => {
+  const reporter = await ctx.register('crash-spoofer');
+  await ctx.register('crash-victim');
+
+  const { status, body } = await reportCrash(reporter, { deviceId: 'crash-victim' });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'DEVICE_MISMATCH');
+});
+
+test("a crash can be reported from the user's detector", async () => {
+  const reporter = await ctx.register('crash-detector-owner');
+  await ctx.request('POST', '/api/devices/heartbeat', { token: reporter.session.accessToken, body: { deviceId: 'esp32-detector' } });
+
+  const { status } = await reportCrash(reporter, { deviceId: 'esp32-detector' });
+  assert.equal(status, 201);
+});
+
+test('only the owner sees who an escalation contacted', async () => {
+  const reporter = await ctx.register('crash-private');
+  const friend = await ctx.register('crash-private-friend');
+  await ctx.pair(reporter, friend);
+  await addContact(reporter, '+14155550104');
+
+  // The friend has no push token, so nobody is alerted and escalation starts
+  const { body: crash } = await reportCrash(reporter);
+
+  const escalated = async (user) => {
+    const { body } = await ctx.request('GET', `/api/crashes/${crash.crashEventId}`, { token: user.session.accessToken });
+    return body.timeline.find((entry) => entry.type === 'escalated').detail;
+  };
+
+  const forOwner = await escalated(reporter);
+  assert.equal(forOwner.contactPhone, '+14155550104');
+  assert.equal(forOwner.contactName, 'Contact');
+
+  const forFriend = await escalated(friend);
+  assert.ok(forFriend.contactId);
+  assert.equal(forFriend.contactPhone, undefined);
+  assert.equal(forFriend.contactName, undefined);
+});
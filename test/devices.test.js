@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+const heartbeat = (user, body) => ctx.request('POST', '/api/devices/heartbeat', { token: user.session.accessToken, body });
+
+test('paired users see the detector status but not its id', async () => {
+  const owner = await ctx.register('detector-owner');
+  const friend = await ctx.register('detector-friend');
+  await ctx.pair(owner, friend);
+
+  const own = await heartbeat(owner, { deviceId: 'esp32-owner', batteryLevel: 80 });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.deviceId, 'esp32-owner');
+  assert.equal(own.body.status, 'online');
+
+  const { body } = await ctx.request('GET', `/api/devices/paired/${friend.id}`, { token: friend.session.accessToken });
+  const status = body.find((device) => device.id === owner.id).device_status;
+  assert.equal(status.status, 'online');
+  assert.equal(status.batteryLevel, 80);
+  assert.equal(status.deviceId, undefined);
+});
+
+test('the detector status is hidden from paired users without crash alerts', async () => {
+  const owner = await ctx.register('detector-owner-2');
+  const friend = await ctx.register('detector-friend-2');
+  await ctx.pair(owner, friend);
+  await heartbeat(owner, { batteryLevel: 50 });
+
+  await ctx.request('PATCH', `/api/connections/${friend.id}/permissions`, { token: owner.session.accessToken, body: { crash_alerts: false } });
+
+  const { body } = await ctx.request('GET', `/api/devices/paired/${friend.id}`, { token: friend.session.accessToken });
+  assert.equal(body.find((device) => device.id === owner.id).device_status, null);
+});
+
+test('a low battery warns paired users once', async () => {
+  const owner = await ctx.register('detector-owner-3');
+  const friend = await ctx.register('detector-friend-3', { expoPushToken: 'ExponentPushToken[detector-friend-3]' });
+  await ctx.pair(owner, friend);
+  const warnings = () => ctx.pushProvider.sent.filter((entry) => entry.token === 'ExponentPushToken[detector-friend-3]'
+    && entry.message.data?.status === 'low_battery').length;
+
+  await heartbeat(owner, { batteryLevel: 50 });
+  await heartbeat(owner, { batteryLevel: 10 });
+  await heartbeat(owner, { batteryLevel: 9 });
+
+  assert.equal(warnings(), 1);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+const contactsPath = (user) => `/api/users/${user.id}/emergency-contacts`;
+
+const addContact = async (user, phone) => {
+  const { status, body } = await ctx.request('POST', contactsPath(user), {
+    token: user.session.accessToken,
+    body: { name: `Contact ${phone}`, phone },
+  });
+  assert.equal(status, 201);
+  return body;
+};
+
+const sendVerification = (user, contact) => ctx.request('POST', `${contactsPath(user)}/${contact.id}/verification`, {
+  token: user.session.accessToken,
+});
+
+test('a contact is verified with the code texted to it', async () => {
+  const user = await ctx.register('contacts-verify');
+  const contact = await addContact(user, '+14155550201');
+  assert.equal(contact.verified, false);
+
+  assert.equal((await sendVerification(user, contact)).status, 200);
+  const text = ctx.telephony.sent.findLast((entry) => entry.to === '+14155550201');
+  const [code] = text.body.match(/\d{6}/);
+
+  const confirmed = await ctx.request('POST', `${contactsPath(user)}/${contact.id}/verification/confirm`, {
+    token: user.session.accessToken,
+    body: { code },
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.verified, true);
+});
+
+test('a user can have at most 10 contacts', async () => {
+  const user = await ctx.register('contacts-limit');
+  for (let index = 0; index < 10; index += 1) {
+    await addContact(user, `+1415555030${index}`);
+  }
+
+  const { status, body } = await ctx.request('POST', contactsPath(user), {
+    token: user.session.accessToken,
+    body: { name: 'One too many', phone: '+14155550310' },
+  });
+  assert.equal(status, 409);
+  assert.equal(body.code, 'CONTACT_LIMIT_REACHED');
+});
+
+test('verification texts are limited per contact and per user', async () => {
+  const user = await ctx.register('contacts-texts');
+  const contacts = [];
+  for (let index = 0; index < 4; index += 1) {
+    contacts.push(await addContact(user, `+1415555040${index}`));
+  }
+
+  const [first] = contacts;
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    assert.equal((await sendVerification(user, first)).status, 200);
+  }
+  const perContact = await sendVerification(user, first);
+  assert.equal(perContact.status, 429);
+
+  // The other contacts share what is left of the user's 10 texts a day
+  const statuses = [];
+  for (const contact of contacts.slice(1)) {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      statuses.push((await sendVerification(user, contact)).status);
+    }
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200, 200, 200, 429, 429]);
+});
+
+test('a carried-over number that needs updating is skipped until it is entered again', async () => {
+  const user = await ctx.register('contacts-legacy');
+  const legacy = await addContact(user, '+14155550501');
+  const next = await addContact(user, '+14155550502');
+  // As the migration leaves a number it could not bring into E.164
+  await ctx.storage.emergencyContacts.update(legacy.id, { phone: '415 555 0501', phone_needs_update: true });
+
+  const refused = await sendVerification(user, legacy);
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'PHONE_NEEDS_UPDATE');
+
+  const { body: crash } = await ctx.request('POST', '/api/crashes', { token: user.session.accessToken, body: { deviceId: user.device_id } });
+  const { body: event } = await ctx.request('GET', `/api/crashes/${crash.crashEventId}`, { token: user.session.accessToken });
+  assert.equal(event.timeline.find((entry) => entry.type === 'escalated').detail.contactId, next.id);
+
+  const updated = await ctx.request('PATCH', `${contactsPath(user)}/${legacy.id}`, {
+    token: user.session.accessToken,
+    body: { phone: '+14155550501' },
+  });
+  assert.equal(updated.body.phoneNeedsUpdate, false);
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// Quiets the logs before lib/config is read
+require('./helpers');
+const { createMemoryStorage } = require('../lib/storage');
+const { createEscalationEngine } = require('../lib/escalation');
+const { createFakeProvider } = require('../lib/telephony/fake');
+
+let storage;
+let telephony;
+let escalation;
+let user;
+
+beforeEach(async () => {
+  storage = createMemoryStorage();
+  telephony = createFakeProvider();
+  escalation = createEscalationEngine({ storage, telephony, voiceCalls: false });
+  user = await storage.users.create({ device_id: 'escalation-user', device_name: 'Escalation' });
+});
+
+const addContact = (phone, priority, fields = {}) => storage.emergencyContacts.create({
+  user_id: user.id, name: `Contact ${priority}`, phone, priority, ...fields,
+});
+
+const openCrash = () => storage.crashEvents.create({
+  user_id: user.id,
+  device_id: 'escalation-user',
+  occurred_at: new Date().toISOString(),
+  latitude: 52.37,
+  longitude: 4.89,
+  status: 'open',
+  escalation_level: 0,
+  next_escalation_at: escalation.acknowledgementDeadline(),
+});
+
+// Move an event's next escalation into the past
+const makeDue = (id) => storage.crashEvents.update(id, { next_escalation_at: new Date(Date.now() - 1000).toISOString() });
+
+test('nothing is escalated before the acknowledgement window runs out', async () => {
+  await addContact('+14155550601', 1);
+  await openCrash();
+
+  await escalation.sweep();
+
+  assert.equal(telephony.sent.length, 0);
+});
+
+test('contacts are texted one step at a time in priority order', async () => {
+  await addContact('+14155550602', 2);
+  await addContact('+14155550601', 1);
+  const crash = await openCrash();
+
+  await makeDue(crash.id);
+  await escalation.sweep();
+  assert.deepEqual(telephony.sent.map((entry) => entry.to), ['+14155550601']);
+  assert.match(telephony.sent[0].body, /maps\.google\.com\/\?q=52\.37,4\.89/);
+
+  let updated = await storage.crashEvents.findById(crash.id);
+  assert.equal(updated.escalation_level, 1);
+  assert.equal(updated.status, 'open');
+
+  // The next contact waits for the next step
+  await escalation.sweep();
+  assert.equal(telephony.sent.length, 1);
+
+  await makeDue(crash.id);
+  await escalation.sweep();
+  assert.deepEqual(telephony.sent.map((entry) => entry.to), ['+14155550601', '+14155550602']);
+
+  updated = await storage.crashEvents.findById(crash.id);
+  assert.equal(updated.status, 'escalated');
+  assert.equal(updated.next_escalation_at, null);
+});
+
+test('an acknowledgement stops escalation', async () => {
+  await addContact('+14155550601', 1);
+  const crash = await openCrash();
+
+  await escalation.acknowledge(crash, user.id, 'responding');
+  await makeDue(crash.id);
+  await escalation.sweep();
+
+  assert.equal(telephony.sent.length, 0);
+  const timeline = await storage.crashEvents.listTimeline(crash.id);
+  assert.deepEqual(timeline.map((entry) => entry.type), ['responding']);
+});
+
+test('two sweeps together contact each person once', async () => {
+  await addContact('+14155550601', 1);
+  const crash = await openCrash();
+
+  await makeDue(crash.id);
+  await Promise.all([escalation.sweep(), escalation.sweep()]);
+
+  assert.equal(telephony.sent.length, 1);
+});
+
+test('voice contacts are called and failures are recorded', async () => {
+  await addContact('+14155550601', 1, { preferred_channel: 'voice' });
+  const crash = await openCrash();
+  telephony.placeCall = async () => {
+    throw new Error('Call to +14155550601 failed');
+  };
+
+  await makeDue(crash.id);
+  await escalation.sweep();
+
+  const [failure] = await storage.crashEvents.listTimeline(crash.id);
+  assert.equal(failure.type, 'escalation_failed');
+  assert.equal(failure.detail.channel, 'voice');
+  assert.doesNotMatch(failure.detail.reason, /4155550601/);
+});
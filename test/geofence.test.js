@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// Quiets the logs before lib/config is read
+require('./helpers');
+const { createMemoryStorage } = require('../lib/storage');
+const { createGeofenceEngine } = require('../lib/geofence');
+const { config } = require('../lib/config');
+
+const DEBOUNCE_MS = config.zoneDebounceSeconds * 1000;
+const START = Date.parse('2026-01-01T12:00:00Z');
+
+let storage;
+let geofence;
+let published;
+let queued;
+let owner;
+let watcher;
+let zone;
+
+beforeEach(async () => {
+  storage = createMemoryStorage();
+  published = [];
+  queued = [];
+  geofence = createGeofenceEngine({
+    storage,
+    events: { publish: (userIds, type, data) => published.push({ userIds, type, data }) },
+    push: { jobFor: (user, job) => ({ ...job, recipientUserId: user.id }) },
+    outbox: { enqueueAndSend: async (jobs) => queued.push(...jobs) },
+  });
+
+  owner = await storage.users.create({ device_id: 'zone-owner', device_name: 'Zone owner' });
+  watcher = await storage.users.create({ device_id: 'zone-watcher', device_name: 'Zone watcher' });
+  await storage.connections.create(owner.id, watcher.id);
+  zone = await storage.zones.create({
+    user_id: owner.id, name: 'Home', shape: 'circle', center_latitude: 52.37, center_longitude: 4.89, radius_meters: 200,
+  });
+  await storage.zones.subscribe(zone.id, watcher.id);
+});
+
+// A fix `offsetMs` after the start, inside the zone or about 1 km north of it
+const fix = (offsetMs, { inside, accuracy = 10 }) => ({
+  latitude: inside ? 52.37 : 52.38,
+  longitude: 4.89,
+  accuracy,
+  recorded_at: new Date(START + offsetMs).toISOString(),
+});
+
+test('the first fix only records the state', async () => {
+  await geofence.evaluate(owner.id, fix(0, { inside: true }));
+
+  assert.equal((await storage.zones.findById(zone.id)).state, 'inside');
+  assert.equal(published.length, 0);
+});
+
+test('a change that does not hold for the debounce period is not a transition', async () => {
+  await geofence.evaluate(owner.id, fix(0, { inside: true }));
+  await geofence.evaluate(owner.id, fix(1000, { inside: false }));
+  await geofence.evaluate(owner.id, fix(2000, { inside: true }));
+  await geofence.evaluate(owner.id, fix(DEBOUNCE_MS + 1000, { inside: false }));
+
+  const row = await storage.zones.findById(zone.id);
+  assert.equal(row.state, 'inside');
+  assert.equal(row.pending_state, 'outside');
+  assert.equal(published.length, 0);
+});
+
+test('a change that holds for the debounce period alerts subscribers once', async () => {
+  await geofence.evaluate(owner.id, fix(0, { inside: true }));
+  await geofence.evaluate(owner.id, fix(1000, { inside: false }));
+  await geofence.evaluate(owner.id, fix(DEBOUNCE_MS + 1000, { inside: false }));
+  await geofence.evaluate(owner.id, fix(DEBOUNCE_MS + 2000, { inside: false }));
+
+  assert.equal((await storage.zones.findById(zone.id)).state, 'outside');
+  assert.deepEqual(published.map(({ userIds, type }) => ({ userIds, type })), [{ userIds: [watcher.id], type: 'zone.exited' }]);
+  assert.deepEqual(queued.map((job) => job.recipientUserId), [watcher.id]);
+});
+
+test('subscribers the owner no longer shares location with are not alerted', async () => {
+  const connection = await storage.connections.find(owner.id, watcher.id);
+  await storage.connections.update(connection.id, { initiator_permissions: { location: false } });
+
+  await geofence.evaluate(owner.id, fix(0, { inside: true }));
+  await geofence.evaluate(owner.id, fix(1000, { inside: false }));
+  await geofence.evaluate(owner.id, fix(DEBOUNCE_MS + 1000, { inside: false }));
+
+  assert.equal((await storage.zones.findById(zone.id)).state, 'outside');
+  assert.equal(published.length, 0);
+  assert.equal(queued.length, 0);
+});
+
+test('inaccurate fixes are ignored', async () => {
+  await geofence.evaluate(owner.id, fix(0, { inside: true }));
+  await geofence.evaluate(owner.id, fix(1000, { inside: false, accuracy: config.zoneMaxAccuracyMeters + 1 }));
+
+  assert.equal((await storage.zones.findById(zone.id)).pending_state, null);
+});
@@ -0,0 +1,75 @@
+// Settings are read when lib/config is first required, so quiet the logs first
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createApp } = require('../app');
+const { createMemoryStorage } = require('../lib/storage');
+const { createPushRouter } = require('../lib/push');
+const { createFakeProvider } = require('../lib/telephony/fake');
+
+// Push provider standing in for Expo: accepts every message and keeps it
+function createRecordingProvider() {
+  const sent = [];
+  return {
+    name: 'expo',
+    tokenField: 'expo_push_token',
+    usesReceipts: false,
+    enabled: true,
+    sent,
+    isReady: () => true,
+    sendBatch: async (entries) => entries.map((entry) => {
+      sent.push(entry);
+      return { ok: true, messageId: `message-${sent.length}` };
+    }),
+  };
+}
+
+// The app on memory storage with fake telephony, listening on a free port.
+// Returns helpers to call it; `close` stops the server.
+async function startApp() {
+  const storage = createMemoryStorage();
+  const pushProvider = createRecordingProvider();
+  const telephony = createFakeProvider();
+  const app = createApp({ storage, push: createPushRouter({ providers: [pushProvider] }), telephony, sessionSecret: 'test-session-secret' });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to `{ status, body }`
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  // Register a new device; resolves to the get-or-create response
+  const register = async (deviceId, fields = {}) => {
+    const { status, body } = await request('POST', '/api/users/get-or-create', {
+      body: { deviceId, deviceName: `Device ${deviceId}`, ...fields },
+    });
+    if (status !== 200) throw new Error(`Registering ${deviceId} failed with ${status}`);
+    return body;
+  };
+
+  // Pair `requester` with `owner` through a pairing code the owner approves
+  const pair = async (owner, requester) => {
+    const generated = await request('POST', '/api/pairing/generate', { token: owner.session.accessToken, body: {} });
+    const validated = await request('POST', '/api/pairing/validate', { token: requester.session.accessToken, body: { code: generated.body.code } });
+    const approved = await request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: owner.session.accessToken });
+    if (approved.status !== 200) throw new Error(`Pairing failed with ${approved.status}`);
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { app, storage, pushProvider, telephony, request, register, pair, close };
+}
+
+module.exports = { startApp, createRecordingProvider };
@@ -0,0 +1,161 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// Quiets the logs before lib/config is read
+require('./helpers');
+const { createMemoryStorage } = require('../lib/storage');
+const { createOutbox } = require('../lib/outbox');
+const { createMetrics } = require('../lib/metrics');
+
+// Push provider whose next outcomes are scripted; sends succeed once the
+// script runs out
+function createScriptedProvider() {
+  const outcomes = [];
+  const provider = {
+    name: 'expo',
+    tokenField: 'expo_push_token',
+    usesReceipts: false,
+    enabled: true,
+    ready: true,
+    sent: [],
+    isReady: () => provider.ready,
+    fail: (error) => outcomes.push({ ok: false, error: { permanent: false, invalidToken: false, ...error } }),
+    sendBatch: async (entries) => entries.map((entry) => {
+      provider.sent.push(entry);
+      return outcomes.shift() || { ok: true, messageId: `message-${provider.sent.length}` };
+    }),
+  };
+  return provider;
+}
+
+let storage;
+let provider;
+let outbox;
+let sent;
+let deadLettered;
+let user;
+
+beforeEach(async () => {
+  storage = createMemoryStorage();
+  provider = createScriptedProvider();
+  const providers = new Map([[provider.name, provider]]);
+  sent = [];
+  deadLettered = [];
+  outbox = createOutbox({
+    storage,
+    push: { providers, get: (name) => providers.get(name) },
+    metrics: createMetrics(),
+    onSent: async (job) => sent.push(job),
+    onDeadLetter: async (job) => deadLettered.push(job),
+  });
+  user = await storage.users.create({ device_id: 'outbox-user', device_name: 'Outbox', expo_push_token: 'ExponentPushToken[outbox]' });
+});
+
+const job = (fields = {}) => ({
+  kind: 'ping',
+  recipientUserId: user.id,
+  provider: 'expo',
+  token: 'ExponentPushToken[outbox]',
+  payload: { title: 'Hello', body: 'Hi' },
+  ...fields,
+});
+
+// Make a pending job due now instead of after its backoff
+const makeDue = (id) => storage.notifications.update(id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+
+test('a delivered job is marked sent', async () => {
+  const [delivered] = await outbox.enqueueAndSend([job()]);
+
+  assert.equal(delivered.status, 'sent');
+  assert.equal(delivered.attempts, 1);
+  assert.equal(delivered.provider_message_id, 'message-1');
+  assert.deepEqual(sent.map((row) => row.id), [delivered.id]);
+});
+
+test('a failed send is retried later with backoff', async () => {
+  provider.fail({ message: 'Temporary outage' });
+  const [failed] = await outbox.enqueueAndSend([job()]);
+
+  assert.equal(failed.status, 'pending');
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.last_error, 'Temporary outage');
+  assert.ok(new Date(failed.next_attempt_at) > new Date());
+
+  // Not due yet, so a sweep leaves it alone
+  await outbox.processDue();
+  assert.equal(provider.sent.length, 1);
+
+  await makeDue(failed.id);
+  await outbox.processDue();
+  const retried = await storage.notifications.findById(failed.id);
+  assert.equal(retried.status, 'sent');
+  assert.equal(retried.attempts, 2);
+});
+
+test('a job is dead-lettered once it runs out of attempts', async () => {
+  const [queued] = await outbox.enqueue([job()]);
+
+  for (let attempt = 1; attempt <= queued.max_attempts; attempt += 1) {
+    provider.fail({ message: `Failure ${attempt}` });
+    await makeDue(queued.id);
+    await outbox.processDue();
+  }
+
+  const dead = await storage.notifications.findById(queued.id);
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.attempts, queued.max_attempts);
+  assert.equal(dead.last_error, `Failure ${queued.max_attempts}`);
+  assert.deepEqual(deadLettered.map((row) => row.id), [queued.id]);
+});
+
+test('crash alerts get more attempts than other notifications', async () => {
+  const [ping, crash] = await outbox.enqueue([job(), job({ kind: 'crash' })]);
+  assert.ok(crash.max_attempts > ping.max_attempts);
+});
+
+test('a permanent failure for an unregistered token dead-letters the job and clears the token', async () => {
+  provider.fail({ message: 'DeviceNotRegistered', permanent: true, invalidToken: true });
+  const [failed] = await outbox.enqueueAndSend([job()]);
+
+  assert.equal(failed.status, 'dead');
+  assert.equal(failed.attempts, 1);
+  assert.equal(deadLettered.length, 1);
+  assert.equal((await storage.users.findById(user.id)).expo_push_token, null);
+});
+
+test('attempts while the provider is not ready count as failures', async () => {
+  provider.ready = false;
+  const [waiting] = await outbox.enqueueAndSend([job()]);
+
+  assert.equal(waiting.status, 'pending');
+  assert.equal(waiting.attempts, 1);
+  assert.equal(provider.sent.length, 0);
+
+  provider.ready = true;
+  await makeDue(waiting.id);
+  await outbox.processDue();
+  assert.equal((await storage.notifications.findById(waiting.id)).status, 'sent');
+});
+
+test('jobs for an unknown provider are dead-lettered right away', async () => {
+  const [failed] = await outbox.enqueueAndSend([job({ provider: 'fcm' })]);
+
+  assert.equal(failed.status, 'dead');
+  assert.match(failed.last_error, /Unknown push provider fcm/);
+});
+
+test('a job is only sent once when two workers attempt it together', async () => {
+  const [queued] = await outbox.enqueue([job()]);
+
+  await Promise.all([outbox.processDue(), outbox.processDue()]);
+
+  assert.equal(provider.sent.length, 1);
+  assert.equal((await storage.notifications.findById(queued.id)).status, 'sent');
+});
+
+test('draining sends crash alerts that are due', async () => {
+  const [crash] = await outbox.enqueue([job({ kind: 'crash' })]);
+
+  await outbox.drain();
+
+  assert.equal((await storage.notifications.findById(crash.id)).status, 'sent');
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+const generateCode = async (user, body = {}) => {
+  const { status, body: code } = await ctx.request('POST', '/api/pairing/generate', { token: user.session.accessToken, body });
+  assert.equal(status, 200);
+  return code.code;
+};
+
+const validateCode = (user, code) => ctx.request('POST', '/api/pairing/validate', { token: user.session.accessToken, body: { code } });
+
+test('entering a code asks the owner, and approving pairs the devices', async () => {
+  const owner = await ctx.register('pairing-owner', { expoPushToken: 'ExponentPushToken[owner]' });
+  const requester = await ctx.register('pairing-requester', { expoPushToken: 'ExponentPushToken[requester]' });
+  const code = await generateCode(owner);
+
+  const validated = await validateCode(requester, code);
+  assert.equal(validated.status, 202);
+  assert.equal(validated.body.status, 'pending');
+  assert.equal(validated.body.ownerDeviceName, 'Device pairing-owner');
+
+  // Nothing is shared before the owner approves
+  const early = await ctx.request('GET', `/api/users/${owner.id}`, { token: requester.session.accessToken });
+  assert.equal(early.status, 403);
+  assert.equal(early.body.code, 'NOT_PAIRED');
+
+  const incoming = await ctx.request('GET', '/api/pairing/requests', { token: owner.session.accessToken });
+  assert.deepEqual(incoming.body.requests.map((request) => request.id), [validated.body.requestId]);
+  assert.ok(ctx.pushProvider.sent.some((entry) => entry.token === 'ExponentPushToken[owner]'));
+
+  const approved = await ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: owner.session.accessToken });
+  assert.equal(approved.status, 200);
+  assert.deepEqual(approved.body.pairedUser, { id: requester.id, device_name: 'Device pairing-requester' });
+  assert.ok(ctx.pushProvider.sent.some((entry) => entry.token === 'ExponentPushToken[requester]'));
+
+  const paired = await ctx.request('GET', `/api/devices/paired/${requester.id}`, { token: requester.session.accessToken });
+  assert.equal(paired.status, 200);
+  assert.deepEqual(paired.body.map((device) => device.id), [owner.id]);
+  assert.equal(paired.body[0].device_id, undefined);
+
+  const profile = await ctx.request('GET', `/api/users/${owner.id}`, { token: requester.session.accessToken });
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.device_id, undefined);
+});
+
+test('only the code owner can approve a request', async () => {
+  const owner = await ctx.register('pairing-owner-2');
+  const requester = await ctx.register('pairing-requester-2');
+  const validated = await validateCode(requester, await generateCode(owner));
+
+  const { status } = await ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: requester.session.accessToken });
+  assert.equal(status, 404);
+
+  const connections = await ctx.storage.connections.listForUser(requester.id);
+  assert.equal(connections.length, 0);
+});
+
+test('a rejected request does not pair the devices', async () => {
+  const owner = await ctx.register('pairing-owner-3');
+  const requester = await ctx.register('pairing-requester-3');
+  const validated = await validateCode(requester, await generateCode(owner));
+
+  const rejected = await ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/reject`, { token: owner.session.accessToken });
+  assert.equal(rejected.status, 200);
+
+  const approved = await ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: owner.session.accessToken });
+  assert.equal(approved.status, 409);
+  assert.equal(approved.body.code, 'REQUEST_ANSWERED');
+});
+
+test('a single-use code cannot be redeemed twice', async () => {
+  const owner = await ctx.register('pairing-owner-4');
+  const first = await ctx.register('pairing-first');
+  const second = await ctx.register('pairing-second');
+  const code = await generateCode(owner);
+
+  assert.equal((await validateCode(first, code)).status, 202);
+
+  const again = await validateCode(second, code);
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, 'CODE_USED_UP');
+});
+
+test('unknown, revoked and own codes are refused', async () => {
+  const owner = await ctx.register('pairing-owner-5');
+  const requester = await ctx.register('pairing-requester-5');
+
+  const unknown = await validateCode(requester, 'ZZZZZZ');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.code, 'INVALID_CODE');
+
+  const own = await validateCode(owner, await generateCode(owner));
+  assert.equal(own.status, 400);
+  assert.equal(own.body.code, 'OWN_CODE');
+
+  const code = await generateCode(owner, { maxUses: 5 });
+  const revoked = await ctx.request('POST', `/api/pairing/codes/${code}/revoke`, { token: owner.session.accessToken });
+  assert.equal(revoked.status, 200);
+
+  const afterRevoke = await validateCode(requester, code);
+  assert.equal(afterRevoke.status, 400);
+  assert.equal(afterRevoke.body.code, 'CODE_REVOKED');
+});
+
+test('approving the second of two mutual requests keeps the one connection', async () => {
+  const first = await ctx.register('pairing-mutual-1');
+  const second = await ctx.register('pairing-mutual-2');
+  const toFirst = await validateCode(second, await generateCode(first));
+  const toSecond = await validateCode(first, await generateCode(second));
+
+  const approve = (owner, validated) => ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: owner.session.accessToken });
+  assert.equal((await approve(first, toFirst)).status, 200);
+
+  const again = await approve(second, toSecond);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.request.status, 'approved');
+  assert.equal((await ctx.storage.connections.listForUser(first.id)).length, 1);
+});
+
+test('a request stays pending when the connection cannot be created', async () => {
+  const owner = await ctx.register('pairing-owner-6');
+  const requester = await ctx.register('pairing-requester-6');
+  const validated = await validateCode(requester, await generateCode(owner));
+
+  const { create } = ctx.storage.connections;
+  ctx.storage.connections.create = async () => {
+    throw new Error('Storage unavailable');
+  };
+  try {
+    const failed = await ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: owner.session.accessToken });
+    assert.equal(failed.status, 500);
+  } finally {
+    ctx.storage.connections.create = create;
+  }
+
+  const retried = await ctx.request('POST', `/api/pairing/requests/${validated.body.requestId}/approve`, { token: owner.session.accessToken });
+  assert.equal(retried.status, 200);
+  assert.equal((await ctx.storage.connections.listForUser(owner.id)).length, 1);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+// Send `to` an "Are you OK?" ping from `from`; resolves to the ping id
+const askAreYouOk = async (from, to) => {
+  const { status, body } = await ctx.request('POST', '/api/pings/send', {
+    token: from.session.accessToken,
+    body: { fromUserId: from.id, toUserId: to.id, type: 'are_you_ok' },
+  });
+  assert.equal(status, 200);
+  return body.pingId;
+};
+
+const reply = (user, pingId) => ctx.request('POST', `/api/pings/${pingId}/reply`, {
+  token: user.session.accessToken,
+  body: { status: 'ok' },
+});
+
+test('a reply goes back to the sender as a status reply', async () => {
+  const asker = await ctx.register('ping-asker');
+  const friend = await ctx.register('ping-friend');
+  await ctx.pair(asker, friend);
+  const pingId = await askAreYouOk(asker, friend);
+
+  const replied = await reply(friend, pingId);
+  assert.equal(replied.status, 200);
+
+  const { body } = await ctx.request('GET', `/api/pings/inbox/${asker.id}`, { token: asker.session.accessToken });
+  const statusReply = body.pings.find((ping) => ping.id === replied.body.pingId);
+  assert.equal(statusReply.type, 'status_reply');
+  assert.equal(statusReply.replyStatus, 'ok');
+  assert.equal(statusReply.replyToPingId, pingId);
+
+  assert.equal((await reply(friend, pingId)).body.code, 'ALREADY_REPLIED');
+});
+
+test('pings are refused once the recipient stops accepting them', async () => {
+  const asker = await ctx.register('ping-asker-2');
+  const friend = await ctx.register('ping-friend-2');
+  await ctx.pair(asker, friend);
+
+  await ctx.request('PATCH', `/api/connections/${asker.id}/permissions`, { token: friend.session.accessToken, body: { pings: false } });
+
+  const { status, body } = await ctx.request('POST', '/api/pings/send', {
+    token: asker.session.accessToken,
+    body: { fromUserId: asker.id, toUserId: friend.id },
+  });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'PERMISSION_DENIED');
+});
+
+test('replying needs the sender to still accept pings', async () => {
+  const asker = await ctx.register('ping-asker-3');
+  const friend = await ctx.register('ping-friend-3');
+  await ctx.pair(asker, friend);
+  const pingId = await askAreYouOk(asker, friend);
+
+  await ctx.request('PATCH', `/api/connections/${friend.id}/permissions`, { token: asker.session.accessToken, body: { pings: false } });
+
+  const replied = await reply(friend, pingId);
+  assert.equal(replied.status, 403);
+  assert.equal(replied.body.code, 'PERMISSION_DENIED');
+});
+
+test('replying after the users disconnected is refused', async () => {
+  const asker = await ctx.register('ping-asker-4');
+  const friend = await ctx.register('ping-friend-4');
+  await ctx.pair(asker, friend);
+  const pingId = await askAreYouOk(asker, friend);
+
+  await ctx.request('DELETE', '/api/devices/disconnect', { token: asker.session.accessToken, body: { pairedUserId: friend.id } });
+
+  const replied = await reply(friend, pingId);
+  assert.equal(replied.status, 403);
+  assert.equal(replied.body.code, 'NOT_PAIRED');
+});
@@ -0,0 +1,81 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// Quiets the logs before lib/config is read
+require('./helpers');
+const { createMemoryStorage } = require('../lib/storage');
+const { createRetentionJobs, RETENTION_POLICIES } = require('../lib/retention');
+const { createJobScheduler } = require('../lib/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let storage;
+let scheduler;
+let user;
+let other;
+
+beforeEach(async () => {
+  storage = createMemoryStorage();
+  scheduler = createJobScheduler({ storage, jobs: createRetentionJobs({ storage }) });
+  user = await storage.users.create({ device_id: 'retention-user', device_name: 'Retention' });
+  other = await storage.users.create({ device_id: 'retention-other', device_name: 'Other' });
+});
+
+const addLocation = (days) => storage.locations.create({ user_id: user.id, latitude: 52.37, longitude: 4.89, recorded_at: daysAgo(days) });
+
+test('a dry run counts old location points without deleting them', async () => {
+  const keepDays = RETENTION_POLICIES.location_history.days;
+  await addLocation(keepDays + 1);
+  await addLocation(keepDays + 2);
+  await addLocation(1);
+
+  const dryRun = await scheduler.run('location_history', { dryRun: true, trigger: 'manual' });
+  assert.equal(dryRun.status, 'succeeded');
+  assert.deepEqual({ matched: dryRun.result.matched, deleted: dryRun.result.deleted }, { matched: 2, deleted: 0 });
+  assert.equal(await storage.locations.purge(daysAgo(keepDays), { dryRun: true }), 2);
+
+  const real = await scheduler.run('location_history');
+  assert.deepEqual({ matched: real.result.matched, deleted: real.result.deleted }, { matched: 2, deleted: 2 });
+  assert.equal(await storage.locations.purge(daysAgo(0), { dryRun: true }), 1);
+});
+
+test('old read pings are deleted with their replies, unread ones are kept', async () => {
+  const keepDays = RETENTION_POLICIES.read_pings.days;
+  const read = await storage.pings.create({ from_user_id: other.id, to_user_id: user.id, read_at: daysAgo(keepDays + 1) });
+  await storage.pings.create({ from_user_id: user.id, to_user_id: other.id, type: 'reply', reply_to_ping_id: read.id });
+  const unread = await storage.pings.create({ from_user_id: other.id, to_user_id: user.id });
+
+  const run = await scheduler.run('read_pings');
+  assert.equal(run.result.deleted, 1);
+
+  const { total } = await storage.pings.listForRecipient(user.id);
+  assert.equal(total, 1);
+  assert.equal((await storage.pings.findById(unread.id)).id, unread.id);
+  assert.equal((await storage.pings.listForRecipient(other.id)).total, 0);
+});
+
+test('a job is not run again before its interval has passed', async () => {
+  await scheduler.sweep();
+  const first = await storage.jobRuns.listForJob('location_history');
+  assert.equal(first.length, 1);
+
+  await scheduler.sweep();
+  assert.equal((await storage.jobRuns.listForJob('location_history')).length, 1);
+});
+
+test('a job that is already running is not started twice', async () => {
+  await storage.jobRuns.create({ job: 'code_usage', status: 'running', dry_run: false, trigger: 'schedule', started_at: new Date().toISOString() });
+
+  assert.equal(await scheduler.run('code_usage'), null);
+});
+
+test('a failing job is recorded as failed', async () => {
+  storage.codeUsage.purge = async () => {
+    throw new Error('Storage unavailable');
+  };
+
+  const run = await scheduler.run('code_usage');
+  assert.equal(run.status, 'failed');
+  assert.equal(run.error, 'Storage unavailable');
+  assert.ok(run.finished_at);
+});
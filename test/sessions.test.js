@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let ctx;
+before(async () => {
+  ctx = await startApp();
+});
+after(() => ctx.close());
+
+test('a new device gets a session and a device secret', async () => {
+  const user = await ctx.register('session-new');
+
+  assert.ok(user.session.accessToken);
+  assert.ok(user.session.refreshToken);
+  assert.ok(user.deviceSecret);
+  assert.equal(user.device_secret_hash, undefined);
+
+  const { status, body } = await ctx.request('GET', `/api/users/${user.id}`, { token: user.session.accessToken });
+  assert.equal(status, 200);
+  assert.equal(body.id, user.id);
+});
+
+test('signing in to an existing device needs its secret or a refresh token', async () => {
+  const user = await ctx.register('session-existing');
+
+  const withoutProof = await ctx.request('POST', '/api/users/get-or-create', {
+    body: { deviceId: 'session-existing', deviceName: 'Someone else' },
+  });
+  assert.equal(withoutProof.status, 401);
+  assert.equal(withoutProof.body.code, 'DEVICE_AUTH_FAILED');
+
+  const wrongSecret = await ctx.request('POST', '/api/users/get-or-create', {
+    body: { deviceId: 'session-existing', deviceName: 'Someone else', deviceSecret: 'not-the-secret' },
+  });
+  assert.equal(wrongSecret.status, 401);
+
+  const withSecret = await ctx.request('POST', '/api/users/get-or-create', {
+    body: { deviceId: 'session-existing', deviceName: 'Renamed', deviceSecret: user.deviceSecret },
+  });
+  assert.equal(withSecret.status, 200);
+  assert.equal(withSecret.body.id, user.id);
+  assert.equal(withSecret.body.device_name, 'Renamed');
+
+  const withRefreshToken = await ctx.request('POST', '/api/users/get-or-create', {
+    body: { deviceId: 'session-existing', deviceName: 'Renamed', refreshToken: user.session.refreshToken },
+  });
+  assert.equal(withRefreshToken.status, 200);
+  assert.equal(withRefreshToken.body.id, user.id);
+});
+
+test("another user's refresh token does not sign in to a device", async () => {
+  await ctx.register('session-victim');
+  const attacker = await ctx.register('session-attacker');
+
+  const { status } = await ctx.request('POST', '/api/users/get-or-create', {
+    body: { deviceId: 'session-victim', deviceName: 'Mine now', refreshToken: attacker.session.refreshToken },
+  });
+  assert.equal(status, 401);
+});
+
+test('refreshing rotates the refresh token', async () => {
+  const user = await ctx.register('session-rotate');
+
+  const first = await ctx.request('POST', '/api/auth/refresh', { body: { refreshToken: user.session.refreshToken } });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, user.session.refreshToken);
+
+  const second = await ctx.request('POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+  assert.equal(second.status, 200);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const user = await ctx.register('session-reuse');
+
+  const rotated = await ctx.request('POST', '/api/auth/refresh', { body: { refreshToken: user.session.refreshToken } });
+  assert.equal(rotated.status, 200);
+
+  const reused = await ctx.request('POST', '/api/auth/refresh', { body: { refreshToken: user.session.refreshToken } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'REFRESH_TOKEN_INVALID');
+
+  // The copy and the legitimate holder are both signed out
+  const afterReuse = await ctx.request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+  assert.equal(afterReuse.status, 401);
+
+  const { status, body } = await ctx.request('GET', `/api/users/${user.id}`, { token: rotated.body.accessToken });
+  assert.equal(status, 401);
+  assert.equal(body.code, 'SESSION_REVOKED');
+});
+
+test('logging out revokes the access token', async () => {
+  const user = await ctx.register('session-logout');
+  const token = user.session.accessToken;
+
+  const logout = await ctx.request('POST', '/api/auth/logout', { token, body: {} });
+  assert.equal(logout.status, 200);
+
+  const { status, body } = await ctx.request('GET', `/api/users/${user.id}`, { token });
+  assert.equal(status, 401);
+  assert.equal(body.code, 'SESSION_REVOKED');
+});
+
+test('requests without a valid access token are rejected', async () => {
+  const user = await ctx.register('session-anonymous');
+
+  const missing = await ctx.request('GET', `/api/users/${user.id}`);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.code, 'TOKEN_MISSING');
+
+  const forged = await ctx.request('GET', `/api/users/${user.id}`, { token: 'not.a.token' });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.code, 'TOKEN_INVALID');
+});
+
+test('refreshing is rate limited per IP', async () => {
+  // A separate app, so the other tests keep their own budget
+  const limited = await startApp();
+  try {
+    let response;
+    for (let attempt = 0; attempt < 21; attempt += 1) {
+      response = await limited.request('POST', '/api/auth/refresh', { body: { refreshToken: 'guessed-token' } });
+    }
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, 'RATE_LIMITED');
+  } finally {
+    await limited.close();
+  }
+});